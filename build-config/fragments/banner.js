@@ -28,4 +28,14 @@ const pluginBanner = new webpack.BannerPlugin({
     test: /\.js$/
 });
 
-module.exports = { libBanner, pluginBanner };
+// renderer JS banner with copyright and version info
+// prettier-ignore
+const jsRendererBanner = `${pckg.name} [name] renderer ${pckg.version} (${date})
+${pckg.homepage}
+@license ${pckg.license}`;
+const rendererBanner = new webpack.BannerPlugin({
+    banner: jsRendererBanner,
+    test: /\.js$/
+});
+
+module.exports = { libBanner, pluginBanner, rendererBanner };
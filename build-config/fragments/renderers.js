@@ -0,0 +1,42 @@
+/* eslint-env node */
+const path = require('path');
+const banner = require('./banner');
+
+const rootDir = path.resolve(__dirname, '..', '..');
+const srcDir = path.join(rootDir, 'src');
+
+// the renderers that are not part of the main build, by their name in
+// WaveSurfer.renderers
+const RENDERERS = {
+    OffscreenCanvas: 'drawer.offscreencanvas.js',
+    SVG: 'drawer.svg.js'
+};
+
+/**
+ * buildRendererEntry - Description: build the renderer entry based on the
+ *                      RENDERERS object
+ *
+ * @param {Object} renderers File names of the renderers in src by their name
+ *
+ * @returns {object} Entry object { name: path }
+ */
+function buildRendererEntry(renderers) {
+    const result = {};
+    Object.keys(renderers).forEach(name => {
+        result[name] = path.join(srcDir, renderers[name]);
+    });
+    return result;
+}
+
+module.exports = {
+    entry: buildRendererEntry(RENDERERS),
+    output: {
+        path: path.join(rootDir, 'dist', 'renderer'),
+        filename: 'wavesurfer.[name].js',
+        library: ['WaveSurfer', 'renderers', '[name]'],
+        // the renderer class itself is passed as the renderer param
+        libraryExport: 'default',
+        publicPath: 'localhost:8080/dist/renderer/'
+    },
+    plugins: [banner.rendererBanner]
+};
@@ -0,0 +1,8 @@
+const { merge } = require('webpack-merge');
+const path = require('path');
+
+const common = require('./fragments/common');
+const prod = require('./fragments/prod');
+const renderers = require('./fragments/renderers');
+
+module.exports = merge(common, prod, renderers);
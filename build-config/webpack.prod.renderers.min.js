@@ -0,0 +1,13 @@
+const { merge } = require('webpack-merge');
+const path = require('path');
+
+const common = require('./fragments/common');
+const prod = require('./fragments/prod');
+const min = require('./fragments/min');
+const renderers = require('./fragments/renderers');
+
+module.exports = merge(common, prod, min, renderers, {
+    output: {
+        filename: 'wavesurfer.[name].min.js'
+    }
+});
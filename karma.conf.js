@@ -59,10 +59,30 @@ module.exports = function(config) {
             'spec/util.spec.js',
             'spec/wavesurfer.spec.js',
             'spec/peakcache.spec.js',
+            'spec/peakpyramid.spec.js',
+            'spec/peakloader.spec.js',
+            'spec/pcmpeaks.spec.js',
+            'spec/wav.spec.js',
+            'spec/clock.spec.js',
+            'spec/timeinterpolator.spec.js',
+            'spec/state.spec.js',
+            'spec/history.spec.js',
+            'spec/keyboard.spec.js',
+            'spec/zoom.spec.js',
+            'spec/zoomrange.spec.js',
+            'spec/viewport.spec.js',
+            'spec/coordinates.spec.js',
+            'spec/virtualcanvas.spec.js',
+            'spec/offscreencanvas.spec.js',
+            'spec/svg.spec.js',
+            'spec/render.spec.js',
+            'spec/compositeimage.spec.js',
+            'spec/peakexport.spec.js',
             'spec/mediaelement.spec.js',
             'spec/mediaelement-webaudio.spec.js',
             'spec/drawer.spec.js',
-            'spec/webaudio.spec.js'
+            'spec/webaudio.spec.js',
+            'spec/audiowaveform.spec.js'
         ],
         customHeaders: [
             {
@@ -76,10 +96,30 @@ module.exports = function(config) {
             'spec/util.spec.js': ['webpack'],
             'spec/wavesurfer.spec.js': ['webpack'],
             'spec/peakcache.spec.js': ['webpack'],
+            'spec/peakpyramid.spec.js': ['webpack'],
+            'spec/peakloader.spec.js': ['webpack'],
+            'spec/pcmpeaks.spec.js': ['webpack'],
+            'spec/wav.spec.js': ['webpack'],
+            'spec/clock.spec.js': ['webpack'],
+            'spec/timeinterpolator.spec.js': ['webpack'],
+            'spec/state.spec.js': ['webpack'],
+            'spec/history.spec.js': ['webpack'],
+            'spec/keyboard.spec.js': ['webpack'],
+            'spec/zoom.spec.js': ['webpack'],
+            'spec/zoomrange.spec.js': ['webpack'],
+            'spec/viewport.spec.js': ['webpack'],
+            'spec/coordinates.spec.js': ['webpack'],
+            'spec/virtualcanvas.spec.js': ['webpack'],
+            'spec/offscreencanvas.spec.js': ['webpack'],
+            'spec/svg.spec.js': ['webpack'],
+            'spec/render.spec.js': ['webpack'],
+            'spec/compositeimage.spec.js': ['webpack'],
+            'spec/peakexport.spec.js': ['webpack'],
             'spec/mediaelement.spec.js': ['webpack'],
             'spec/mediaelement-webaudio.spec.js': ['webpack'],
             'spec/drawer.spec.js': ['webpack'],
             'spec/webaudio.spec.js': ['webpack'],
+            'spec/audiowaveform.spec.js': ['webpack'],
 
             // source files, that you want to generate coverage for
             // do not include tests or libraries
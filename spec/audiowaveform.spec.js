@@ -0,0 +1,253 @@
+/* eslint-env jasmine */
+import { parseDat, parseJSON, writeDat, writeJSON } from '../src/audiowaveform';
+
+/**
+ * Build a binary audiowaveform file
+ *
+ * @param {Object} header Header values
+ * @param {number[]} data Interleaved min/max values
+ * @return {ArrayBuffer} The file contents
+ */
+function createDat(header, data) {
+    const headerSize = header.version == 2 ? 24 : 20;
+    const bytes = header.bits == 8 ? 1 : 2;
+    const buffer = new ArrayBuffer(headerSize + data.length * bytes);
+    const view = new DataView(buffer);
+    view.setInt32(0, header.version, true);
+    view.setUint32(4, header.bits == 8 ? 1 : 0, true);
+    view.setInt32(8, header.sampleRate, true);
+    view.setInt32(12, header.samplesPerPixel, true);
+    view.setUint32(16, header.length, true);
+    if (header.version == 2) {
+        view.setInt32(20, header.channels, true);
+    }
+    data.forEach((value, i) => {
+        bytes == 1
+            ? view.setInt8(headerSize + i, value)
+            : view.setInt16(headerSize + 2 * i, value, true);
+    });
+    return buffer;
+}
+
+/** @test {parseDat} */
+describe('audiowaveform.parseDat:', function() {
+    it('reads version 1 files with 16 bit peaks', function() {
+        const data = parseDat(
+            createDat(
+                {
+                    version: 1,
+                    bits: 16,
+                    sampleRate: 44100,
+                    samplesPerPixel: 441,
+                    length: 3
+                },
+                [-100, 200, -3000, 32767, -32768, 0]
+            )
+        );
+
+        expect(data.channels).toEqual(1);
+        expect(data.bits).toEqual(16);
+        expect(data.length).toEqual(3);
+        expect(data.peakMax).toEqual(32768);
+        expect(data.duration).toBeCloseTo(0.03, 6);
+        // max values first
+        expect(data.peaks).toEqual([200, -100, 32767, -3000, 0, -32768]);
+    });
+
+    it('reads version 2 files with 8 bit multi-channel peaks', function() {
+        const data = parseDat(
+            createDat(
+                {
+                    version: 2,
+                    bits: 8,
+                    sampleRate: 8000,
+                    samplesPerPixel: 800,
+                    length: 2,
+                    channels: 2
+                },
+                // index 0: left, right, index 1: left, right
+                [-1, 1, -2, 2, -3, 3, -128, 127]
+            )
+        );
+
+        expect(data.channels).toEqual(2);
+        expect(data.peakMax).toEqual(128);
+        expect(data.sampleRate).toEqual(8000);
+        expect(data.samplesPerPixel).toEqual(800);
+        expect(data.duration).toBeCloseTo(0.2, 6);
+        expect(data.peaks).toEqual([[1, -1, 3, -3], [2, -2, 127, -128]]);
+    });
+
+    it('rejects unknown versions', function() {
+        const buffer = createDat(
+            {
+                version: 3,
+                bits: 8,
+                sampleRate: 8000,
+                samplesPerPixel: 80,
+                length: 1
+            },
+            [0, 0]
+        );
+        expect(() => parseDat(buffer)).toThrowError(/version 3/);
+    });
+
+    it('rejects truncated data', function() {
+        const buffer = createDat(
+            {
+                version: 1,
+                bits: 16,
+                sampleRate: 8000,
+                samplesPerPixel: 80,
+                length: 4
+            },
+            [0, 0]
+        );
+        expect(() => parseDat(buffer)).toThrowError(/truncated/);
+    });
+
+    it('rejects data that is not an ArrayBuffer', function() {
+        expect(() => parseDat([1, 2, 3])).toThrowError(/ArrayBuffer/);
+    });
+});
+
+/** @test {parseJSON} */
+describe('audiowaveform.parseJSON:', function() {
+    const json = {
+        version: 2,
+        channels: 2,
+        sample_rate: 48000,
+        samples_per_pixel: 480,
+        bits: 16,
+        length: 2,
+        data: [-10, 10, -20, 20, -30, 30, -40, 40]
+    };
+
+    it('splits interleaved channels', function() {
+        const data = parseJSON(json);
+
+        expect(data.channels).toEqual(2);
+        expect(data.peakMax).toEqual(32768);
+        expect(data.duration).toBeCloseTo(0.02, 6);
+        expect(data.peaks).toEqual([[10, -10, 30, -30], [20, -20, 40, -40]]);
+    });
+
+    it('reads version 1 documents from a string', function() {
+        const data = parseJSON(
+            JSON.stringify({
+                version: 1,
+                sample_rate: 8000,
+                samples_per_pixel: 80,
+                bits: 8,
+                length: 2,
+                data: [-1, 2, -3, 4]
+            })
+        );
+
+        expect(data.channels).toEqual(1);
+        expect(data.peakMax).toEqual(128);
+        expect(data.peaks).toEqual([2, -1, 4, -3]);
+    });
+
+    it('rejects a data array of the wrong length', function() {
+        expect(() =>
+            parseJSON(Object.assign({}, json, { length: 3 }))
+        ).toThrowError(/expected 3 min\/max pairs/);
+    });
+
+    it('rejects invalid metadata', function() {
+        expect(() =>
+            parseJSON(Object.assign({}, json, { sample_rate: 0 }))
+        ).toThrowError(/sampleRate/);
+        expect(() =>
+            parseJSON(Object.assign({}, json, { bits: 32 }))
+        ).toThrowError(/bits/);
+    });
+
+    it('rejects invalid values', function() {
+        expect(() =>
+            parseJSON(Object.assign({}, json, { data: [0, 1, 'a', 2, 0, 1, 0, 1] }))
+        ).toThrowError(/index 2/);
+    });
+
+    it('rejects documents that are not JSON', function() {
+        expect(() => parseJSON('{')).toThrowError(/could not be parsed/);
+        expect(() => parseJSON(null)).toThrowError(/must be an object/);
+    });
+});
+
+/** @test {writeDat} */
+describe('audiowaveform.writeDat:', function() {
+    const data = {
+        peaks: [
+            [20, -10, 40, -30],
+            [2, -1, 4, -3]
+        ],
+        sampleRate: 48000,
+        samplesPerPixel: 256,
+        bits: 16
+    };
+
+    it('writes version 2 files that are read back', function() {
+        const buffer = writeDat(data);
+        expect(buffer.byteLength).toEqual(24 + 8 * 2);
+        expect(new DataView(buffer).getInt32(0, true)).toEqual(2);
+
+        const read = parseDat(buffer);
+        expect(read.channels).toEqual(2);
+        expect(read.length).toEqual(2);
+        expect(read.sampleRate).toEqual(48000);
+        expect(read.samplesPerPixel).toEqual(256);
+        expect(read.peaks).toEqual(data.peaks);
+    });
+
+    it('writes 8 bit peaks', function() {
+        const buffer = writeDat({
+            peaks: [2, -1, 4, -3],
+            sampleRate: 44100,
+            samplesPerPixel: 512,
+            bits: 8
+        });
+        expect(buffer.byteLength).toEqual(24 + 4);
+        expect(parseDat(buffer).peaks).toEqual([2, -1, 4, -3]);
+    });
+
+    it('rejects invalid data', function() {
+        expect(() =>
+            writeDat(Object.assign({}, data, { bits: 32 }))
+        ).toThrowError(/bits/);
+        expect(() =>
+            writeDat(Object.assign({}, data, { samplesPerPixel: 0.5 }))
+        ).toThrowError(/samplesPerPixel/);
+        expect(() =>
+            writeDat(Object.assign({}, data, { peaks: [[1, -1], [1]] }))
+        ).toThrowError(/same number of max\/min pairs/);
+    });
+});
+
+/** @test {writeJSON} */
+describe('audiowaveform.writeJSON:', function() {
+    it('writes interleaved min/max values that are read back', function() {
+        const peaks = [
+            [20, -10, 40, -30],
+            [2, -1, 4, -3]
+        ];
+        const json = writeJSON({
+            peaks: peaks,
+            sampleRate: 44100,
+            samplesPerPixel: 512,
+            bits: 8
+        });
+
+        expect(JSON.parse(json)).toEqual({
+            version: 2,
+            channels: 2,
+            sample_rate: 44100,
+            samples_per_pixel: 512,
+            bits: 8,
+            length: 2,
+            data: [-10, 20, -1, 2, -30, 40, -3, 4]
+        });
+        expect(parseJSON(json).peaks).toEqual(peaks);
+    });
+});
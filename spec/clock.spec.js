@@ -0,0 +1,376 @@
+/* eslint-env jasmine */
+import Clock from '../src/clock';
+import MediaElementClock from '../src/clock.mediaelement';
+import VirtualClock from '../src/clock.virtual';
+import WaveSurfer from '../src/wavesurfer';
+
+/**
+ * Create a clock source that is moved by hand
+ *
+ * @return {Object} The source
+ */
+function createSource() {
+    return {
+        time: 0,
+        paused: true,
+        rate: 1,
+        getTime() {
+            return this.time;
+        },
+        isPaused() {
+            return this.paused;
+        },
+        play() {
+            this.paused = false;
+        },
+        pause() {
+            this.paused = true;
+        },
+        seek(time) {
+            this.time = time;
+        },
+        setPlaybackRate(rate) {
+            this.rate = rate;
+        },
+        getPlaybackRate() {
+            return this.rate;
+        }
+    };
+}
+
+/**
+ * Create a stand-in for a paused media element
+ *
+ * @return {EventTarget} The media element
+ */
+function createMedia() {
+    return Object.assign(new EventTarget(), {
+        currentTime: 2,
+        paused: true,
+        ended: false,
+        duration: NaN,
+        playbackRate: 1
+    });
+}
+
+/** @test {Clock} */
+describe('Clock:', function() {
+    it('requires getTime() and isPaused()', function() {
+        expect(() => new Clock({ getTime: () => 0 })).toThrowError(
+            /getTime\(\) and isPaused\(\)/
+        );
+        expect(() => new Clock(null)).toThrowError();
+    });
+
+    it('delegates to the source', function(done) {
+        const source = createSource();
+        const clock = new Clock(source);
+
+        clock.play(3).then(() => {
+            expect(source.time).toEqual(3);
+            expect(clock.isPaused()).toBe(false);
+            clock.setPlaybackRate(2);
+            expect(clock.getPlaybackRate()).toEqual(2);
+            clock.pause();
+            expect(clock.isPaused()).toBe(true);
+            done();
+        });
+    });
+
+    it('ignores the methods a read only source does not have', function() {
+        const clock = new Clock({ getTime: () => 4, isPaused: () => false });
+
+        expect(() => clock.seek(1)).not.toThrow();
+        expect(clock.getTime()).toEqual(4);
+        expect(clock.getPlaybackRate()).toEqual(1);
+        expect(clock.getDuration()).toBeNull();
+        expect(clock.isEnded()).toBe(false);
+    });
+});
+
+/** @test {MediaElementClock} */
+describe('MediaElementClock:', function() {
+    it('reads and controls the media element', function() {
+        const media = createMedia();
+        const clock = new MediaElementClock(media);
+
+        expect(clock.getTime()).toEqual(2);
+        expect(clock.getDuration()).toBeNull();
+        clock.seek(5);
+        clock.setPlaybackRate(0.5);
+        expect(media.currentTime).toEqual(5);
+        expect(media.playbackRate).toEqual(0.5);
+
+        media.duration = 10;
+        media.ended = true;
+        expect(clock.getDuration()).toEqual(10);
+        expect(clock.isEnded()).toBe(true);
+    });
+
+    it('tells when the state of the media element changed', function() {
+        const media = createMedia();
+        const clock = new MediaElementClock(media);
+        const onChange = jasmine.createSpy('change');
+        clock.on('change', onChange);
+
+        expect(clock.needsPolling).toBe(false);
+        ['play', 'pause', 'seeked', 'ended', 'timeupdate'].forEach(event =>
+            media.dispatchEvent(new Event(event))
+        );
+        expect(onChange).toHaveBeenCalledTimes(4);
+
+        clock.destroy();
+        media.dispatchEvent(new Event('play'));
+        expect(onChange).toHaveBeenCalledTimes(4);
+    });
+});
+
+/** @test {VirtualClock} */
+describe('VirtualClock:', function() {
+    let now;
+
+    beforeEach(function() {
+        now = 1000;
+        spyOn(performance, 'now').and.callFake(() => now);
+    });
+
+    it('advances in real time at the playback rate', function() {
+        const clock = new VirtualClock(() => 60);
+
+        clock.play(1);
+        now += 2000;
+        expect(clock.getTime()).toEqual(3);
+
+        clock.setPlaybackRate(2);
+        now += 1000;
+        expect(clock.getTime()).toEqual(5);
+
+        clock.pause();
+        now += 1000;
+        expect(clock.getTime()).toEqual(5);
+        expect(clock.isPaused()).toBe(true);
+    });
+
+    it('seeks while playing', function() {
+        const clock = new VirtualClock(() => 60);
+
+        clock.play();
+        now += 1000;
+        clock.seek(10);
+        now += 500;
+        expect(clock.getTime()).toEqual(10.5);
+    });
+
+    it('stops at the duration and starts over', function() {
+        const clock = new VirtualClock(() => 5);
+
+        clock.play(4);
+        now += 3000;
+        expect(clock.isPaused()).toBe(true);
+        expect(clock.isEnded()).toBe(true);
+        expect(clock.getTime()).toEqual(5);
+
+        clock.play();
+        expect(clock.getTime()).toEqual(0);
+        expect(clock.isEnded()).toBe(false);
+    });
+
+    it('does not play without a duration', function() {
+        const clock = new VirtualClock(() => 0);
+
+        clock.play();
+        expect(clock.isPaused()).toBe(true);
+    });
+});
+
+/** @test {WaveSurfer#play} */
+describe('WaveSurfer/virtual transport:', function() {
+    let wavesurfer;
+    let container;
+    let now;
+
+    beforeEach(function() {
+        now = 0;
+        spyOn(performance, 'now').and.callFake(() => now);
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        wavesurfer = WaveSurfer.create({ container: container });
+        wavesurfer.load([0.5, -0.5, 0.25, -0.25], 10);
+    });
+
+    afterEach(function() {
+        wavesurfer.destroy();
+        document.body.removeChild(container);
+    });
+
+    it('plays a range', function(done) {
+        const times = [];
+        wavesurfer.on('audioprocess', time => {
+            times.push(time);
+            now = 1500;
+        });
+        wavesurfer.on('pause', () => {
+            expect(times).toEqual([1, 2.5]);
+            expect(wavesurfer.isPlaying()).toBe(false);
+            expect(wavesurfer.getCurrentTime()).toEqual(2.5);
+            done();
+        });
+
+        wavesurfer.play(1, 2);
+        expect(wavesurfer.isPlaying()).toBe(true);
+    });
+
+    it('finishes at the end', function(done) {
+        const events = [];
+        ['play', 'pause', 'finish'].forEach(event =>
+            wavesurfer.on(event, () => events.push(event))
+        );
+        wavesurfer.on('audioprocess', () => {
+            now += 5000;
+        });
+        wavesurfer.on('finish', () => {
+            expect(events).toEqual(['play', 'pause', 'finish']);
+            expect(wavesurfer.getCurrentTime()).toEqual(10);
+            done();
+        });
+
+        wavesurfer.setPlaybackRate(2);
+        wavesurfer.play(8);
+    });
+
+    it('continues from the position of a detached clock', function() {
+        wavesurfer.attachClock({ getTime: () => 4, isPaused: () => true });
+        wavesurfer.seekTo(0.5);
+        wavesurfer.detachClock();
+
+        wavesurfer.play();
+        now += 1000;
+        expect(wavesurfer.isPlaying()).toBe(true);
+        expect(wavesurfer.getPlaybackRate()).toEqual(1);
+        wavesurfer.pause();
+        expect(wavesurfer.isPlaying()).toBe(false);
+    });
+});
+
+/** @test {WaveSurfer#attachClock} */
+describe('WaveSurfer/clock:', function() {
+    let wavesurfer;
+    let container;
+    let source;
+
+    beforeEach(function() {
+        container = document.createElement('div');
+        document.body.appendChild(container);
+        wavesurfer = WaveSurfer.create({ container: container });
+        wavesurfer.load([0.5, -0.5, 0.25, -0.25], 10);
+        source = createSource();
+        wavesurfer.attachClock(source);
+    });
+
+    afterEach(function() {
+        wavesurfer.destroy();
+        document.body.removeChild(container);
+    });
+
+    it('delegates the transport methods to the clock', function() {
+        wavesurfer.play(2);
+        expect(source.time).toEqual(2);
+        expect(wavesurfer.isPlaying()).toBe(true);
+
+        wavesurfer.playPause();
+        expect(wavesurfer.isPlaying()).toBe(false);
+
+        wavesurfer.seekTo(0.5);
+        expect(source.time).toEqual(5);
+
+        wavesurfer.setPlaybackRate(1.5);
+        expect(wavesurfer.getPlaybackRate()).toEqual(1.5);
+    });
+
+    it('fires the transport events', function(done) {
+        const events = [];
+        ['play', 'pause', 'finish'].forEach(event =>
+            wavesurfer.on(event, () => events.push(event))
+        );
+        wavesurfer.once('audioprocess', time => {
+            expect(time).toEqual(10);
+            expect(wavesurfer.getCurrentTime()).toEqual(10);
+            source.pause();
+        });
+        wavesurfer.on('finish', () => {
+            expect(events).toEqual(['play', 'pause', 'finish']);
+            done();
+        });
+
+        source.seek(10);
+        source.play();
+    });
+
+    it('pauses at the end of the play range', function(done) {
+        wavesurfer.on('pause', () => {
+            expect(source.paused).toBe(true);
+            expect(source.time).toEqual(4);
+            done();
+        });
+
+        wavesurfer.play(1, 3);
+        source.seek(4);
+    });
+
+    it('interpolates coarse time updates', function(done) {
+        let now = 0;
+        spyOn(performance, 'now').and.callFake(() => now);
+        wavesurfer.params.clockInterpolation = true;
+        const times = [];
+        wavesurfer.on('audioprocess', time => {
+            times.push(time);
+            now += 100;
+            if (times.length == 3) {
+                expect(times[0]).toEqual(2);
+                expect(times[1]).toBeCloseTo(2.1, 6);
+                expect(times[2]).toBeCloseTo(2.2, 6);
+                done();
+            }
+        });
+
+        source.seek(2);
+        source.play();
+    });
+
+    it('only reads a media element while it plays or after its events', function(done) {
+        const media = createMedia();
+        wavesurfer.attachClock(new MediaElementClock(media));
+
+        wavesurfer.once('pause', () => {
+            // the frame that fired the event is the last one
+            setTimeout(() => {
+                expect(wavesurfer.clockTicking).toBe(false);
+                media.currentTime = 4;
+                media.dispatchEvent(new Event('seeked'));
+                expect(wavesurfer.getCurrentTime()).toEqual(4);
+                expect(wavesurfer.clockTicking).toBe(false);
+                done();
+            }, 100);
+        });
+        setTimeout(() => {
+            // paused without events
+            expect(wavesurfer.clockTicking).toBe(false);
+            media.paused = false;
+            media.dispatchEvent(new Event('play'));
+            expect(wavesurfer.isPlaying()).toBe(true);
+            expect(wavesurfer.clockTicking).toBe(true);
+            media.paused = true;
+        }, 100);
+    });
+
+    it('subtracts the latency from the time of the clock', function(done) {
+        wavesurfer.params.clockLatency = 0.5;
+        wavesurfer.once('audioprocess', time => {
+            expect(time).toEqual(2.5);
+            done();
+        });
+
+        source.seek(3);
+        source.play();
+    });
+});
@@ -0,0 +1,177 @@
+/* eslint-env jasmine */
+import SVGRenderer from '../src/drawer.svg';
+import TestHelpers from './test-helpers';
+import RegionsPlugin from '../src/plugin/regions';
+import TimelinePlugin from '../src/plugin/timeline';
+
+/** @test {WaveSurfer#exportCompositeImage} */
+describe('WaveSurfer/exportCompositeImage:', function() {
+    let container;
+    let timelineContainer;
+    let wavesurfer;
+
+    /**
+     * Create a 400 pixels wide wavesurfer instance with 100 seconds of peaks
+     * loaded, the cursor is in the middle
+     *
+     * @param {Object} params Additional params
+     */
+    function createWaveSurfer(params = {}) {
+        [wavesurfer, container] = TestHelpers.createPeaksWaveform(
+            Object.assign(
+                {
+                    pixelRatio: 1,
+                    height: 100,
+                    waveColor: '#ff0000',
+                    progressColor: '#0000ff',
+                    cursorColor: '#00ff00',
+                    cursorWidth: 2
+                },
+                params
+            )
+        );
+        wavesurfer.seekTo(0.5);
+    }
+
+    /**
+     * Load an exported data URL into a canvas
+     *
+     * @param {string} url The data URL
+     * @param {function} callback Called with the 2D context of the canvas
+     */
+    function loadImage(url, callback) {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = image.width;
+            canvas.height = image.height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(image, 0, 0);
+            callback(ctx);
+        };
+        image.src = url;
+    }
+
+    /**
+     * @param {CanvasRenderingContext2D} ctx The context
+     * @param {number} x X-position of the pixel
+     * @param {number} y Y-position of the pixel
+     * @return {number[]} The RGBA values of the pixel
+     */
+    function pixel(ctx, x, y) {
+        return Array.from(ctx.getImageData(x, y, 1, 1).data);
+    }
+
+    beforeEach(function() {
+        timelineContainer = TestHelpers.createElement();
+    });
+
+    afterEach(function() {
+        wavesurfer.destroy();
+        TestHelpers.removeElement(container);
+        TestHelpers.removeElement(timelineContainer);
+    });
+
+    it('exports one image with the progress and the cursor', function(done) {
+        createWaveSurfer();
+
+        loadImage(wavesurfer.exportCompositeImage(), ctx => {
+            expect(ctx.canvas.width).toEqual(400);
+            expect(ctx.canvas.height).toEqual(100);
+            expect(pixel(ctx, 100, 50)).toEqual([0, 0, 255, 255]);
+            expect(pixel(ctx, 199, 50)).toEqual([0, 255, 0, 255]);
+            expect(pixel(ctx, 300, 50)).toEqual([255, 0, 0, 255]);
+            done();
+        });
+    });
+
+    it('exports the visible part or the full track', function(done) {
+        createWaveSurfer();
+        wavesurfer.zoom(20);
+        wavesurfer.scrollToTime(60, { align: 'start' });
+
+        // the cursor at 50 seconds is out of view
+        loadImage(wavesurfer.exportCompositeImage(), ctx => {
+            expect(ctx.canvas.width).toEqual(400);
+            expect(pixel(ctx, 10, 50)).toEqual([255, 0, 0, 255]);
+
+            const url = wavesurfer.exportCompositeImage({
+                range: 'full',
+                width: 300,
+                height: 40,
+                pixelRatio: 2
+            });
+            loadImage(url, fullCtx => {
+                expect(fullCtx.canvas.width).toEqual(600);
+                expect(fullCtx.canvas.height).toEqual(80);
+                expect(pixel(fullCtx, 100, 40)).toEqual([0, 0, 255, 255]);
+                expect(pixel(fullCtx, 500, 40)).toEqual([255, 0, 0, 255]);
+                done();
+            });
+        });
+    });
+
+    it('draws the chosen layers in their order', function(done) {
+        createWaveSurfer({
+            plugins: [RegionsPlugin.create({})]
+        });
+        wavesurfer.addRegion({ start: 70, end: 90, color: '#ffff00' });
+
+        const url = wavesurfer.exportCompositeImage({
+            layers: ['wave', 'regions']
+        });
+        loadImage(url, ctx => {
+            // no progress, cursor or background
+            expect(pixel(ctx, 100, 50)).toEqual([255, 0, 0, 255]);
+            expect(pixel(ctx, 199, 50)).toEqual([255, 0, 0, 255]);
+            expect(pixel(ctx, 100, 5)).toEqual([0, 0, 0, 0]);
+            // the region is drawn over the waveform
+            expect(pixel(ctx, 320, 5)).toEqual([255, 255, 0, 255]);
+            expect(pixel(ctx, 320, 50)).toEqual([255, 255, 0, 255]);
+            done();
+        });
+        expect(() =>
+            wavesurfer.exportCompositeImage({ layers: ['minimap'] })
+        ).toThrowError(/Unknown layer minimap/);
+    });
+
+    it('adds the timeline below the waveform', function(done) {
+        createWaveSurfer({
+            backgroundColor: '#ffffff',
+            plugins: [TimelinePlugin.create({ container: timelineContainer })]
+        });
+
+        loadImage(wavesurfer.exportCompositeImage(), ctx => {
+            expect(ctx.canvas.height).toEqual(120);
+            // the notch at 0 seconds on the background of the band
+            expect(pixel(ctx, 0, 110)).toEqual([0, 0, 0, 255]);
+            expect(pixel(ctx, 398, 101)).toEqual([255, 255, 255, 255]);
+            done();
+        });
+    });
+
+    it('returns a blob', function(done) {
+        createWaveSurfer();
+
+        wavesurfer
+            .exportCompositeImage({ type: 'blob', format: 'image/jpeg' })
+            .then(blob => {
+                expect(blob.type).toEqual('image/jpeg');
+                done();
+            });
+    });
+
+    it('returns an SVG document with the SVG renderer', function() {
+        createWaveSurfer({
+            renderer: SVGRenderer,
+            plugins: [RegionsPlugin.create({})]
+        });
+        wavesurfer.addRegion({ start: 70, end: 90, color: '#ffff00' });
+
+        const markup = wavesurfer.exportCompositeImage();
+        expect(markup).toMatch(/^<svg/);
+        expect(markup).toMatch(/viewBox="0 0 400 100"/);
+        expect(markup).toMatch(/class="wavesurfer-progress"/);
+        expect(markup).toMatch(/<rect[^>]*fill="#ffff00"/);
+    });
+});
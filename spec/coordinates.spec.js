@@ -0,0 +1,122 @@
+/* eslint-env jasmine */
+import TestHelpers from './test-helpers';
+
+/** @test {Drawer#timeToPx} */
+describe('Drawer/coordinates:', function() {
+    let container;
+    let wavesurfer;
+    let drawer;
+
+    /**
+     * Create a 400 pixels wide wavesurfer instance with 100 seconds of peaks
+     * loaded and zoomed to 20 pixels per second
+     *
+     * @param {Object} params Additional params
+     * @param {?number} pxPerSec The zoom, null to not scroll
+     */
+    function createWaveSurfer(params = {}, pxPerSec = 20) {
+        [wavesurfer, container] = TestHelpers.createPeaksWaveform(
+            Object.assign({ pixelRatio: 2 }, params)
+        );
+        if (pxPerSec) {
+            wavesurfer.zoom(pxPerSec);
+        }
+        drawer = wavesurfer.drawer;
+    }
+
+    afterEach(function() {
+        wavesurfer.destroy();
+        TestHelpers.removeElement(container);
+    });
+
+    it('converts times to css and canvas pixels', function() {
+        createWaveSurfer();
+
+        expect(drawer.timeToPx(30)).toEqual(600);
+        expect(drawer.timeToPx(30, { space: 'canvas' })).toEqual(1200);
+        expect(drawer.pxToTime(600)).toEqual(30);
+        expect(drawer.pxToTime(1200, 'canvas')).toEqual(30);
+    });
+
+    it('converts times to client pixels of the scrolled view', function() {
+        createWaveSurfer();
+        drawer.wrapper.scrollLeft = 500;
+        const { left } = drawer.wrapper.getBoundingClientRect();
+
+        expect(drawer.timeToPx(30, { space: 'client' })).toBeCloseTo(
+            left + 100,
+            6
+        );
+        expect(drawer.pxToTime(left + 100, 'client')).toBeCloseTo(30, 6);
+    });
+
+    it('mirrors client pixels in rtl mode', function() {
+        createWaveSurfer({ rtl: true });
+        drawer.wrapper.scrollLeft = 500;
+        const { right } = drawer.wrapper.getBoundingClientRect();
+
+        expect(drawer.timeToPx(30, { space: 'client' })).toBeCloseTo(
+            right - 100,
+            6
+        );
+        expect(drawer.pxToTime(right - 100, 'client')).toBeCloseTo(30, 6);
+        // the position in the wrapper is the same as without rtl
+        expect(drawer.timeToPx(30)).toEqual(600);
+    });
+
+    it('maps client pixels to the top in vertical mode', function() {
+        createWaveSurfer({ vertical: true });
+        drawer.wrapper.scrollLeft = 500;
+        const element = drawer.wrapper.domElement;
+        // scrolled along the waveform, i.e. vertically
+        const top = element.getBoundingClientRect().top - element.scrollTop;
+
+        expect(drawer.timeToPx(30)).toEqual(600);
+        expect(drawer.timeToPx(30, { space: 'client' })).toBeCloseTo(
+            top + 600,
+            6
+        );
+        expect(drawer.pxToTime(top + 600, 'client')).toBeCloseTo(30, 6);
+    });
+
+    it('converts times of a waveform that fills the container', function() {
+        createWaveSurfer({}, null);
+        const { left } = drawer.wrapper.getBoundingClientRect();
+
+        expect(drawer.timeToPx(30)).toEqual(120);
+        expect(drawer.timeToPx(30, { space: 'canvas' })).toEqual(240);
+        expect(drawer.timeToPx(30, { space: 'client' })).toBeCloseTo(
+            left + 120,
+            6
+        );
+        expect(drawer.pxToTime(120)).toEqual(30);
+        expect(drawer.pxToTime(left + 120, 'client')).toBeCloseTo(30, 6);
+    });
+
+    it('converts times of a waveform narrower than the container', function() {
+        createWaveSurfer({ fillParent: false, minPxPerSec: 2 }, null);
+        const { left } = drawer.wrapper.getBoundingClientRect();
+
+        expect(drawer.timeToPx(30)).toEqual(60);
+        expect(drawer.timeToPx(30, { space: 'canvas' })).toEqual(120);
+        expect(drawer.pxToTime(left + 60, 'client')).toBeCloseTo(30, 6);
+        // right of the drawn waveform
+        expect(drawer.pxToTime(300)).toEqual(100);
+    });
+
+    it('limits times to the duration', function() {
+        createWaveSurfer();
+
+        expect(drawer.pxToTime(-10)).toEqual(0);
+        expect(drawer.pxToTime(5000)).toEqual(100);
+    });
+
+    it('rejects unknown spaces', function() {
+        createWaveSurfer();
+
+        expect(() => drawer.timeToPx(1, { space: 'page' })).toThrowError(
+            /Unknown space/
+        );
+        expect(() => drawer.pxToTime(1, 'page')).toThrowError(/Unknown space/);
+    });
+});
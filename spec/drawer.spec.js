@@ -169,3 +169,64 @@ describe('Drawer/vertical:', function() {
         expect(drawer.handleEvent({clientY: right - 1}, true)).toBeLessThan(1);
     });
 });
+
+/** @test {Drawer#drawPeaks} */
+describe('Drawer/peak scale:', function() {
+    let container;
+    let wavesurfer;
+
+    beforeEach(function() {
+        container = TestHelpers.createElement();
+        container.style.width = '4px';
+        [wavesurfer] = TestHelpers.createWaveform({
+            container: container,
+            pixelRatio: 1,
+            height: 100,
+            barWidth: 1,
+            barGap: 1
+        });
+        spyOn(wavesurfer.drawer, 'fillRect');
+    });
+
+    afterEach(function() {
+        wavesurfer.destroy();
+        TestHelpers.removeElement(container);
+    });
+
+    /**
+     * @return {number[][]} The y-position and height of each bar
+     */
+    function bars() {
+        return wavesurfer.drawer.fillRect.calls
+            .allArgs()
+            .map(args => [args[1], args[3]]);
+    }
+
+    it('draws unsigned peaks with a full scale value as magnitudes', function(done) {
+        wavesurfer.load(new Uint8Array([255, 51]), 1, 255);
+
+        expect(wavesurfer.peakOffset).toEqual(0);
+        // the bars are drawn in the next frame
+        setTimeout(() => {
+            expect(bars()).toEqual([
+                [0, 100],
+                [40, 20]
+            ]);
+            done();
+        }, 100);
+    });
+
+    it('centers unsigned peaks without a full scale value', function(done) {
+        wavesurfer.load(new Uint8Array([255, 1, 160, 96]), 1);
+
+        expect(wavesurfer.peakOffset).toEqual(128);
+        setTimeout(() => {
+            // the bars are drawn from the max value of each pair
+            expect(bars()).toEqual([
+                [0, 100],
+                [37, 26]
+            ]);
+            done();
+        }, 100);
+    });
+});
@@ -0,0 +1,156 @@
+/* eslint-env jasmine */
+import TestHelpers from './test-helpers';
+import RegionsPlugin from '../src/plugin/regions';
+import MarkersPlugin from '../src/plugin/markers';
+import HistoryPlugin from '../src/plugin/history';
+
+/** @test {HistoryPlugin} */
+describe('HistoryPlugin:', function() {
+    let container;
+    let wavesurfer;
+
+    /**
+     * Create a wavesurfer instance with peaks loaded
+     *
+     * @param {HistoryPluginParams} params The history plugin params
+     */
+    function createWaveSurfer(params = {}) {
+        container = TestHelpers.createElement();
+        [wavesurfer] = TestHelpers.createWaveform({
+            container: container,
+            plugins: [
+                RegionsPlugin.create({}),
+                MarkersPlugin.create({}),
+                HistoryPlugin.create(params)
+            ]
+        });
+        wavesurfer.load([0.5, -0.5, 0.25, -0.25], 10);
+    }
+
+    /**
+     * Simulate the end of a drag of a region
+     *
+     * @param {Region} region The region
+     * @param {Object} params The new start and end
+     */
+    function drag(region, params) {
+        region.isDragging = true;
+        region.update({ start: region.start + 0.1 });
+        region.update(params);
+        region.isDragging = false;
+        wavesurfer.fireEvent('region-update-end', region);
+    }
+
+    afterEach(function() {
+        wavesurfer.destroy();
+        TestHelpers.removeElement(container);
+    });
+
+    it('undoes and redoes adding a region', function() {
+        createWaveSurfer();
+        wavesurfer.addRegion({ id: 'a', start: 1, end: 2 });
+
+        expect(wavesurfer.canUndo()).toBe(true);
+        expect(wavesurfer.undo()).toBe(true);
+        expect(wavesurfer.regions.list.a).toBeUndefined();
+        expect(wavesurfer.canRedo()).toBe(true);
+
+        wavesurfer.redo();
+        expect(wavesurfer.regions.list.a.end).toEqual(2);
+        expect(wavesurfer.canRedo()).toBe(false);
+    });
+
+    it('records a drag as one entry', function() {
+        createWaveSurfer();
+        const region = wavesurfer.addRegion({ id: 'a', start: 1, end: 2 });
+        drag(region, { start: 3, end: 4 });
+
+        wavesurfer.undo();
+        expect([region.start, region.end]).toEqual([1, 2]);
+        expect(wavesurfer.regions.list.a).toBe(region);
+
+        wavesurfer.redo();
+        expect([region.start, region.end]).toEqual([3, 4]);
+    });
+
+    it('records a region drawn with the mouse as one entry', function() {
+        createWaveSurfer();
+        const region = wavesurfer.addRegion({ id: 'a', start: 1, end: 1.1 });
+        region.isDrawing = true;
+        region.update({ end: 5 });
+        wavesurfer.fireEvent('region-update-end', region);
+        region.isDrawing = false;
+
+        wavesurfer.undo();
+        expect(wavesurfer.canUndo()).toBe(false);
+        expect(wavesurfer.regions.list.a).toBeUndefined();
+
+        wavesurfer.redo();
+        expect(wavesurfer.regions.list.a.end).toEqual(5);
+    });
+
+    it('undoes removing a region', function() {
+        createWaveSurfer();
+        wavesurfer
+            .addRegion({ id: 'a', start: 1, end: 2, data: { note: 'x' } })
+            .remove();
+
+        wavesurfer.undo();
+        expect(wavesurfer.regions.list.a.data).toEqual({ note: 'x' });
+        wavesurfer.redo();
+        expect(wavesurfer.regions.list.a).toBeUndefined();
+    });
+
+    it('undoes adding and removing markers', function() {
+        createWaveSurfer();
+        wavesurfer.addMarker({ time: 3, label: 'V1' });
+        wavesurfer.markers.remove(0);
+
+        wavesurfer.undo();
+        expect(wavesurfer.markers.markers.length).toEqual(1);
+        expect(wavesurfer.markers.markers[0].label).toEqual('V1');
+
+        wavesurfer.undo();
+        expect(wavesurfer.markers.markers.length).toEqual(0);
+
+        wavesurfer.redo();
+        wavesurfer.redo();
+        expect(wavesurfer.markers.markers.length).toEqual(0);
+    });
+
+    it('drops the redo entries with a new change', function() {
+        createWaveSurfer();
+        wavesurfer.addRegion({ id: 'a', start: 1, end: 2 });
+        wavesurfer.undo();
+        wavesurfer.addRegion({ id: 'b', start: 1, end: 2 });
+
+        expect(wavesurfer.canRedo()).toBe(false);
+        expect(wavesurfer.redo()).toBe(false);
+    });
+
+    it('limits the number of entries', function() {
+        createWaveSurfer({ limit: 2 });
+        ['a', 'b', 'c'].forEach(id =>
+            wavesurfer.addRegion({ id: id, start: 1, end: 2 })
+        );
+
+        expect(wavesurfer.undo()).toBe(true);
+        expect(wavesurfer.undo()).toBe(true);
+        expect(wavesurfer.undo()).toBe(false);
+        expect(Object.keys(wavesurfer.regions.list)).toEqual(['a']);
+    });
+
+    it('fires history-change events', function() {
+        createWaveSurfer();
+        const changes = [];
+        wavesurfer.on('history-change', (canUndo, canRedo) =>
+            changes.push([canUndo, canRedo])
+        );
+
+        wavesurfer.addRegion({ id: 'a', start: 1, end: 2 });
+        wavesurfer.undo();
+        wavesurfer.redo();
+
+        expect(changes).toEqual([[true, false], [false, true], [true, false]]);
+    });
+});
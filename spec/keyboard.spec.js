@@ -0,0 +1,126 @@
+/* eslint-env jasmine */
+import TestHelpers from './test-helpers';
+
+/** @test {WaveSurfer#handleKeyDown} */
+describe('WaveSurfer/keyboard:', function() {
+    let container;
+    let wavesurfer;
+
+    /**
+     * Create a wavesurfer instance with 100 seconds of peaks loaded
+     *
+     * @param {Object} params Additional params
+     * @return {HTMLElement} The wrapper
+     */
+    function createWaveSurfer(params = {}) {
+        container = TestHelpers.createElement();
+        [wavesurfer] = TestHelpers.createWaveform(
+            Object.assign({ container: container, keyboard: true }, params)
+        );
+        wavesurfer.load([0.5, -0.5, 0.25, -0.25], 100);
+        return wavesurfer.drawer.wrapper.domElement;
+    }
+
+    /**
+     * Press a key on the wrapper
+     *
+     * @param {string} key The `KeyboardEvent.key` value
+     * @return {KeyboardEvent} The event
+     */
+    function press(key) {
+        const event = new KeyboardEvent('keydown', {
+            key: key,
+            cancelable: true
+        });
+        wavesurfer.drawer.wrapper.domElement.dispatchEvent(event);
+        return event;
+    }
+
+    afterEach(function() {
+        wavesurfer.destroy();
+        TestHelpers.removeElement(container);
+    });
+
+    it('is off by default', function() {
+        const wrapper = createWaveSurfer({ keyboard: false });
+
+        expect(wrapper.hasAttribute('tabindex')).toBe(false);
+        expect(wrapper.hasAttribute('role')).toBe(false);
+        expect(press('ArrowRight').defaultPrevented).toBe(false);
+        expect(wavesurfer.getCurrentTime()).toEqual(0);
+    });
+
+    it('makes the waveform a focusable slider', function() {
+        const wrapper = createWaveSurfer();
+
+        expect(wrapper.getAttribute('tabindex')).toEqual('0');
+        expect(wrapper.getAttribute('role')).toEqual('slider');
+        expect(wrapper.getAttribute('aria-label')).toEqual('Playback position');
+        expect(wrapper.getAttribute('aria-valuemin')).toEqual('0');
+        expect(wrapper.getAttribute('aria-valuemax')).toEqual('100');
+        expect(wrapper.getAttribute('aria-valuenow')).toEqual('0');
+        expect(wrapper.getAttribute('aria-valuetext')).toEqual('0:00 of 1:40');
+    });
+
+    it('uses the configured label', function() {
+        const wrapper = createWaveSurfer({ ariaLabel: 'Wiedergabeposition' });
+
+        expect(wrapper.getAttribute('aria-label')).toEqual('Wiedergabeposition');
+    });
+
+    it('updates the maximum when peaks are appended', function() {
+        const wrapper = createWaveSurfer();
+        wavesurfer.appendPeaks([0.5, -0.5], 20);
+
+        expect(wrapper.getAttribute('aria-valuemax')).toEqual('120');
+        expect(wrapper.getAttribute('aria-valuetext')).toEqual('0:00 of 2:00');
+    });
+
+    it('updates the value when the position changes', function() {
+        const wrapper = createWaveSurfer();
+        wavesurfer.seekTo(0.655);
+
+        expect(wrapper.getAttribute('aria-valuenow')).toEqual('65');
+        expect(wrapper.getAttribute('aria-valuetext')).toEqual('1:05 of 1:40');
+    });
+
+    it('skips with the arrow keys', function() {
+        createWaveSurfer({ skipLength: 5 });
+
+        expect(press('ArrowRight').defaultPrevented).toBe(true);
+        press('ArrowUp');
+        expect(wavesurfer.getCurrentTime()).toEqual(10);
+        press('ArrowLeft');
+        expect(wavesurfer.getCurrentTime()).toEqual(5);
+        press('ArrowDown');
+        expect(wavesurfer.getCurrentTime()).toEqual(0);
+    });
+
+    it('supports Home, End, PageUp and PageDown', function() {
+        createWaveSurfer({ skipLength: 2 });
+
+        press('PageUp');
+        expect(wavesurfer.getCurrentTime()).toEqual(20);
+        press('End');
+        expect(wavesurfer.getCurrentTime()).toEqual(100);
+        press('PageDown');
+        expect(wavesurfer.getCurrentTime()).toEqual(80);
+        press('Home');
+        expect(wavesurfer.getCurrentTime()).toEqual(0);
+    });
+
+    it('uses the configured keys', function() {
+        createWaveSurfer({
+            keyboardKeys: { skipForward: ['l'], skipBackward: ['j'] }
+        });
+
+        expect(press('ArrowRight').defaultPrevented).toBe(false);
+        press('l');
+        expect(wavesurfer.getCurrentTime()).toEqual(2);
+        press('j');
+        expect(wavesurfer.getCurrentTime()).toEqual(0);
+        // the keys that are not overridden stay the same
+        press('End');
+        expect(wavesurfer.getCurrentTime()).toEqual(100);
+    });
+});
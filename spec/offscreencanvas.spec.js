@@ -0,0 +1,163 @@
+/* eslint-env jasmine */
+import OffscreenCanvasRenderer from '../src/drawer.offscreencanvas';
+import TestHelpers from './test-helpers';
+import CanvasEntry from '../src/drawer.canvasentry';
+
+/** @test {OffscreenCanvasRenderer} */
+describe('OffscreenCanvasRenderer:', function() {
+    let container;
+    let wavesurfer;
+
+    /**
+     * Create a wavesurfer instance that draws in a worker
+     *
+     * @return {OffscreenCanvasRenderer} The drawer
+     */
+    function createWaveSurfer() {
+        container = TestHelpers.createElement();
+        container.style.width = '400px';
+        [wavesurfer] = TestHelpers.createWaveform({
+            container: container,
+            pixelRatio: 1,
+            renderer: OffscreenCanvasRenderer
+        });
+        return wavesurfer.drawer;
+    }
+
+    /**
+     * @param {jasmine.Spy} spy The spy of `postMessage`
+     * @param {string} type The type of the messages
+     * @return {Object[]} The messages of the type sent to the worker
+     */
+    function messages(spy, type) {
+        return spy.calls
+            .allArgs()
+            .map(args => args[0])
+            .filter(message => message.type == type);
+    }
+
+    afterEach(function() {
+        wavesurfer.destroy();
+        TestHelpers.removeElement(container);
+    });
+
+    it('hands the canvases over to a worker', function() {
+        const drawer = createWaveSurfer();
+
+        expect(drawer.worker).toBeTruthy();
+        expect(() =>
+            drawer.canvases[0].wave.domElement.getContext('2d')
+        ).toThrow();
+    });
+
+    it('sends the peaks to the worker once', function(done) {
+        const drawer = createWaveSurfer();
+        const postMessage = spyOn(drawer.worker, 'postMessage').and.callThrough();
+
+        wavesurfer.load(new Array(2000).fill(0.5), 100);
+        wavesurfer.zoom(50);
+        setTimeout(() => {
+            const peaks = messages(postMessage, 'peaks');
+            expect(peaks.length).toEqual(1);
+            expect(peaks[0].values).toEqual(jasmine.any(Float32Array));
+            // the flat line of the empty waveform, the load and the zoom
+            expect(messages(postMessage, 'draw').length).toEqual(3);
+            done();
+        }, 100);
+    });
+
+    it('sends only the appended peaks to the worker', function(done) {
+        const drawer = createWaveSurfer();
+        const postMessage = spyOn(drawer.worker, 'postMessage').and.callThrough();
+
+        wavesurfer.load(new Float32Array(2000).fill(0.5), 100);
+        setTimeout(() => {
+            wavesurfer.appendPeaks(new Float32Array(400).fill(0.25), 20);
+            setTimeout(() => {
+                const peaks = messages(postMessage, 'peaks');
+                expect(peaks.length).toEqual(2);
+                expect(peaks[1].from).toEqual(1998);
+                expect(peaks[1].values.length).toEqual(402);
+                done();
+            }, 100);
+        }, 100);
+    });
+
+    it('keeps the peaks of each level of a pyramid in the worker', function(done) {
+        const drawer = createWaveSurfer();
+        wavesurfer.params.peakPyramid = true;
+        const postMessage = spyOn(drawer.worker, 'postMessage').and.callThrough();
+
+        wavesurfer.load(new Array(8000).fill(0.5), 100);
+        wavesurfer.zoom(40);
+        wavesurfer.zoom(0);
+        setTimeout(() => {
+            const peaks = messages(postMessage, 'peaks');
+            expect(peaks.map(message => message.level)).toEqual([4, 1]);
+            expect(messages(postMessage, 'draw').map(message => message.level))
+                .toEqual([0, 4, 1, 4]);
+            done();
+        }, 100);
+    });
+
+    it('exports the canvases as blobs', function(done) {
+        createWaveSurfer();
+        wavesurfer.load([0.5, -0.5, 0.25, -0.25], 100);
+
+        expect(() => wavesurfer.exportImage()).toThrowError(/blob type/);
+        wavesurfer.exportImage('image/png', 1, 'blob').then(blobs => {
+            expect(blobs.length).toEqual(1);
+            expect(blobs[0]).toEqual(jasmine.any(Blob));
+            done();
+        });
+    });
+
+    it('rejects the pending exports when the worker stops', function(done) {
+        const drawer = createWaveSurfer();
+        wavesurfer.load([0.5, -0.5, 0.25, -0.25], 100);
+
+        wavesurfer.exportImage('image/png', 1, 'blob').catch(e => {
+            expect(e.message).toMatch(/worker stopped/);
+            expect(drawer.imageRequests).toEqual({});
+            done();
+        });
+        // e.g. after an error of the worker
+        drawer.fallBack();
+    });
+
+    it('rejects the exports that fail in the worker', function(done) {
+        const drawer = createWaveSurfer();
+        wavesurfer.load([0.5, -0.5, 0.25, -0.25], 100);
+        const postMessage = spyOn(drawer.worker, 'postMessage');
+
+        wavesurfer.exportImage('image/png', 1, 'blob').catch(e => {
+            expect(e.message).toEqual('The image could not be encoded');
+            expect(drawer.imageRequests).toEqual({});
+            done();
+        });
+        // the answer of the worker when convertToBlob() fails
+        drawer.worker.onmessage({
+            data: {
+                type: 'image',
+                request: messages(postMessage, 'image')[0].request,
+                error: 'The image could not be encoded'
+            }
+        });
+    });
+
+    it('renders like MultiCanvas without OffscreenCanvas', function() {
+        const OffscreenCanvas = window.OffscreenCanvas;
+        window.OffscreenCanvas = undefined;
+        let drawer;
+        try {
+            drawer = createWaveSurfer();
+        } finally {
+            window.OffscreenCanvas = OffscreenCanvas;
+        }
+        wavesurfer.load([0.5, -0.5, 0.25, -0.25], 100);
+
+        expect(drawer.worker).toBeNull();
+        expect(drawer.canvases[0]).toEqual(jasmine.any(CanvasEntry));
+        expect(drawer.canvases[0].waveCtx).toBeTruthy();
+    });
+});
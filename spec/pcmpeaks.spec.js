@@ -0,0 +1,120 @@
+/* eslint-env jasmine */
+import TestHelpers from './test-helpers';
+import { computePeaks, computePeaksAsync } from '../src/pcmpeaks';
+
+/** @test {computePeaks} */
+describe('pcmpeaks.computePeaks:', function() {
+    it('reduces samples to max/min pairs of their type', function() {
+        const samples = Int16Array.from([1, -5, 3, 7, -2, 0, 4]);
+        const result = computePeaks([samples], 3, false, 0, null);
+
+        expect(result.peaks[0] instanceof Int16Array).toBe(true);
+        // the last peak only has one sample
+        expect(Array.from(result.peaks[0])).toEqual([3, -5, 7, -2, 4, 4]);
+        expect(result.rms).toBeNull();
+    });
+
+    it('computes the rms around the zero line', function() {
+        const samples = Uint8Array.from([131, 125, 132, 124]);
+        const result = computePeaks([samples], 2, true, 128, null);
+
+        expect(result.rms[0][0]).toBeCloseTo(3, 6);
+        expect(result.rms[0][1]).toBeCloseTo(4, 6);
+    });
+
+    it('reports the progress', function() {
+        const progress = [];
+        computePeaks([new Float32Array(10)], 2, false, 0, p => progress.push(p));
+
+        expect(progress[progress.length - 1]).toEqual(1);
+    });
+});
+
+/** @test {computePeaksAsync} */
+describe('pcmpeaks.computePeaksAsync:', function() {
+    const left = Float32Array.from([0.5, -0.5, 0.25, -0.25]);
+    const right = Float32Array.from([0.125, -0.25, 0.75, -1]);
+
+    it('computes the peaks of each channel', function(done) {
+        const progress = [];
+        computePeaksAsync([left, right], { samplesPerPeak: 2 }, p =>
+            progress.push(p)
+        ).then(data => {
+            expect(data.length).toEqual(2);
+            expect(data.samplesPerPeak).toEqual(2);
+            expect(Array.from(data.peaks[0])).toEqual([0.5, -0.5, 0.25, -0.25]);
+            expect(Array.from(data.peaks[1])).toEqual([0.125, -0.25, 0.75, -1]);
+            expect(progress[progress.length - 1]).toEqual(1);
+            // the samples stay with the caller
+            expect(left.length).toEqual(4);
+            done();
+        });
+    });
+
+    it('returns the peaks of a single channel as one array', function(done) {
+        computePeaksAsync([left], {
+            samplesPerPeak: 4,
+            rms: true,
+            worker: false
+        }).then(data => {
+            expect(Array.from(data.peaks)).toEqual([0.5, -0.5]);
+            expect(data.rms[0]).toBeCloseTo(Math.sqrt(0.15625), 6);
+            done();
+        });
+    });
+
+    it('rejects invalid channels', function() {
+        expect(() => computePeaksAsync([])).toThrowError(/non-empty/);
+        expect(() =>
+            computePeaksAsync([left, new Float32Array(2)])
+        ).toThrowError(/same number of samples/);
+        expect(() =>
+            computePeaksAsync([left], { samplesPerPeak: 1.5 })
+        ).toThrowError(/samplesPerPeak/);
+    });
+});
+
+/** @test {WaveSurfer#loadPCM} */
+describe('WaveSurfer/loadPCM:', function() {
+    let container;
+    let wavesurfer;
+
+    beforeEach(function() {
+        [wavesurfer, container] = TestHelpers.createWaveform();
+    });
+
+    afterEach(function() {
+        wavesurfer.destroy();
+        TestHelpers.removeElement(container);
+    });
+
+    it('loads the peaks and their rms', function(done) {
+        const samples = Float32Array.from([0.5, -0.5, 0.25, -0.25]);
+        wavesurfer
+            .loadPCM(samples, 2, { samplesPerPeak: 2, rms: true, worker: false })
+            .then(() => {
+                expect(wavesurfer.getDuration()).toEqual(2);
+                expect(Array.from(wavesurfer.peaks)).toEqual([0.5, -0.5, 0.25, -0.25]);
+                expect(wavesurfer.getPeakRms()[0]).toBeCloseTo(0.5, 6);
+                expect(wavesurfer.getPeakRms()[1]).toBeCloseTo(0.25, 6);
+
+                wavesurfer.load([0.5, 0.25], 2);
+                expect(wavesurfer.getPeakRms()).toBeNull();
+                done();
+            });
+    });
+
+    it('drops its peaks if other peaks were loaded in the meantime', function(done) {
+        const options = { samplesPerPeak: 2, worker: false };
+        const first = wavesurfer.loadPCM(new Float32Array(8).fill(0.5), 2, options);
+        const second = wavesurfer.loadPCM(new Float32Array(4).fill(0.25), 2, options);
+        wavesurfer.load([0.75, 0.75], 3);
+
+        Promise.all([first, second]).then(([firstData]) => {
+            expect(firstData.length).toEqual(4);
+            expect(wavesurfer.getDuration()).toEqual(3);
+            expect(wavesurfer.peaks).toEqual([0.75, 0.75]);
+            done();
+        });
+    });
+});
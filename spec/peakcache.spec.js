@@ -137,4 +137,45 @@ describe('PeakCache:', function() {
         expect(ranges[0][0]).toEqual(test_start);
         expect(ranges[0][1]).toEqual(test_end3);
     });
+
+    /** @test {PeakCache#resizePeakCache} */
+    it('resizing keeps the ranges in front of the offset', function() {
+        peakcache.addRangeToPeakCache(test_length, test_start, test_end);
+        peakcache.addRangeToPeakCache(test_length, test_start3, test_end3);
+        peakcache.resizePeakCache(test_length2, test_start3 + 10);
+
+        let ranges = peakcache.getCacheRanges();
+        expect(ranges.length).toEqual(2);
+        expect(ranges[1][0]).toEqual(test_start3);
+        expect(ranges[1][1]).toEqual(test_start3 + 10);
+
+        // the new length does not clear the cache
+        let newranges = peakcache.addRangeToPeakCache(
+            test_length2,
+            test_start,
+            test_length2
+        );
+        expect(newranges.length).toEqual(2);
+        expect(newranges[0]).toEqual([test_end, test_start3]);
+        expect(newranges[1]).toEqual([test_start3 + 10, test_length2]);
+    });
+
+    /** @test {PeakCache#removeRangeFromPeakCache} */
+    it('removing a range splits the cached ranges around it', function() {
+        peakcache.addRangeToPeakCache(test_length, test_start, test_end3);
+        peakcache.removeRangeFromPeakCache(test_start2, test_end2);
+
+        expect(peakcache.getCacheRanges()).toEqual([
+            [test_start, test_start2],
+            [test_end2, test_end3]
+        ]);
+
+        // the removed range is uncached again
+        let newranges = peakcache.addRangeToPeakCache(
+            test_length,
+            test_start,
+            test_end3
+        );
+        expect(newranges).toEqual([[test_start2, test_end2]]);
+    });
 });
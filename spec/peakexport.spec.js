@@ -0,0 +1,196 @@
+/* eslint-env jasmine */
+import TestHelpers from './test-helpers';
+import { parseDat, parseJSON } from '../src/audiowaveform';
+
+/** @test {WaveSurfer#exportPeaks} */
+describe('WaveSurfer/exportPeaks:', function() {
+    let container;
+    let wavesurfer;
+
+    beforeEach(function() {
+        container = TestHelpers.createElement();
+        container.style.width = '400px';
+        [wavesurfer] = TestHelpers.createWaveform({
+            container: container,
+            pixelRatio: 1
+        });
+    });
+
+    afterEach(function() {
+        wavesurfer.destroy();
+        TestHelpers.removeElement(container);
+    });
+
+    it('exports the loaded peaks as JSON that can be loaded again', function(done) {
+        wavesurfer.load([0.5, -0.5, 0.25, -0.25, 1, -1, 0.75, -0.75], 4, 2);
+
+        wavesurfer.exportPeaks().then(json => {
+            const data = JSON.parse(json);
+            expect(data.duration).toEqual(4);
+            expect(data.peakMax).toEqual(2);
+            expect(data.pairs).toBeTrue();
+            expect(data.peaks).toEqual([0.5, -0.5, 0.25, -0.25, 1, -1, 0.75, -0.75]);
+            done();
+        });
+    });
+
+    it('resamples a part of the peaks', function(done) {
+        wavesurfer.load([0.5, -0.5, 0.25, -0.25, 1, -1, 0.75, -0.75], 4);
+
+        wavesurfer.exportPeaks({ length: 2 }).then(json => {
+            expect(JSON.parse(json).peaks).toEqual([0.5, -0.5, 1, -1]);
+
+            wavesurfer.exportPeaks({ start: 1, end: 3 }).then(part => {
+                const data = JSON.parse(part);
+                expect(data.start).toEqual(1);
+                expect(data.duration).toEqual(2);
+                expect(data.peaks).toEqual([0.25, -0.25, 1, -1]);
+                done();
+            });
+        });
+    });
+
+    it('keeps the channel layout and exports some of the channels', function(done) {
+        wavesurfer.load(
+            [
+                [1, 2, 3, 4],
+                [5, 6, 7, 8],
+                [9, 10, 11, 12]
+            ],
+            4
+        );
+
+        wavesurfer.exportPeaks({ channels: [0, 2], length: 2 }).then(json => {
+            const data = JSON.parse(json);
+            expect(data.channels).toEqual(2);
+            expect(data.pairs).toBeFalse();
+            expect(data.peaks).toEqual([
+                [2, 4],
+                [10, 12]
+            ]);
+            done();
+        });
+    });
+
+    it('writes peaks loaded with a layout back in it', function(done) {
+        const layout = { channels: 2, minFirst: true };
+        wavesurfer.load(new Int16Array([-1, 1, -2, 2, -3, 3, -4, 4]), 2, 4, layout);
+
+        wavesurfer.exportPeaks().then(json => {
+            const data = JSON.parse(json);
+            expect(data.layout).toEqual({
+                channels: 2,
+                interleaved: true,
+                pairs: true,
+                minFirst: true
+            });
+            expect(data.peaks).toEqual([-1, 1, -2, 2, -3, 3, -4, 4]);
+
+            wavesurfer.load(
+                data.peaks,
+                data.duration,
+                { max: data.peakMax, offset: data.peakOffset },
+                data.layout
+            );
+            expect(wavesurfer.peaks).toEqual([
+                [1, -1, 3, -3],
+                [2, -2, 4, -4]
+            ]);
+
+            wavesurfer.exportPeaks({ channels: [1] }).then(right => {
+                expect(JSON.parse(right).layout.channels).toEqual(1);
+                expect(JSON.parse(right).peaks).toEqual([-2, 2, -4, 4]);
+                done();
+            });
+        });
+    });
+
+    it('exports CSV', function(done) {
+        wavesurfer.load(
+            [
+                [0.5, -0.5, 0.25, -0.25],
+                [1, -1, 0.75, -0.75]
+            ],
+            2
+        );
+
+        wavesurfer.exportPeaks({ format: 'csv' }).then(csv => {
+            expect(csv).toEqual(
+                'time,max_0,min_0,max_1,min_1\n' +
+                    '0,0.5,-0.5,1,-1\n' +
+                    '1,0.25,-0.25,0.75,-0.75\n'
+            );
+            done();
+        });
+    });
+
+    it('exports audiowaveform files in the scale of the loaded peaks', function(done) {
+        wavesurfer.load(new Int8Array([64, -32, 16, -8]), 2);
+
+        wavesurfer
+            .exportPeaks({ format: 'dat', sampleRate: 8000 })
+            .then(blob => blob.arrayBuffer())
+            .then(buffer => {
+                const data = parseDat(buffer);
+                expect(data.bits).toEqual(8);
+                expect(data.samplesPerPixel).toEqual(8000);
+                expect(data.peaks).toEqual([64, -32, 16, -8]);
+
+                return wavesurfer.exportPeaks({
+                    format: 'audiowaveform-json',
+                    bits: 16
+                });
+            })
+            .then(json => {
+                const data = parseJSON(json);
+                expect(data.peakMax).toEqual(32768);
+                expect(data.peaks).toEqual([16384, -8192, 4096, -2048]);
+                done();
+            });
+    });
+
+    it('returns a blob and only opens a window when asked to', function(done) {
+        spyOn(window, 'open');
+        wavesurfer.load([0.5, 0.25], 2);
+
+        wavesurfer.exportPeaks({ type: 'blob' }).then(blob => {
+            expect(blob.type).toEqual('application/json');
+            expect(window.open).not.toHaveBeenCalled();
+
+            wavesurfer.exportPeaks({ format: 'csv', open: true }).then(csv => {
+                expect(csv).toEqual('time,peak\n0,0.5\n1,0.25\n');
+                expect(window.open).toHaveBeenCalledTimes(1);
+                done();
+            });
+        });
+    });
+
+    it('revokes the URL of the document once the window loaded it', function(done) {
+        const win = document.createElement('div');
+        spyOn(window, 'open').and.returnValue(win);
+        spyOn(URL, 'revokeObjectURL');
+        wavesurfer.load([0.5, 0.25], 2);
+
+        wavesurfer.exportPeaks({ open: true }).then(() => {
+            const url = window.open.calls.argsFor(0)[0];
+            expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+
+            win.dispatchEvent(new Event('load'));
+            expect(URL.revokeObjectURL).toHaveBeenCalledWith(url);
+            done();
+        });
+    });
+
+    it('rejects invalid options', function(done) {
+        wavesurfer.load([0.5, 0.25], 2);
+
+        wavesurfer.exportPeaks({ format: 'mp3' }).catch(e => {
+            expect(e.message).toMatch(/Unknown peak export format mp3/);
+
+            wavesurfer.exportPeaks({ start: 1, end: 3 }).catch(err => {
+                expect(err.message).toMatch(/Invalid export range/);
+                done();
+            });
+        });
+    });
+});
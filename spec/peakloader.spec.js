@@ -0,0 +1,384 @@
+/* eslint-env jasmine */
+import PeakLoader from '../src/peakloader';
+import TestHelpers from './test-helpers';
+
+/**
+ * Create a provider that keeps the requests until they are resolved by the
+ * test
+ *
+ * @param {number} channels Number of channels
+ * @return {Object} The provider
+ */
+function createProvider(channels) {
+    const provider = {
+        channels: channels,
+        requests: [],
+        getPeaks(startTime, endTime, resolution, signal) {
+            return new Promise((resolve, reject) => {
+                provider.requests.push({
+                    startTime,
+                    endTime,
+                    resolution,
+                    signal,
+                    resolve,
+                    reject
+                });
+            });
+        }
+    };
+    return provider;
+}
+
+/**
+ * A stand-in for an HTTP server that serves the byte ranges of a file. The
+ * returned function has the signature of `fetch` and answers requests with a
+ * `Range` header with the requested bytes.
+ *
+ * @param {ArrayBuffer} file The contents of the file
+ * @return {function} The `fetch` function, its `requests` property holds the
+ * `Range` header and the `signal` of each request
+ */
+function createRangeServer(file) {
+    const serve = (url, init = {}) => {
+        const range = init.headers && init.headers.Range;
+        const request = { url: url, range: range, signal: init.signal };
+        serve.requests.push(request);
+
+        return new Promise((resolve, reject) => {
+            // answer asynchronously like a server, so requests can be aborted
+            setTimeout(() => {
+                if (init.signal && init.signal.aborted) {
+                    reject(new DOMException('The request was aborted', 'AbortError'));
+                    return;
+                }
+                const match = /^bytes=(\d+)-(\d+)$/.exec(range || '');
+                if (!match) {
+                    resolve(new Response(file, { status: 200 }));
+                    return;
+                }
+                const first = Number(match[1]);
+                const last = Math.min(Number(match[2]), file.byteLength - 1);
+                if (first > last) {
+                    resolve(new Response(null, { status: 416 }));
+                    return;
+                }
+                resolve(
+                    new Response(file.slice(first, last + 1), {
+                        status: 206,
+                        headers: {
+                            'Content-Range': `bytes ${first}-${last}/${file.byteLength}`
+                        }
+                    })
+                );
+            }, 0);
+        });
+    };
+    serve.requests = [];
+    return serve;
+}
+
+/**
+ * The 16 bit min/max pairs of a headerless `audiowaveform` file with 100
+ * peaks per second, the peak of second `n` is `n + 1`
+ *
+ * @param {number} seconds The length of the file in seconds
+ * @return {ArrayBuffer} The file contents
+ */
+function createPeaksFile(seconds) {
+    const values = new Int16Array(seconds * 200);
+    for (let i = 0; i < values.length; i += 2) {
+        const peak = Math.floor(i / 200) + 1;
+        values[i] = -peak;
+        values[i + 1] = peak;
+    }
+    return values.buffer;
+}
+
+/**
+ * The provider of the documentation of `PeakProvider`, which reads the peaks
+ * with byte range requests
+ *
+ * @param {function} fetchRange The `fetch` function
+ * @return {PeakProvider} The provider
+ */
+function createByteRangeProvider(fetchRange) {
+    const datPeaksPerSecond = 100;
+    return {
+        getPeaks(startTime, endTime, resolution, signal) {
+            const first = Math.floor(startTime * datPeaksPerSecond);
+            const last = Math.ceil(endTime * datPeaksPerSecond);
+            return fetchRange('peaks.dat', {
+                headers: { Range: `bytes=${first * 4}-${last * 4 - 1}` },
+                signal: signal
+            })
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP error ${response.status}`);
+                    }
+                    return response.arrayBuffer();
+                })
+                .then(buffer => {
+                    const values = new Int16Array(buffer);
+                    const peaks = [];
+                    for (let i = 0; i < values.length; i += 2) {
+                        peaks.push(values[i + 1], values[i]);
+                    }
+                    return peaks;
+                });
+        }
+    };
+}
+
+/** @test {PeakLoader} */
+describe('PeakLoader:', function() {
+    let provider;
+    let loader;
+
+    beforeEach(function() {
+        provider = createProvider();
+        // 10 seconds
+        loader = new PeakLoader(provider, 10);
+    });
+
+    afterEach(function() {
+        loader.destroy();
+    });
+
+    /** @test {PeakLoader#load} */
+    it('requests the time range of the missing pixels', function(done) {
+        loader.load(100, 20, 40);
+        loader.load(100, 30, 50);
+
+        expect(provider.requests.length).toEqual(2);
+        expect(provider.requests[0].startTime).toBeCloseTo(2, 6);
+        expect(provider.requests[0].endTime).toBeCloseTo(4, 6);
+        expect(provider.requests[0].resolution).toBeCloseTo(10, 6);
+        expect(provider.requests[1].startTime).toBeCloseTo(4, 6);
+        expect(provider.requests[1].endTime).toBeCloseTo(5, 6);
+
+        loader.on('load', (start, end) => {
+            expect([start, end]).toEqual([20, 40]);
+            expect(loader.peaks.slice(60, 62)).toEqual([11, -11]);
+            expect(loader.peaks[80]).toBeUndefined();
+            done();
+        });
+        // one max/min pair per pixel
+        const peaks = [];
+        for (let i = 1; i <= 20; i++) {
+            peaks.push(i, -i);
+        }
+        provider.requests[0].resolve(peaks);
+    });
+
+    /** @test {PeakLoader#load} */
+    it('resamples peaks of another resolution', function(done) {
+        loader.load(100, 0, 2);
+        loader.on('load', () => {
+            expect(loader.peaks.slice(0, 4)).toEqual([3, -2, 5, -8]);
+            done();
+        });
+        provider.requests[0].resolve([1, -1, 3, -2, 2, -8, 5, -4]);
+    });
+
+    /** @test {PeakLoader#load} */
+    it('cancels requests outside of the loaded range', function(done) {
+        loader.load(100, 0, 10);
+        const stale = provider.requests[0];
+        loader.load(100, 50, 60);
+
+        expect(stale.signal.aborted).toBe(true);
+        stale.resolve(new Array(20).fill(1));
+
+        // the cancelled range is requested again
+        loader.load(100, 0, 10);
+        expect(provider.requests.length).toEqual(3);
+        expect(provider.requests[2].signal.aborted).toBe(false);
+
+        setTimeout(() => {
+            expect(loader.peaks[0]).toBeUndefined();
+            done();
+        }, 0);
+    });
+
+    /** @test {PeakLoader#getPeaks} */
+    it('discards the peaks when the width changes', function() {
+        loader.load(100, 0, 10);
+        const peaks = loader.getPeaks(100);
+
+        expect(peaks.length).toEqual(200);
+        expect(loader.getPeaks(300).length).toEqual(600);
+        expect(provider.requests[0].signal.aborted).toBe(true);
+    });
+
+    /** @test {PeakLoader#load} */
+    it('requests failed ranges again', function(done) {
+        loader.load(100, 0, 10);
+        loader.on('error', err => {
+            expect(err.message).toEqual('offline');
+            loader.load(100, 0, 10);
+            expect(provider.requests.length).toEqual(2);
+            done();
+        });
+        provider.requests[0].reject(new Error('offline'));
+    });
+
+    /** @test {PeakLoader#load} */
+    it('stores the peaks of each channel', function(done) {
+        loader.destroy();
+        provider = createProvider(2);
+        loader = new PeakLoader(provider, 10);
+        loader.load(10, 0, 1);
+
+        loader.on('load', () => {
+            expect(loader.peaks.length).toEqual(2);
+            expect(loader.peaks[0].slice(0, 2)).toEqual([1, -1]);
+            expect(loader.peaks[1].slice(0, 2)).toEqual([2, -2]);
+            done();
+        });
+        provider.requests[0].resolve([[1, -1], [2, -2]]);
+    });
+
+    /** @test {PeakLoader#load} */
+    it('rejects peaks with the wrong number of channels', function(done) {
+        loader.destroy();
+        provider = createProvider(2);
+        loader = new PeakLoader(provider, 10);
+        loader.load(10, 0, 1);
+
+        loader.on('error', err => {
+            expect(err.message).toMatch(/2 channel/);
+            done();
+        });
+        provider.requests[0].resolve([1, -1]);
+    });
+});
+
+/** @test {PeakLoader} */
+describe('PeakLoader/byte ranges:', function() {
+    let server;
+    let loader;
+
+    beforeEach(function() {
+        server = createRangeServer(createPeaksFile(10));
+        loader = new PeakLoader(createByteRangeProvider(server), 10);
+    });
+
+    afterEach(function() {
+        loader.destroy();
+    });
+
+    /** @test {PeakLoader#load} */
+    it('loads the peaks of a range with a Range request', function(done) {
+        loader.on('load', (start, end) => {
+            expect([start, end]).toEqual([20, 40]);
+            expect(server.requests.length).toEqual(1);
+            expect(server.requests[0].range).toEqual('bytes=800-1599');
+            // 10 peaks of the file per pixel
+            expect(loader.peaks.slice(40, 44)).toEqual([3, -3, 3, -3]);
+            expect(loader.peaks.slice(78, 80)).toEqual([4, -4]);
+            expect(loader.peaks[80]).toBeUndefined();
+            done();
+        });
+        loader.load(100, 20, 40);
+    });
+
+    /** @test {PeakLoader#cancel} */
+    it('aborts the requests that are not needed anymore', function(done) {
+        loader.load(100, 0, 10);
+        loader.load(100, 50, 60);
+
+        expect(server.requests[0].signal.aborted).toBe(true);
+        loader.on('load', (start, end) => {
+            expect([start, end]).toEqual([50, 60]);
+            expect(loader.peaks[0]).toBeUndefined();
+            expect(loader.peaks.slice(100, 102)).toEqual([6, -6]);
+            done();
+        });
+    });
+
+    /** @test {PeakLoader#load} */
+    it('fires an error for failed requests', function(done) {
+        loader.destroy();
+        // the file is shorter than the duration
+        loader = new PeakLoader(createByteRangeProvider(server), 30);
+        loader.on('error', err => {
+            expect(err.message).toEqual('HTTP error 416');
+            done();
+        });
+        loader.load(30, 20, 30);
+    });
+});
+
+/** @test {WaveSurfer#loadProvider} */
+describe('WaveSurfer/loadProvider:', function() {
+    let server;
+    let container;
+    let wavesurfer;
+
+    beforeEach(function() {
+        server = createRangeServer(createPeaksFile(10));
+        container = TestHelpers.createElement();
+        container.style.width = '400px';
+        [wavesurfer] = TestHelpers.createWaveform({
+            container: container,
+            pixelRatio: 1,
+            minPxPerSec: 100,
+            scrollParent: true
+        });
+    });
+
+    afterEach(function() {
+        wavesurfer.destroy();
+        TestHelpers.removeElement(container);
+    });
+
+    it('draws a flat line until the visible peaks are loaded', function(done) {
+        wavesurfer.loadProvider(createByteRangeProvider(server), 10);
+
+        // 1000 pixels, the first 400 are visible
+        expect(wavesurfer.peaks.length).toEqual(2000);
+        expect(wavesurfer.peaks.every(peak => peak === undefined)).toBe(true);
+        expect(server.requests.length).toEqual(1);
+        expect(server.requests[0].range).toEqual('bytes=0-1599');
+
+        spyOn(wavesurfer.drawer, 'drawPeakRange').and.callThrough();
+        wavesurfer.once('redraw', () => {
+            expect(wavesurfer.drawer.drawPeakRange).toHaveBeenCalledWith(
+                wavesurfer.peaks,
+                1000,
+                0,
+                400
+            );
+            expect(wavesurfer.peaks.slice(0, 2)).toEqual([1, -1]);
+            expect(wavesurfer.peaks.slice(798, 800)).toEqual([4, -4]);
+            expect(wavesurfer.peaks[800]).toBeUndefined();
+            done();
+        });
+    });
+
+    it('cancels the requests of ranges scrolled out of view', function(done) {
+        wavesurfer.loadProvider(createByteRangeProvider(server), 10);
+        const wrapper = wavesurfer.drawer.wrapper;
+        wrapper.scrollLeft = 600;
+        wrapper.dispatchEvent(new Event('scroll'));
+
+        expect(server.requests[0].signal.aborted).toBe(true);
+        expect(server.requests[1].range).toEqual('bytes=2400-3999');
+        wavesurfer.once('redraw', () => {
+            expect(wavesurfer.peaks[0]).toBeUndefined();
+            expect(wavesurfer.peaks.slice(1200, 1202)).toEqual([7, -7]);
+            done();
+        });
+    });
+
+    it('forwards the errors of the provider', function(done) {
+        wavesurfer.on('error', err => {
+            expect(err.message).toEqual('HTTP error 416');
+            done();
+        });
+        // the file is shorter than the duration
+        wavesurfer.loadProvider(createByteRangeProvider(server), 30);
+        wavesurfer.drawer.wrapper.scrollLeft = 2600;
+        wavesurfer.drawer.wrapper.dispatchEvent(new Event('scroll'));
+    });
+});
@@ -0,0 +1,107 @@
+/* eslint-env jasmine */
+import PeakPyramid from '../src/peakpyramid';
+
+/** @test {PeakPyramid} */
+describe('PeakPyramid:', function() {
+    it('merges max/min pairs when reducing', function() {
+        expect(PeakPyramid.reduce([1, -1, 3, -2, 2, -4, 1, -1, 5, -5])).toEqual(
+            [3, -2, 2, -4, 5, -5]
+        );
+    });
+
+    it('merges single peaks when reducing', function() {
+        expect(PeakPyramid.reduce([0.1, 0.5, 0.3, 0.2, 0.4])).toEqual([
+            0.5,
+            0.3,
+            0.4
+        ]);
+    });
+
+    it('keeps typed arrays when reducing', function() {
+        const reduced = PeakPyramid.reduce(Int16Array.from([1, -1, 2, -2]));
+
+        expect(reduced instanceof Int16Array).toBe(true);
+        expect(Array.from(reduced)).toEqual([2, -2]);
+    });
+
+    it('reads unsigned typed arrays as max/min pairs', function() {
+        const peaks = Uint8Array.from([200, 50, 140, 120, 180, 100, 130, 126]);
+
+        expect(PeakPyramid.getLength(peaks)).toEqual(4);
+        expect(Array.from(PeakPyramid.reduce(peaks))).toEqual([200, 50, 180, 100]);
+    });
+
+    it('reduces split channels separately', function() {
+        expect(PeakPyramid.reduce([[1, -1, 2, -2], [3, -3, 4, -4]])).toEqual([
+            [2, -2],
+            [4, -4]
+        ]);
+    });
+
+    it('builds levels down to the minimum length', function() {
+        const peaks = new Array(100).fill(0.5);
+        const pyramid = PeakPyramid.fromPeaks(peaks, 20);
+
+        expect(pyramid.levels.map(level => level.length)).toEqual([
+            13,
+            25,
+            50,
+            100
+        ]);
+        expect(pyramid.finest).toBe(peaks);
+    });
+
+    it('picks the coarsest level with a peak per pixel', function() {
+        const coarse = [0.5, 0.5];
+        const fine = new Array(8).fill(0.5);
+        const pyramid = new PeakPyramid([fine, coarse]);
+
+        expect(pyramid.getLevel(1)).toBe(coarse);
+        expect(pyramid.getLevel(2)).toBe(coarse);
+        expect(pyramid.getLevel(3)).toBe(fine);
+        // deeper zoom than the most detailed level
+        expect(pyramid.getLevel(100)).toBe(fine);
+    });
+
+    it('counts max/min pairs as one peak', function() {
+        expect(PeakPyramid.getLength([1, -1, 2, -2])).toEqual(2);
+        expect(PeakPyramid.getLength([[1, 2, 3], [1, 2, 3]])).toEqual(3);
+    });
+
+    it('extends the levels it built with appended peaks', function() {
+        const peaks = [1, -1, 3, -2, 2, -4, 1, -1, 5, -5];
+        const pyramid = PeakPyramid.fromPeaks(peaks, 1);
+        const grown = peaks.concat([6, -1, 2, -2, 1, -7]);
+        pyramid.extend(grown);
+
+        expect(pyramid.finest).toBe(grown);
+        const rebuilt = PeakPyramid.fromPeaks(grown, 1);
+        expect(pyramid.levels.map(level => level.peaks)).toEqual(
+            rebuilt.levels.map(level => level.peaks)
+        );
+    });
+
+    it('keeps the levels it was given when extended', function() {
+        const fine = Int16Array.from([1, -1, 2, -2, 3, -3, 4, -4]);
+        const coarse = Int16Array.from([9, -9, 9, -9]);
+        const pyramid = new PeakPyramid([fine, coarse]);
+        pyramid.extend(Int16Array.from([1, -1, 2, -2, 3, -3, 4, -4, 5, -5, 6, -6, 7, -7]));
+
+        expect(pyramid.levels.length).toEqual(2);
+        expect(Array.from(pyramid.levels[0].peaks)).toEqual([
+            9,
+            -9,
+            9,
+            -9,
+            6,
+            -6,
+            7,
+            -7
+        ]);
+        expect(pyramid.levels[0].length).toEqual(4);
+    });
+
+    it('needs at least one level', function() {
+        expect(() => new PeakPyramid([])).toThrowError(/at least one level/);
+    });
+});
@@ -0,0 +1,153 @@
+/* eslint-env jasmine */
+import WaveSurfer from '../src/wavesurfer';
+
+/** @test {WaveSurfer.renderToContext} */
+describe('WaveSurfer/renderToContext:', function() {
+    let ctx;
+
+    /**
+     * Create an object with the parts of the `CanvasRenderingContext2D`
+     * interface the renderer uses, it records the rectangles that are filled
+     * with their color and clip rectangle
+     *
+     * @param {number} width The width of the canvas
+     * @param {number} height The height of the canvas
+     * @return {Object} The context
+     */
+    function createRecordingContext(width, height) {
+        const states = [];
+        const context = jasmine.createSpyObj('ctx', [
+            'beginPath',
+            'moveTo',
+            'lineTo',
+            'quadraticCurveTo',
+            'closePath',
+            'fill'
+        ]);
+        return Object.assign(context, {
+            canvas: { width: width, height: height },
+            fillStyle: '#000000',
+            clipRect: null,
+            pathRect: null,
+            rects: [],
+            save() {
+                states.push({ fillStyle: this.fillStyle, clipRect: this.clipRect });
+            },
+            restore() {
+                Object.assign(this, states.pop());
+            },
+            rect(x, y, w, h) {
+                this.pathRect = [x, y, w, h];
+            },
+            clip() {
+                this.clipRect = this.pathRect;
+            },
+            fillRect(x, y, w, h) {
+                this.rects.push({
+                    rect: [x, y, w, h],
+                    color: this.fillStyle,
+                    clip: this.clipRect
+                });
+            }
+        });
+    }
+
+    /**
+     * @param {number[]} rect The rectangle as `[x, y, width, height]`
+     * @param {number} x X-position of the point
+     * @param {number} y Y-position of the point
+     * @return {boolean} Whether the point is in the rectangle
+     */
+    function contains(rect, x, y) {
+        return (
+            x >= rect[0] &&
+            x < rect[0] + rect[2] &&
+            y >= rect[1] &&
+            y < rect[1] + rect[3]
+        );
+    }
+
+    /**
+     * @param {number} x X-position of the pixel
+     * @param {number} y Y-position of the pixel
+     * @return {?string} The color the pixel was filled with last, null if it
+     * is transparent
+     */
+    function pixel(x, y) {
+        return ctx.rects.reduce(
+            (color, fill) =>
+                contains(fill.rect, x + 0.5, y + 0.5) &&
+                (!fill.clip || contains(fill.clip, x + 0.5, y + 0.5))
+                    ? fill.color
+                    : color,
+            null
+        );
+    }
+
+    beforeEach(function() {
+        ctx = createRecordingContext(100, 40);
+    });
+
+    it('draws the bars on a context without a wavesurfer instance', function() {
+        WaveSurfer.renderToContext(ctx, new Array(100).fill(0.5), {
+            barWidth: 4,
+            barGap: 4,
+            waveColor: '#ff0000'
+        });
+
+        expect(ctx.rects.length).toEqual(13);
+        expect(ctx.rects[0].rect).toEqual([0.5, 10, 4.5, 20]);
+        expect(pixel(2, 20)).toEqual('#ff0000');
+        // above the bar and in the gap
+        expect(pixel(2, 5)).toBeNull();
+        expect(pixel(6, 20)).toBeNull();
+    });
+
+    it('draws the progress and the background', function() {
+        WaveSurfer.renderToContext(ctx, new Array(100).fill(0.5), {
+            barWidth: 4,
+            barGap: 4,
+            backgroundColor: '#ffffff',
+            waveColor: '#ff0000',
+            progressColor: '#0000ff',
+            progress: 0.5
+        });
+
+        expect(pixel(2, 20)).toEqual('#0000ff');
+        expect(pixel(82, 20)).toEqual('#ff0000');
+        expect(pixel(6, 20)).toEqual('#ffffff');
+        // the progress is clipped to its part of the waveform
+        expect(ctx.rects[ctx.rects.length - 1].clip).toEqual([0, 0, 50, 40]);
+    });
+
+    it('splits the height between the channels', function() {
+        WaveSurfer.renderToContext(
+            ctx,
+            [new Array(100).fill(0.5), new Array(100).fill(0.5)],
+            {
+                barWidth: 4,
+                barGap: 4,
+                waveColor: '#ff0000',
+                splitChannels: true,
+                splitChannelsOptions: {
+                    channelColors: { 1: { waveColor: '#00ff00' } }
+                }
+            }
+        );
+
+        expect(pixel(2, 10)).toEqual('#ff0000');
+        expect(pixel(2, 30)).toEqual('#00ff00');
+        expect(pixel(2, 20)).toBeNull();
+    });
+
+    it('draws a wave with paths in the given size', function() {
+        WaveSurfer.renderToContext(ctx, new Array(100).fill(0.5), {
+            width: 50,
+            height: 20
+        });
+
+        expect(ctx.fill).toHaveBeenCalled();
+        // the median line
+        expect(ctx.rects.map(fill => fill.rect)).toContain([0, 9.5, 50, 0.5]);
+    });
+});
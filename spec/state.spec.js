@@ -0,0 +1,154 @@
+/* eslint-env jasmine */
+import TestHelpers from './test-helpers';
+import RegionsPlugin from '../src/plugin/regions';
+import MarkersPlugin from '../src/plugin/markers';
+
+/** @test {WaveSurfer#getState} */
+describe('WaveSurfer/state:', function() {
+    const peaks = [0.5, -0.5, 0.25, -0.25, 0.75, -0.75, 1, -1];
+    const waveforms = [];
+
+    /**
+     * Create a wavesurfer instance, it is destroyed after the test
+     *
+     * @param {Object} params Additional params
+     * @return {WaveSurfer} The instance
+     */
+    function createWaveSurfer(params = {}) {
+        const waveform = TestHelpers.createWaveform(
+            Object.assign({ container: TestHelpers.createElement() }, params)
+        );
+        waveforms.push(waveform);
+        return waveform[0];
+    }
+
+    /**
+     * A plugin definition that stores a value in the view state
+     *
+     * @param {string} name The name of the plugin
+     * @param {boolean} stateful Whether the plugin implements the hooks
+     * @return {PluginDefinition} The plugin definition
+     */
+    function mockPlugin(name, stateful) {
+        class MockPlugin {
+            constructor(params, ws) {
+                this.value = params.value;
+            }
+            init() {}
+            destroy() {}
+        }
+        if (stateful) {
+            MockPlugin.prototype.getState = function() {
+                return { value: this.value };
+            };
+            MockPlugin.prototype.setState = function(state) {
+                this.value = state.value;
+            };
+        }
+        return { name: name, params: { value: 1 }, instance: MockPlugin };
+    }
+
+    afterEach(function() {
+        waveforms.splice(0).forEach(([wavesurfer, element]) => {
+            wavesurfer.destroy();
+            TestHelpers.removeElement(element);
+        });
+    });
+
+    it('returns a JSON-serializable snapshot', function() {
+        const wavesurfer = createWaveSurfer();
+        wavesurfer.load(peaks, 8);
+        wavesurfer.zoom(200);
+        wavesurfer.seekTo(0.25);
+        wavesurfer.setWaveColor('red');
+        wavesurfer.setFilteredChannels([1]);
+
+        const state = wavesurfer.getState();
+
+        expect(JSON.parse(JSON.stringify(state))).toEqual(state);
+        expect(state.minPxPerSec).toEqual(200);
+        expect(state.scrollParent).toBe(true);
+        expect(state.currentTime).toEqual(2);
+        expect(state.waveColor).toEqual('red');
+        expect(state.filterChannels).toEqual([1]);
+        expect(state.plugins).toEqual({});
+    });
+
+    it('restores a snapshot with a single redraw', function() {
+        const state = {
+            minPxPerSec: 150,
+            scrollParent: true,
+            currentTime: 6,
+            filterChannels: [0],
+            waveColor: 'blue',
+            progressColor: 'navy',
+            cursorColor: 'black',
+            backgroundColor: 'white'
+        };
+        const wavesurfer = createWaveSurfer();
+        wavesurfer.load(peaks, 8);
+        spyOn(wavesurfer, 'drawBuffer').and.callThrough();
+        const zoomSpy = jasmine.createSpy('zoom');
+        wavesurfer.on('zoom', zoomSpy);
+
+        wavesurfer.setState(state);
+
+        expect(wavesurfer.drawBuffer).toHaveBeenCalledTimes(1);
+        expect(zoomSpy).toHaveBeenCalledWith(150);
+        expect(wavesurfer.getCurrentTime()).toEqual(6);
+        expect(wavesurfer.getState()).toEqual(
+            jasmine.objectContaining(
+                Object.assign({}, state, { scrollTime: jasmine.any(Number) })
+            )
+        );
+    });
+
+    it('can only be restored after load()', function() {
+        const wavesurfer = createWaveSurfer();
+
+        expect(() => wavesurfer.setState({})).toThrowError(/after load\(\)/);
+    });
+
+    it('gathers the state of the initialised plugins', function() {
+        const wavesurfer = createWaveSurfer({
+            plugins: [mockPlugin('stateful', true), mockPlugin('plain', false)]
+        });
+        wavesurfer.load(peaks, 8);
+        wavesurfer.stateful.value = 5;
+
+        const state = wavesurfer.getState();
+        expect(state.plugins).toEqual({ stateful: { value: 5 } });
+
+        wavesurfer.stateful.value = 1;
+        wavesurfer.setState(state);
+        expect(wavesurfer.stateful.value).toEqual(5);
+    });
+
+    it('saves and restores regions and markers', function() {
+        const plugins = () => [RegionsPlugin.create({}), MarkersPlugin.create({})];
+        const wavesurfer = createWaveSurfer({ plugins: plugins() });
+        wavesurfer.load(peaks, 8);
+        wavesurfer.addRegion({
+            id: 'intro',
+            start: 1,
+            end: 2,
+            color: 'red',
+            data: { note: 'a' }
+        });
+        wavesurfer.addMarker({ time: 3, label: 'V1' });
+        const state = JSON.parse(JSON.stringify(wavesurfer.getState()));
+
+        const restored = createWaveSurfer({ plugins: plugins() });
+        restored.load(peaks, 8);
+        restored.addMarker({ time: 5 });
+        restored.setState(state);
+
+        expect(Object.keys(restored.regions.list)).toEqual(['intro']);
+        const region = restored.regions.list.intro;
+        expect([region.start, region.end, region.color]).toEqual([1, 2, 'red']);
+        expect(region.data).toEqual({ note: 'a' });
+        expect(restored.markers.markers.length).toEqual(1);
+        expect(restored.markers.markers[0].time).toEqual(3);
+        expect(restored.markers.markers[0].label).toEqual('V1');
+    });
+});
@@ -0,0 +1,170 @@
+/* eslint-env jasmine */
+import SVGRenderer from '../src/drawer.svg';
+import TestHelpers from './test-helpers';
+
+/** @test {SVGRenderer} */
+describe('SVGRenderer:', function() {
+    let container;
+    let wavesurfer;
+
+    /**
+     * Create a 400 pixels wide wavesurfer instance that draws SVG
+     *
+     * @param {Object} params Additional params
+     * @return {SVGRenderer} The drawer
+     */
+    function createWaveSurfer(params = {}) {
+        container = TestHelpers.createElement();
+        container.style.width = '400px';
+        [wavesurfer] = TestHelpers.createWaveform(
+            Object.assign(
+                {
+                    container: container,
+                    pixelRatio: 1,
+                    height: 100,
+                    renderer: SVGRenderer
+                },
+                params
+            )
+        );
+        return wavesurfer.drawer;
+    }
+
+    afterEach(function() {
+        wavesurfer.destroy();
+        TestHelpers.removeElement(container);
+    });
+
+    it('uses the paths of the wave layer in the progress layer', function(done) {
+        const drawer = createWaveSurfer({ barWidth: 2 });
+        wavesurfer.load(new Array(400).fill(0.5), 10);
+
+        setTimeout(() => {
+            const wave = drawer.waveLayer.querySelectorAll('path');
+            const progress = drawer.progressLayer.querySelectorAll('use');
+            expect(wave.length).toEqual(1);
+            expect(progress.length).toEqual(1);
+            expect(drawer.progressLayer.querySelector('path')).toBeNull();
+            expect(progress[0].getAttribute('href')).toEqual(`#${wave[0].id}`);
+            expect(drawer.svg.getAttribute('viewBox')).toEqual('0 0 400 100');
+            done();
+        }, 100);
+    });
+
+    it('clips the progress layer', function() {
+        const drawer = createWaveSurfer({ cursorWidth: 2 });
+        wavesurfer.load(new Array(400).fill(0.5), 10);
+
+        wavesurfer.seekTo(0.5);
+        expect(drawer.progressClip.getAttribute('width')).toEqual('200');
+        expect(drawer.cursor.getAttribute('x')).toEqual('198');
+        const clipId = drawer.progressClip.parentNode.id;
+        expect(drawer.progressLayer.getAttribute('clip-path')).toEqual(
+            `url(#${clipId})`
+        );
+    });
+
+    it('draws each channel with its colors', function(done) {
+        const drawer = createWaveSurfer({
+            splitChannels: true,
+            splitChannelsOptions: {
+                channelColors: { 1: { waveColor: 'red', progressColor: 'blue' } }
+            }
+        });
+        wavesurfer.load(
+            [new Array(800).fill(0.5), new Array(800).fill(0.25)],
+            10
+        );
+
+        setTimeout(() => {
+            expect(drawer.svg.getAttribute('viewBox')).toEqual('0 0 400 200');
+            const wave = drawer.waveLayer.querySelectorAll('path');
+            expect(wave.length).toEqual(2);
+            // the fill of the shape would override the one of the progress
+            expect(wave[1].hasAttribute('fill')).toBe(false);
+            expect(wave[1].parentNode.getAttribute('fill')).toEqual('red');
+            const progress = drawer.progressLayer.querySelector(
+                `use[href="#${wave[1].id}"]`
+            );
+            expect(progress.getAttribute('fill')).toEqual('blue');
+            done();
+        }, 100);
+    });
+
+    it('rounds the bars with barRadius', function(done) {
+        const drawer = createWaveSurfer({ barWidth: 4, barRadius: 2 });
+        wavesurfer.load(new Array(400).fill(0.5), 10);
+
+        setTimeout(() => {
+            const d = drawer.waveLayer.querySelector('path').getAttribute('d');
+            expect(d).toMatch(/a2 2 0 0 1/);
+            done();
+        }, 100);
+    });
+
+    it('reflects the shapes in vertical mode', function(done) {
+        const drawer = createWaveSurfer({ vertical: true });
+        // the waveform runs along the height of the container
+        container.style.height = '400px';
+        wavesurfer.load(new Array(400).fill(0.5), 10);
+
+        setTimeout(() => {
+            const root = drawer.waveLayer.parentNode;
+            expect(root.getAttribute('transform')).toEqual(
+                'matrix(0 1 1 0 0 0)'
+            );
+            const [, , width, height] = drawer.svg
+                .getAttribute('viewBox')
+                .split(' ')
+                .map(Number);
+            expect(width).toEqual(drawer.height);
+            expect(height).toEqual(drawer.width);
+            done();
+        }, 100);
+    });
+
+    it('exports the progress layer with copies of the shapes', function(done) {
+        const drawer = createWaveSurfer({
+            splitChannels: true,
+            splitChannelsOptions: {
+                channelColors: { 1: { waveColor: 'red', progressColor: 'blue' } }
+            }
+        });
+        wavesurfer.load(
+            [new Array(800).fill(0.5), new Array(800).fill(0.25)],
+            10
+        );
+
+        setTimeout(() => {
+            const svg = drawer.createExportElement('progress', {
+                start: 0,
+                end: 10,
+                duration: 10,
+                width: 400,
+                height: 200
+            });
+            const paths = svg.querySelectorAll('path');
+            expect(svg.querySelector('use')).toBeNull();
+            expect(paths.length).toEqual(2);
+            expect(paths[0].hasAttribute('id')).toBe(false);
+            expect(paths[1].getAttribute('fill')).toEqual('blue');
+            done();
+        }, 100);
+    });
+
+    it('exports the SVG markup', function(done) {
+        createWaveSurfer();
+        wavesurfer.load(new Array(400).fill(0.5), 10);
+
+        setTimeout(() => {
+            const markup = wavesurfer.exportImage();
+            expect(markup).toMatch(/^<svg/);
+            expect(markup).toMatch(/width="400" height="100"/);
+
+            wavesurfer.exportImage('image/svg+xml', 1, 'blob').then(blobs => {
+                expect(blobs[0].type).toEqual('image/svg+xml');
+                done();
+            });
+        }, 100);
+    });
+});
@@ -60,6 +60,36 @@ const TestHelpers = {
         return [WaveSurfer.create(options), element];
     },
 
+    /**
+     * Create a wavesurfer instance in a container of a fixed size and load
+     * peaks into it
+     *
+     * @param  {Object} params Additional params
+     * @param  {Object} options The `width` (400 by default) and `height` of
+     * the container in CSS pixels, the `peaks` to load (2000 peaks of 0.5 by
+     * default) and their `duration` (100 seconds by default)
+     * @return {Array} The wavesurfer instance and the container
+     */
+    createPeaksWaveform(params = {}, options = {}) {
+        const {
+            width = 400,
+            height,
+            peaks = new Array(2000).fill(0.5),
+            duration = 100
+        } = options;
+        const element = this.createElement();
+        element.style.width = `${width}px`;
+        if (height) {
+            element.style.height = `${height}px`;
+        }
+
+        const wavesurfer = WaveSurfer.create(
+            Object.assign({ container: element }, params)
+        );
+        wavesurfer.load(peaks, duration);
+        return [wavesurfer, element];
+    },
+
     /**
      * Normalize audio peaks
      *
@@ -0,0 +1,73 @@
+/* eslint-env jasmine */
+import TimeInterpolator from '../src/timeinterpolator';
+
+/** @test {TimeInterpolator} */
+describe('TimeInterpolator:', function() {
+    let interpolator;
+
+    beforeEach(function() {
+        interpolator = new TimeInterpolator();
+    });
+
+    it('returns the reported time while paused', function() {
+        expect(interpolator.update(3, false, 1, 0)).toEqual(3);
+        expect(interpolator.update(5, false, 1, 100)).toEqual(5);
+    });
+
+    it('extrapolates between the reports', function() {
+        interpolator.update(10, true, 1, 0);
+
+        expect(interpolator.update(10, true, 1, 100)).toBeCloseTo(10.1, 6);
+        expect(interpolator.update(10, true, 2, 200)).toBeCloseTo(10.3, 6);
+    });
+
+    it('eases out the drift', function() {
+        interpolator.update(10, true, 1, 0);
+        interpolator.update(10, true, 1, 250);
+
+        // the source is 0.1 seconds ahead
+        const position = interpolator.update(10.35, true, 1, 266);
+        expect(position).toBeGreaterThan(10.266);
+        expect(position).toBeLessThan(10.366);
+
+        let now;
+        for (now = 282; now <= 2000; now += 16) {
+            interpolator.update(10.35, true, 1, now);
+        }
+        expect(interpolator.update(10.35, true, 1, now)).toBeCloseTo(
+            10.35 + (now - 266) / 1000,
+            3
+        );
+    });
+
+    it('does not move backwards while playing', function() {
+        interpolator.update(10, true, 1, 0);
+        const position = interpolator.update(10, true, 1, 250);
+
+        expect(interpolator.update(9.8, true, 1, 266)).not.toBeLessThan(
+            position
+        );
+    });
+
+    it('jumps to distant reports', function() {
+        interpolator.update(10, true, 1, 0);
+
+        expect(interpolator.update(30, true, 1, 16)).toEqual(30);
+        expect(interpolator.update(8, true, 1, 32)).toEqual(8);
+    });
+
+    it('ignores the reports from before a seek', function() {
+        interpolator.update(10, true, 1, 0);
+        interpolator.seek(50, 10.1, 100);
+
+        expect(interpolator.update(10.1, true, 1, 200)).toBeCloseTo(50.1, 6);
+        expect(interpolator.update(50.2, true, 1, 300)).toBeCloseTo(50.2, 6);
+    });
+
+    it('jumps to the reported time after a reset', function() {
+        interpolator.update(10, true, 1, 0);
+        interpolator.reset();
+
+        expect(interpolator.update(10.5, true, 1, 100)).toEqual(10.5);
+    });
+});
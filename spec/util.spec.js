@@ -217,6 +217,48 @@ describe('util:', function() {
         expect(WaveSurfer.util.absMax([])).toEqual(-Infinity);
     });
 
+    /** @test {absMax} */
+    it('absMax measures the distance from an offset', function() {
+        expect(WaveSurfer.util.absMax([100, 130, 200], 128)).toEqual(72);
+        expect(WaveSurfer.util.absMax([10, 130, 200], 128)).toEqual(118);
+    });
+
+    /** @test {getPeakScale} */
+    it('getPeakScale infers the scale of typed arrays', function() {
+        expect(WaveSurfer.util.getPeakScale(new Int8Array(2))).toEqual({
+            max: 128,
+            offset: 0
+        });
+        expect(WaveSurfer.util.getPeakScale(new Uint8Array(2))).toEqual({
+            max: 128,
+            offset: 128
+        });
+        expect(WaveSurfer.util.getPeakScale(new Uint16Array(2))).toEqual({
+            max: 32768,
+            offset: 32768
+        });
+        expect(WaveSurfer.util.getPeakScale(new Int32Array(2))).toEqual({
+            max: 2147483648,
+            offset: 0
+        });
+        expect(WaveSurfer.util.getPeakScale(new Float32Array(2))).toEqual({
+            max: 1,
+            offset: 0
+        });
+    });
+
+    /** @test {getPeakScale} */
+    it('getPeakScale reads the first channel of split channel peaks', function() {
+        expect(
+            WaveSurfer.util.getPeakScale([new Int16Array(2), new Int16Array(2)])
+        ).toEqual({ max: 32768, offset: 0 });
+    });
+
+    /** @test {getPeakScale} */
+    it('getPeakScale returns null for arrays', function() {
+        expect(WaveSurfer.util.getPeakScale([0, 1])).toBeNull();
+    });
+
     /** @test {style} */
     it('style applies a map of styles to an element', function() {
         let el = {
@@ -256,3 +298,82 @@ describe('util.clamp:', function() {
         expect(WaveSurfer.util.clamp(val, min, max)).toBe(max);
     });
 });
+
+/** @test {util.createChannelViews} */
+describe('util.createChannelViews:', function() {
+    /** @test {createChannelViews} */
+    it('reads interleaved channels with min first pairs', function() {
+        const peaks = Int16Array.from([-1, 1, -2, 2, -3, 3, -4, 4]);
+        const [left, right] = WaveSurfer.util.createChannelViews(peaks, {
+            channels: 2,
+            minFirst: true
+        });
+
+        expect(left.length).toEqual(4);
+        expect(Array.from(left)).toEqual([1, -1, 3, -3]);
+        expect(Array.from(right)).toEqual([2, -2, 4, -4]);
+        expect(WaveSurfer.util.max(right)).toEqual(4);
+    });
+
+    /** @test {createChannelViews} */
+    it('de-interleaves the peaks into arrays of the same type', function() {
+        const [left, right] = WaveSurfer.util.createChannelViews(
+            Float32Array.from([-1, 1, -2, 2, -3, 3, -4, 4]),
+            { channels: 2, minFirst: true }
+        );
+        const [first] = WaveSurfer.util.createChannelViews([1, -1, 2, -2], {
+            channels: 2
+        });
+
+        expect(left instanceof Float32Array).toBe(true);
+        expect(Array.from(right)).toEqual([2, -2, 4, -4]);
+        expect(Array.isArray(first)).toBe(true);
+        expect(first).toEqual([1, -1]);
+    });
+
+    /** @test {createChannelViews} */
+    it('uses subarrays for channels that follow each other', function() {
+        const peaks = Uint8Array.from([1, 2, 3, 4, 5, 6]);
+        const channels = WaveSurfer.util.createChannelViews(peaks, {
+            channels: 3,
+            interleaved: false,
+            pairs: false
+        });
+
+        expect(channels[2] instanceof Uint8Array).toBe(true);
+        expect(channels[2].buffer).toBe(peaks.buffer);
+        expect(Array.from(channels[2])).toEqual([5, 6]);
+    });
+
+    /** @test {createChannelViews} */
+    it('returns the peaks of a single channel as they are', function() {
+        const peaks = [1, -1, 2, -2];
+        expect(WaveSurfer.util.createChannelViews(peaks, {})).toBe(peaks);
+    });
+
+    /** @test {createChannelViews} */
+    it('rejects peaks that do not match the layout', function() {
+        expect(() =>
+            WaveSurfer.util.createChannelViews([1, -1, 2], { channels: 2 })
+        ).toThrowError(/does not match the layout/);
+        expect(() =>
+            WaveSurfer.util.createChannelViews([1, -1], { channels: 0 })
+        ).toThrowError(/positive integer/);
+    });
+});
+
+/** @test {util.formatTime} */
+describe('util.formatTime:', function() {
+    /** @test {formatTime} */
+    it('formats minutes and seconds', function() {
+        expect(WaveSurfer.util.formatTime(0)).toEqual('0:00');
+        expect(WaveSurfer.util.formatTime(65.9)).toEqual('1:05');
+        expect(WaveSurfer.util.formatTime(600)).toEqual('10:00');
+    });
+
+    /** @test {formatTime} */
+    it('adds the hours from one hour on', function() {
+        expect(WaveSurfer.util.formatTime(3600)).toEqual('1:00:00');
+        expect(WaveSurfer.util.formatTime(3725)).toEqual('1:02:05');
+    });
+});
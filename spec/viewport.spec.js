@@ -0,0 +1,166 @@
+/* eslint-env jasmine */
+import TestHelpers from './test-helpers';
+
+/** @test {WaveSurfer#getVisibleRange} */
+describe('WaveSurfer/viewport:', function() {
+    let container;
+    let wavesurfer;
+    let wrapper;
+
+    /**
+     * Create a 400 pixels wide wavesurfer instance with 100 seconds of peaks
+     * loaded
+     *
+     * @param {Object} params Additional params
+     */
+    function createWaveSurfer(params = {}) {
+        [wavesurfer, container] = TestHelpers.createPeaksWaveform(
+            Object.assign({ pixelRatio: 1, viewportDebounce: 10 }, params),
+            { height: 400 }
+        );
+        wrapper = wavesurfer.drawer.wrapper;
+    }
+
+    afterEach(function() {
+        wavesurfer.destroy();
+        TestHelpers.removeElement(container);
+    });
+
+    it('returns the visible time range', function() {
+        createWaveSurfer();
+        expect(wavesurfer.getVisibleRange()).toEqual({ start: 0, end: 100 });
+
+        wavesurfer.zoom(20);
+        wrapper.scrollLeft = 500;
+        expect(wavesurfer.getVisibleRange()).toEqual({ start: 25, end: 45 });
+    });
+
+    it('returns the visible time range in rtl mode', function() {
+        createWaveSurfer({ rtl: true });
+        wavesurfer.zoom(20);
+        wrapper.scrollLeft = 500;
+
+        expect(wavesurfer.getVisibleRange()).toEqual({ start: 25, end: 45 });
+    });
+
+    it('returns the visible time range in vertical mode', function() {
+        createWaveSurfer({ vertical: true });
+        wavesurfer.zoom(20);
+        const element = wrapper.domElement;
+        element.scrollTop = 500;
+        const range = wavesurfer.getVisibleRange();
+
+        expect(range.start).toBeCloseTo(
+            (element.scrollTop / element.scrollHeight) * 100,
+            6
+        );
+        expect(range.end - range.start).toBeCloseTo(
+            (element.clientHeight / element.scrollHeight) * 100,
+            6
+        );
+    });
+
+    it('scrolls to a time', function() {
+        createWaveSurfer();
+        wavesurfer.zoom(20);
+
+        wavesurfer.scrollToTime(30, { align: 'start' });
+        expect(wrapper.scrollLeft).toEqual(600);
+        wavesurfer.scrollToTime(30);
+        expect(wrapper.scrollLeft).toEqual(400);
+        wavesurfer.scrollToTime(30, { align: 'end' });
+        expect(wrapper.scrollLeft).toEqual(200);
+
+        // the view stays within the waveform
+        wavesurfer.scrollToTime(99);
+        expect(wavesurfer.getVisibleRange()).toEqual({ start: 80, end: 100 });
+        expect(() => wavesurfer.scrollToTime(1, { align: 'left' })).toThrowError(
+            /Unknown align/
+        );
+    });
+
+    it('scrolls to a time in rtl mode', function() {
+        createWaveSurfer({ rtl: true });
+        wavesurfer.zoom(20);
+
+        wavesurfer.scrollToTime(30, { align: 'start' });
+        expect(wrapper.scrollLeft).toEqual(600);
+        expect(wavesurfer.getVisibleRange()).toEqual({ start: 30, end: 50 });
+        wavesurfer.scrollToTime(30, { align: 'end' });
+        expect(wavesurfer.getVisibleRange()).toEqual({ start: 10, end: 30 });
+    });
+
+    it('scrolls to a time in vertical mode', function() {
+        createWaveSurfer({ vertical: true });
+        wavesurfer.zoom(20);
+        const element = wrapper.domElement;
+        // the part of the duration that fits into the view
+        const span = (element.clientHeight / element.scrollHeight) * 100;
+
+        wavesurfer.scrollToTime(30, { align: 'start' });
+        expect(wavesurfer.getVisibleRange().start).toBeCloseTo(
+            Math.min(30, 100 - span),
+            1
+        );
+        wavesurfer.scrollToTime(30, { align: 'end' });
+        expect(wavesurfer.getVisibleRange().end).toBeCloseTo(
+            Math.max(30, span),
+            1
+        );
+    });
+
+    it('fires one debounced viewport-change', function(done) {
+        createWaveSurfer();
+        // wait for the event of the load
+        setTimeout(() => {
+            const changes = [];
+            wavesurfer.on('viewport-change', range => changes.push(range));
+
+            wavesurfer.zoom(20);
+            wavesurfer.scrollToTime(10, { align: 'start' });
+            setTimeout(() => {
+                expect(changes).toEqual([{ start: 10, end: 30 }]);
+                done();
+            }, 100);
+        }, 50);
+    });
+
+    it('only listens for resizing with responsive', function(done) {
+        spyOn(window, 'addEventListener').and.callThrough();
+        createWaveSurfer();
+        expect(window.addEventListener).not.toHaveBeenCalledWith(
+            'resize',
+            jasmine.any(Function),
+            true
+        );
+        wavesurfer.destroy();
+        TestHelpers.removeElement(container);
+
+        createWaveSurfer({ responsive: 10, scrollParent: true });
+        setTimeout(() => {
+            const changes = [];
+            wavesurfer.on('viewport-change', range => changes.push(range));
+            container.style.width = '200px';
+            window.dispatchEvent(new Event('resize'));
+            setTimeout(() => {
+                expect(changes).toEqual([wavesurfer.getVisibleRange()]);
+                done();
+            }, 100);
+        }, 50);
+    });
+
+    it('fires viewport-change when the view is scrolled', function(done) {
+        createWaveSurfer();
+        wavesurfer.zoom(20);
+        setTimeout(() => {
+            const changes = [];
+            wavesurfer.on('viewport-change', range => changes.push(range));
+
+            wrapper.scrollLeft = 1000;
+            setTimeout(() => {
+                expect(changes).toEqual([{ start: 50, end: 70 }]);
+                done();
+            }, 100);
+        }, 50);
+    });
+});
@@ -0,0 +1,119 @@
+/* eslint-env jasmine */
+import TestHelpers from './test-helpers';
+
+/** @test {MultiCanvas#updateVirtualCanvases} */
+describe('MultiCanvas/virtual canvases:', function() {
+    let container;
+    let wavesurfer;
+    let wrapper;
+
+    /**
+     * Create a 400 pixels wide wavesurfer instance with 100 seconds of peaks
+     * loaded and zoomed to 200 pixels per second, drawn on canvases that are
+     * 400 pixels wide
+     *
+     * @param {Object} params Additional params
+     */
+    function createWaveSurfer(params = {}) {
+        [wavesurfer, container] = TestHelpers.createPeaksWaveform(
+            Object.assign(
+                { pixelRatio: 1, maxCanvasWidth: 400, virtualCanvases: true },
+                params
+            ),
+            { peaks: new Array(20000).fill(0.5) }
+        );
+        wavesurfer.zoom(200);
+        wrapper = wavesurfer.drawer.wrapper;
+    }
+
+    /**
+     * @return {number[]} The positions of the existing canvases
+     */
+    function positions() {
+        return Object.keys(wavesurfer.drawer.canvases).map(Number);
+    }
+
+    afterEach(function() {
+        wavesurfer.destroy();
+        TestHelpers.removeElement(container);
+    });
+
+    it('only creates the canvases around the view', function() {
+        createWaveSurfer();
+
+        expect(positions()).toEqual([0, 1, 2]);
+        expect(wrapper.domElement.querySelectorAll('canvas').length).toEqual(6);
+    });
+
+    it('keeps the scroll width of the whole waveform', function() {
+        createWaveSurfer();
+
+        expect(wrapper.scrollWidth).toEqual(20000);
+        wrapper.scrollLeft = 8000;
+        expect(wavesurfer.getVisibleRange()).toEqual({ start: 40, end: 42 });
+    });
+
+    it('recycles and draws the canvases while scrolling', function(done) {
+        createWaveSurfer({ virtualCanvasBuffer: 2 });
+        const waves = wavesurfer.drawer.canvases.map(entry => entry.wave);
+        spyOn(wavesurfer.drawer, 'drawPeakRange').and.callThrough();
+
+        wrapper.scrollLeft = 8000;
+        setTimeout(() => {
+            expect(positions()).toEqual([18, 19, 20, 21, 22, 23]);
+            // the canvases that left the view are used again
+            waves.forEach(wave =>
+                expect(wave.domElement.parentElement).toBe(wrapper.domElement)
+            );
+            expect(wavesurfer.drawer.drawPeakRange).toHaveBeenCalledWith(
+                jasmine.anything(),
+                20000,
+                7200,
+                9602
+            );
+            done();
+        }, 100);
+    });
+
+    it('draws the overlap of a canvas placed before a kept one', function(done) {
+        createWaveSurfer();
+        const drawer = wavesurfer.drawer;
+        wrapper.scrollLeft = 8000;
+        drawer.updateVirtualCanvases();
+
+        wrapper.scrollLeft = 7600;
+        expect(positions()).toEqual([19, 20, 21, 22]);
+        expect(drawer.updateVirtualCanvases()).toEqual([[7200, 7602]]);
+        expect(positions()).toEqual([18, 19, 20, 21]);
+
+        // the kept canvas has its line already
+        spyOn(drawer.canvases[18], 'drawLines');
+        spyOn(drawer.canvases[19], 'drawLines');
+        drawer.drawPeakRange(wavesurfer.peaks, 20000, 7200, 7602);
+        setTimeout(() => {
+            expect(drawer.canvases[18].drawLines).toHaveBeenCalled();
+            expect(drawer.canvases[19].drawLines).not.toHaveBeenCalled();
+            done();
+        }, 100);
+    });
+
+    it('only draws the part of the waveform that has canvases', function() {
+        createWaveSurfer();
+        spyOn(wavesurfer.drawer, 'drawWave').and.callThrough();
+
+        wavesurfer.drawBuffer();
+        expect(wavesurfer.drawer.drawWave).toHaveBeenCalledWith(
+            jasmine.anything(),
+            0,
+            0,
+            1200
+        );
+    });
+
+    it('covers the whole waveform with canvases by default', function() {
+        createWaveSurfer({ virtualCanvases: false });
+
+        expect(wavesurfer.drawer.canvases.length).toEqual(50);
+        expect(wrapper.scrollWidth).toEqual(20000);
+    });
+});
@@ -0,0 +1,211 @@
+/* eslint-env jasmine */
+import { parseWav } from '../src/wav';
+
+/**
+ * Build a RIFF WAVE file
+ *
+ * @param {Array} chunks The `id` and the `bytes` of each chunk
+ * @return {ArrayBuffer} The file contents
+ */
+function createWav(chunks) {
+    const size = chunks.reduce(
+        (sum, chunk) => sum + 8 + chunk.bytes.length + (chunk.bytes.length % 2),
+        12
+    );
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    const writeId = (pos, id) =>
+        id.split('').forEach((char, i) => view.setUint8(pos + i, char.charCodeAt(0)));
+
+    writeId(0, 'RIFF');
+    view.setUint32(4, size - 8, true);
+    writeId(8, 'WAVE');
+    let pos = 12;
+    chunks.forEach(chunk => {
+        writeId(pos, chunk.id);
+        view.setUint32(pos + 4, chunk.bytes.length, true);
+        bytes.set(chunk.bytes, pos + 8);
+        pos += 8 + chunk.bytes.length + (chunk.bytes.length % 2);
+    });
+    return bytes.buffer;
+}
+
+/**
+ * Build the contents of a fmt chunk
+ *
+ * @param {number} format The format code
+ * @param {number} channels Number of channels
+ * @param {number} sampleRate The sample rate
+ * @param {number} bits The resolution of the samples
+ * @return {Uint8Array} The chunk contents
+ */
+function fmtChunk(format, channels, sampleRate, bits) {
+    const bytes = new Uint8Array(16);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, format, true);
+    view.setUint16(2, channels, true);
+    view.setUint32(4, sampleRate, true);
+    view.setUint32(8, (sampleRate * channels * bits) / 8, true);
+    view.setUint16(12, (channels * bits) / 8, true);
+    view.setUint16(14, bits, true);
+    return bytes;
+}
+
+/**
+ * Build the contents of a data chunk
+ *
+ * @param {number[]} samples The interleaved samples
+ * @param {function} write Writes a sample to a `DataView` at a byte offset
+ * @param {number} bytes Size of a sample in bytes
+ * @return {Uint8Array} The chunk contents
+ */
+function dataChunk(samples, write, bytes) {
+    const data = new Uint8Array(samples.length * bytes);
+    const view = new DataView(data.buffer);
+    samples.forEach((sample, i) => write(view, i * bytes, sample));
+    return data;
+}
+
+/** @test {parseWav} */
+describe('wav.parseWav:', function() {
+    it('reads 16 bit stereo samples', function() {
+        const wav = parseWav(
+            createWav([
+                { id: 'fmt ', bytes: fmtChunk(1, 2, 8000, 16) },
+                {
+                    id: 'data',
+                    bytes: dataChunk(
+                        [100, -100, 32767, -32768, 0, 5],
+                        (view, pos, value) => view.setInt16(pos, value, true),
+                        2
+                    )
+                }
+            ])
+        );
+
+        expect(wav.sampleRate).toEqual(8000);
+        expect(wav.bitsPerSample).toEqual(16);
+        expect(wav.length).toEqual(3);
+        expect(wav.duration).toBeCloseTo(3 / 8000, 9);
+        expect(wav.channels[0] instanceof Int16Array).toBe(true);
+        expect(Array.from(wav.channels[0])).toEqual([100, 32767, 0]);
+        expect(Array.from(wav.channels[1])).toEqual([-100, -32768, 5]);
+    });
+
+    it('skips LIST chunks in any order', function() {
+        const wav = parseWav(
+            createWav([
+                // odd size, followed by a pad byte
+                { id: 'LIST', bytes: new Uint8Array(5) },
+                {
+                    id: 'data',
+                    bytes: Uint8Array.from([128, 255, 0])
+                },
+                { id: 'fmt ', bytes: fmtChunk(1, 1, 22050, 8) }
+            ])
+        );
+
+        expect(wav.channels.length).toEqual(1);
+        expect(wav.channels[0] instanceof Uint8Array).toBe(true);
+        expect(Array.from(wav.channels[0])).toEqual([128, 255, 0]);
+    });
+
+    it('shifts 24 bit samples to the full 32 bit range', function() {
+        const wav = parseWav(
+            createWav([
+                { id: 'fmt ', bytes: fmtChunk(1, 1, 48000, 24) },
+                {
+                    id: 'data',
+                    bytes: Uint8Array.from([0xff, 0xff, 0x7f, 0x00, 0x00, 0x80, 0x01, 0x00, 0x00])
+                }
+            ])
+        );
+
+        expect(wav.channels[0] instanceof Int32Array).toBe(true);
+        expect(Array.from(wav.channels[0])).toEqual([
+            0x7fffff00,
+            -0x80000000,
+            0x100
+        ]);
+    });
+
+    it('reads float samples', function() {
+        const wav = parseWav(
+            createWav([
+                { id: 'fmt ', bytes: fmtChunk(3, 1, 44100, 32) },
+                {
+                    id: 'data',
+                    bytes: dataChunk(
+                        [0.5, -1],
+                        (view, pos, value) => view.setFloat32(pos, value, true),
+                        4
+                    )
+                }
+            ])
+        );
+
+        expect(wav.float).toBe(true);
+        expect(wav.channels[0] instanceof Float32Array).toBe(true);
+        expect(Array.from(wav.channels[0])).toEqual([0.5, -1]);
+    });
+
+    it('reads the format of extensible files', function() {
+        const fmt = new Uint8Array(40);
+        fmt.set(fmtChunk(0xfffe, 1, 8000, 16));
+        // sub format GUID of PCM samples
+        new DataView(fmt.buffer).setUint16(24, 1, true);
+        const wav = parseWav(
+            createWav([
+                { id: 'fmt ', bytes: fmt },
+                { id: 'data', bytes: Uint8Array.from([1, 0]) }
+            ])
+        );
+
+        expect(Array.from(wav.channels[0])).toEqual([1]);
+    });
+
+    it('rejects compressed samples', function() {
+        const buffer = createWav([
+            { id: 'fmt ', bytes: fmtChunk(7, 1, 8000, 8) },
+            { id: 'data', bytes: new Uint8Array(2) }
+        ]);
+        expect(() => parseWav(buffer)).toThrowError(/Unsupported WAV codec mu-law/);
+    });
+
+    it('rejects unsupported sample sizes', function() {
+        const buffer = createWav([
+            { id: 'fmt ', bytes: fmtChunk(1, 1, 8000, 12) },
+            { id: 'data', bytes: new Uint8Array(2) }
+        ]);
+        expect(() => parseWav(buffer)).toThrowError(/12 bit integer/);
+    });
+
+    it('rejects files without fmt or data chunk', function() {
+        expect(() =>
+            parseWav(createWav([{ id: 'data', bytes: new Uint8Array(2) }]))
+        ).toThrowError(/no fmt chunk/);
+        expect(() =>
+            parseWav(createWav([{ id: 'fmt ', bytes: fmtChunk(1, 1, 8000, 8) }]))
+        ).toThrowError(/no data chunk/);
+    });
+
+    it('rejects data that is not a WAV file', function() {
+        expect(() => parseWav(new ArrayBuffer(44))).toThrowError(/RIFF WAVE/);
+        expect(() => parseWav('RIFF')).toThrowError(/ArrayBuffer/);
+    });
+
+    it('reads the example file', function(done) {
+        fetch('/base/spec/support/demo.wav')
+            .then(response => response.arrayBuffer())
+            .then(buffer => {
+                const wav = parseWav(buffer);
+
+                expect(wav.channels.length).toEqual(1);
+                expect(wav.sampleRate).toEqual(22050);
+                expect(wav.bitsPerSample).toEqual(8);
+                expect(wav.length).toEqual(480114);
+                expect(wav.duration).toBeCloseTo(21.77, 2);
+                done();
+            });
+    });
+});
@@ -320,10 +320,10 @@ describe('WaveSurfer/playback:', function() {
         expect(height).toEqual(150);
     });
 
-    /** @test {WaveSurfer#exportPCM} */
-    it('return Promise with PCM data formatted using JSON.stringify', function(done) {
-        wavesurfer.exportPCM().then(pcmData => {
-            expect(pcmData).toBeNonEmptyString();
+    /** @test {WaveSurfer#exportPeaks} */
+    it('return Promise with the peaks formatted using JSON.stringify', function(done) {
+        wavesurfer.exportPeaks().then(json => {
+            expect(json).toBeNonEmptyString();
 
             done();
         });
@@ -511,3 +511,37 @@ describe('WaveSurfer/errors:', function() {
         }).toThrow(expectedError);
     });
 });
+
+/** @test {WaveSurfer#appendPeaks} */
+describe('WaveSurfer/appendPeaks:', function() {
+    let wavesurfer;
+    let element;
+
+    beforeEach(function() {
+        element = TestHelpers.createElement();
+        [wavesurfer] = TestHelpers.createWaveform({
+            container: element,
+            splitChannels: true
+        });
+    });
+
+    afterEach(function() {
+        wavesurfer.destroy();
+        TestHelpers.removeElement(element);
+    });
+
+    /**
+     * @test {WaveSurfer#appendPeaks}
+     */
+    it('splits chunks in the layout the peaks were loaded with', function() {
+        const layout = { channels: 2, minFirst: true };
+        wavesurfer.load(new Int16Array([-1, 1, -2, 2]), 1, 2, layout);
+        wavesurfer.appendPeaks(new Int16Array([-3, 3, -4, 4]), 1);
+
+        expect(Array.from(wavesurfer.peaks[0])).toEqual([1, -1, 3, -3]);
+        expect(Array.from(wavesurfer.peaks[1])).toEqual([2, -2, 4, -4]);
+        expect(() =>
+            wavesurfer.appendPeaks(new Int16Array([1, 2, 3]), 1)
+        ).toThrowError(/does not match the layout/);
+    });
+});
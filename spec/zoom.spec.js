@@ -0,0 +1,132 @@
+/* eslint-env jasmine */
+import TestHelpers from './test-helpers';
+
+/** @test {WaveSurfer#zoomAround} */
+describe('WaveSurfer/zoom gestures:', function() {
+    let container;
+    let wavesurfer;
+    let wrapper;
+
+    /**
+     * Create a 400 pixels wide wavesurfer instance with 100 seconds of peaks
+     * loaded and zoomed to 20 pixels per second
+     *
+     * @param {Object} params Additional params
+     */
+    function createWaveSurfer(params = {}) {
+        [wavesurfer, container] = TestHelpers.createPeaksWaveform(
+            Object.assign({ gestureZoom: true, pixelRatio: 1 }, params)
+        );
+        wavesurfer.zoom(20);
+        wrapper = wavesurfer.drawer.wrapper.domElement;
+        wrapper.scrollLeft = 500;
+    }
+
+    /**
+     * @param {number} offset The distance from the start of the view
+     * @return {number} The time at a point of the view in seconds
+     */
+    function timeAt(offset) {
+        return ((wrapper.scrollLeft + offset) / wrapper.scrollWidth) * 100;
+    }
+
+    /**
+     * Turn the wheel over the waveform
+     *
+     * @param {number} deltaY The wheel delta in pixels
+     * @param {number} offset The distance of the pointer from the start of
+     * the view
+     * @param {boolean} ctrlKey Whether the ctrl key is pressed
+     * @return {WheelEvent} The event
+     */
+    function wheel(deltaY, offset, ctrlKey = true) {
+        const event = new WheelEvent('wheel', {
+            deltaY: deltaY,
+            clientX: wrapper.getBoundingClientRect().left + offset,
+            ctrlKey: ctrlKey,
+            cancelable: true
+        });
+        wrapper.dispatchEvent(event);
+        return event;
+    }
+
+    /**
+     * @param {string} type The type of the event
+     * @param {number} id The id of the pointer
+     * @param {number} offset The distance of the pointer from the start of
+     * the view
+     */
+    function touch(type, id, offset) {
+        wrapper.dispatchEvent(
+            new PointerEvent(type, {
+                pointerId: id,
+                pointerType: 'touch',
+                clientX: wrapper.getBoundingClientRect().left + offset
+            })
+        );
+    }
+
+    afterEach(function() {
+        wavesurfer.destroy();
+        TestHelpers.removeElement(container);
+    });
+
+    it('keeps the time under the pointer in place', function() {
+        createWaveSurfer();
+        const time = timeAt(100);
+        const zoomSpy = jasmine.createSpy('zoom');
+        wavesurfer.on('zoom', zoomSpy);
+
+        expect(wheel(-200, 100).defaultPrevented).toBe(true);
+
+        expect(wavesurfer.params.minPxPerSec).toBeCloseTo(40, 6);
+        expect(zoomSpy).toHaveBeenCalledWith(wavesurfer.params.minPxPerSec);
+        expect(timeAt(100)).toBeCloseTo(time, 1);
+    });
+
+    it('only zooms with the ctrl key pressed', function() {
+        createWaveSurfer();
+
+        expect(wheel(-200, 100, false).defaultPrevented).toBe(false);
+        expect(wavesurfer.params.minPxPerSec).toEqual(20);
+    });
+
+    it('is off by default', function() {
+        createWaveSurfer({ gestureZoom: false });
+        wheel(-200, 100);
+
+        expect(wavesurfer.params.minPxPerSec).toEqual(20);
+    });
+
+    it('stays within the zoom limits', function() {
+        createWaveSurfer({ minZoom: 10, maxZoom: 30 });
+
+        wheel(-1000, 100);
+        expect(wavesurfer.params.minPxPerSec).toEqual(30);
+        wheel(2000, 100);
+        expect(wavesurfer.params.minPxPerSec).toEqual(10);
+    });
+
+    it('zooms with the pinch of two fingers', function() {
+        createWaveSurfer();
+        const time = timeAt(200);
+        touch('pointerdown', 1, 100);
+        touch('pointerdown', 2, 200);
+        touch('pointermove', 2, 300);
+        touch('pointerup', 1, 100);
+        touch('pointerup', 2, 300);
+
+        // the distance doubled, the zoom is anchored in the middle of the
+        // fingers
+        expect(wavesurfer.params.minPxPerSec).toBeCloseTo(40, 6);
+        expect(timeAt(200)).toBeCloseTo(time, 1);
+    });
+
+    it('zooms around a time', function() {
+        createWaveSurfer();
+        wavesurfer.zoomAround(50, 60, 200);
+
+        expect(wavesurfer.params.minPxPerSec).toEqual(50);
+        expect(wrapper.scrollLeft).toEqual(2800);
+    });
+});
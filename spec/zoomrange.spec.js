@@ -0,0 +1,166 @@
+/* eslint-env jasmine */
+import TestHelpers from './test-helpers';
+
+/** @test {WaveSurfer#zoomToRange} */
+describe('WaveSurfer/zoom range:', function() {
+    let container;
+    let wavesurfer;
+    let wrapper;
+
+    /**
+     * Create a 400 pixels wide wavesurfer instance with 100 seconds of peaks
+     * loaded
+     *
+     * @param {Object} params Additional params
+     */
+    function createWaveSurfer(params = {}) {
+        [wavesurfer, container] = TestHelpers.createPeaksWaveform(
+            Object.assign({ pixelRatio: 1 }, params)
+        );
+        wrapper = wavesurfer.drawer.wrapper.domElement;
+    }
+
+    /**
+     * @param {number} offset The distance from the start of the view
+     * @return {number} The time at a point of the view in seconds
+     */
+    function timeAt(offset) {
+        return ((wrapper.scrollLeft + offset) / wrapper.scrollWidth) * 100;
+    }
+
+    /**
+     * @param {HTMLElement} target The element to dispatch the event on
+     * @param {string} type The type of the event
+     * @param {number} offset The distance of the mouse from the start of the
+     * view
+     */
+    function mouse(target, type, offset) {
+        target.dispatchEvent(
+            new MouseEvent(type, {
+                button: 0,
+                bubbles: true,
+                cancelable: true,
+                clientX: wrapper.getBoundingClientRect().left + offset
+            })
+        );
+    }
+
+    afterEach(function() {
+        wavesurfer.destroy();
+        TestHelpers.removeElement(container);
+    });
+
+    it('shows a time range across the view', function() {
+        createWaveSurfer();
+        spyOn(wavesurfer, 'drawBuffer').and.callThrough();
+        const zoomSpy = jasmine.createSpy('zoom');
+        wavesurfer.on('zoom', zoomSpy);
+
+        wavesurfer.zoomToRange(12.4, 18.9, { padding: 20 });
+
+        expect(wavesurfer.params.minPxPerSec).toBeCloseTo(360 / 6.5, 6);
+        expect(timeAt(20)).toBeCloseTo(12.4, 1);
+        expect(timeAt(380)).toBeCloseTo(18.9, 1);
+        expect(wavesurfer.drawBuffer).toHaveBeenCalled();
+        expect(zoomSpy).toHaveBeenCalledWith(wavesurfer.params.minPxPerSec);
+    });
+
+    it('centers ranges that are too short for maxZoom', function() {
+        createWaveSurfer({ maxZoom: 50 });
+        wavesurfer.zoomToRange(10, 11);
+
+        expect(wavesurfer.params.minPxPerSec).toEqual(50);
+        expect(timeAt(200)).toBeCloseTo(10.5, 1);
+    });
+
+    it('centers ranges that are too long for minZoom', function() {
+        createWaveSurfer({ minZoom: 10 });
+        wavesurfer.zoomToRange(20, 80);
+
+        expect(wavesurfer.params.minPxPerSec).toEqual(10);
+        expect(timeAt(200)).toBeCloseTo(50, 1);
+    });
+
+    it('zooms out to the whole waveform', function() {
+        createWaveSurfer();
+        wavesurfer.zoomToRange(10, 20);
+        spyOn(wavesurfer, 'drawBuffer').and.callThrough();
+        const zoomSpy = jasmine.createSpy('zoom');
+        wavesurfer.on('zoom', zoomSpy);
+
+        wavesurfer.zoomToFit();
+
+        expect(wrapper.scrollWidth).toEqual(400);
+        expect(wavesurfer.drawBuffer).toHaveBeenCalled();
+        expect(zoomSpy).toHaveBeenCalled();
+    });
+
+    it('returns to the previous views', function() {
+        createWaveSurfer();
+        wavesurfer.zoom(20);
+        wrapper.scrollLeft = 500;
+        wavesurfer.zoomToRange(10, 20);
+        wavesurfer.zoomToFit();
+
+        expect(wavesurfer.zoomBack()).toBe(true);
+        expect(wavesurfer.params.minPxPerSec).toEqual(40);
+        expect(timeAt(0)).toBeCloseTo(10, 1);
+
+        expect(wavesurfer.zoomBack()).toBe(true);
+        expect(wavesurfer.params.minPxPerSec).toEqual(20);
+        expect(wrapper.scrollLeft).toBeCloseTo(500, 0);
+        expect(wavesurfer.zoomBack()).toBe(false);
+
+        expect(wavesurfer.zoomForward()).toBe(true);
+        expect(wavesurfer.params.minPxPerSec).toEqual(40);
+
+        // a new zoom drops the views to go forward to
+        wavesurfer.zoomToRange(50, 60);
+        expect(wavesurfer.zoomForward()).toBe(false);
+    });
+
+    it('rejects empty ranges and calls before load()', function() {
+        createWaveSurfer();
+
+        expect(() => wavesurfer.zoomToRange(5, 5)).toThrowError(
+            /start before the end/
+        );
+        wavesurfer.empty();
+        expect(() => wavesurfer.zoomToRange(5, 10)).toThrowError(
+            /after load\(\)/
+        );
+    });
+
+    it('zooms to a box dragged with the mouse', function() {
+        createWaveSurfer({ dragZoom: true });
+        wavesurfer.zoom(20);
+        const start = timeAt(100);
+        const end = timeAt(300);
+
+        mouse(wrapper, 'mousedown', 100);
+        mouse(document, 'mousemove', 200);
+        expect(wrapper.querySelector('zoombox')).not.toBeNull();
+        mouse(document, 'mousemove', 300);
+        mouse(document, 'mouseup', 300);
+        // the click that follows the release does not seek
+        const clickSpy = jasmine.createSpy('click');
+        wavesurfer.drawer.on('click', clickSpy);
+        mouse(wrapper, 'click', 300);
+
+        expect(clickSpy).not.toHaveBeenCalled();
+        expect(wrapper.querySelector('zoombox')).toBeNull();
+        expect(timeAt(0)).toBeCloseTo(start, 1);
+        expect(timeAt(400)).toBeCloseTo(end, 1);
+    });
+
+    it('only zooms to a box with dragZoom set', function() {
+        createWaveSurfer();
+        wavesurfer.zoom(20);
+
+        mouse(wrapper, 'mousedown', 100);
+        mouse(document, 'mousemove', 300);
+        mouse(document, 'mouseup', 300);
+
+        expect(wavesurfer.params.minPxPerSec).toEqual(20);
+    });
+});
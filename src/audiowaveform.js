@@ -0,0 +1,308 @@
+/**
+ * Readers and writers for the waveform data of the BBC `audiowaveform` tool
+ *
+ * @see https://github.com/bbc/audiowaveform/blob/master/doc/DataFormat.md
+ * @since 4.7.0
+ */
+
+/**
+ * @typedef {Object} WaveformData
+ * @desc Peaks and metadata read from an `audiowaveform` file, in the shape
+ * expected by `WaveSurfer.load`
+ * @property {number[]|Number.<Array[]>} peaks Pairs of max and min values. An
+ * array of arrays (one per channel) if there is more than one channel
+ * @property {number} channels Number of channels
+ * @property {number} sampleRate Sample rate of the audio the peaks were
+ * computed from
+ * @property {number} samplesPerPixel Number of audio samples per min/max pair
+ * @property {number} bits Resolution of the peak values, either 8 or 16
+ * @property {number} length Number of min/max pairs in each channel
+ * @property {number} duration Duration of the audio in seconds
+ * @property {number} peakMax The full scale value of the peaks
+ */
+
+/**
+ * Size of the binary header in bytes, by format version
+ *
+ * @private
+ */
+const DAT_HEADER_SIZE = {
+    1: 20,
+    2: 24
+};
+
+/**
+ * Read a binary (`.dat`) `audiowaveform` file. Both format versions 1 and 2
+ * with 8 or 16 bit peaks are supported.
+ *
+ * @param {ArrayBuffer} buffer The contents of the `.dat` file
+ * @return {WaveformData} The peaks and metadata
+ * @throws Will throw an error if the data is not a valid `.dat` file
+ * @example
+ * const data = parseDat(arrayBuffer);
+ * wavesurfer.load(data.peaks, data.duration, data.peakMax);
+ */
+export function parseDat(buffer) {
+    if (!(buffer instanceof ArrayBuffer)) {
+        throw new Error('audiowaveform data must be an ArrayBuffer');
+    }
+    if (buffer.byteLength < DAT_HEADER_SIZE[1]) {
+        throw new Error('audiowaveform data is too short to contain a header');
+    }
+
+    const view = new DataView(buffer);
+    const version = view.getInt32(0, true);
+    const headerSize = DAT_HEADER_SIZE[version];
+    if (!headerSize || buffer.byteLength < headerSize) {
+        throw new Error(`Unsupported audiowaveform data version ${version}`);
+    }
+
+    // bit 0 of the flags is set for 8 bit data
+    const bits = view.getUint32(4, true) & 1 ? 8 : 16;
+    const channels = version == 2 ? view.getInt32(20, true) : 1;
+    const length = view.getUint32(16, true);
+    const bytes = bits / 8;
+    const values = 2 * length * channels;
+
+    if (buffer.byteLength < headerSize + values * bytes) {
+        throw new Error(
+            `audiowaveform data is truncated, expected ${length} peaks in ${channels} channel(s)`
+        );
+    }
+
+    const getValue =
+        bits == 8
+            ? i => view.getInt8(headerSize + i)
+            : i => view.getInt16(headerSize + 2 * i, true);
+
+    return createWaveformData(
+        {
+            channels: channels,
+            sampleRate: view.getInt32(8, true),
+            samplesPerPixel: view.getInt32(12, true),
+            bits: bits,
+            length: length
+        },
+        getValue
+    );
+}
+
+/**
+ * Read a JSON `audiowaveform` document. Both format versions 1 and 2 are
+ * supported, version 1 documents always contain a single channel.
+ *
+ * @param {string|Object} json The JSON document or the object it was parsed
+ * into
+ * @return {WaveformData} The peaks and metadata
+ * @throws Will throw an error if the document is malformed
+ * @example
+ * const data = parseJSON({
+ *     version: 2,
+ *     channels: 1,
+ *     sample_rate: 44100,
+ *     samples_per_pixel: 512,
+ *     bits: 8,
+ *     length: 2,
+ *     data: [-12, 14, -7, 9]
+ * });
+ */
+export function parseJSON(json) {
+    if (typeof json === 'string') {
+        try {
+            json = JSON.parse(json);
+        } catch (e) {
+            throw new Error(`audiowaveform JSON could not be parsed: ${e.message}`);
+        }
+    }
+    if (!json || typeof json !== 'object') {
+        throw new Error('audiowaveform JSON must be an object');
+    }
+
+    const version = json.version === undefined ? 1 : json.version;
+    if (version !== 1 && version !== 2) {
+        throw new Error(`Unsupported audiowaveform JSON version ${version}`);
+    }
+
+    const data = json.data;
+    if (!Array.isArray(data)) {
+        throw new Error('audiowaveform JSON must contain a data array');
+    }
+
+    const channels = version == 2 ? json.channels : 1;
+    if (!(Number.isInteger(channels) && channels > 0)) {
+        throw new Error(
+            `Invalid audiowaveform channels value ${channels}, must be a positive integer`
+        );
+    }
+    const length =
+        json.length === undefined ? data.length / (2 * channels) : json.length;
+    if (!Number.isInteger(length) || data.length != 2 * length * channels) {
+        throw new Error(
+            `audiowaveform JSON data has ${data.length} values, expected ${length} min/max pairs in ${channels} channel(s)`
+        );
+    }
+
+    return createWaveformData(
+        {
+            channels: channels,
+            sampleRate: json.sample_rate,
+            samplesPerPixel: json.samples_per_pixel,
+            bits: json.bits,
+            length: length
+        },
+        i => {
+            if (typeof data[i] !== 'number' || !isFinite(data[i])) {
+                throw new Error(
+                    `audiowaveform JSON data contains an invalid value at index ${i}`
+                );
+            }
+            return data[i];
+        }
+    );
+}
+
+/**
+ * Validate the metadata and split the interleaved min/max values into
+ * max/min pairs per channel
+ *
+ * @private
+ * @param {Object} meta The metadata read from the file
+ * @param {function} getValue Returns the value at an index of the interleaved
+ * data
+ * @return {WaveformData} The peaks and metadata
+ */
+function createWaveformData(meta, getValue) {
+    if (!(meta.bits == 8 || meta.bits == 16)) {
+        throw new Error(`Unsupported audiowaveform bits value ${meta.bits}`);
+    }
+    ['channels', 'sampleRate', 'samplesPerPixel'].forEach(key => {
+        if (!(Number.isInteger(meta[key]) && meta[key] > 0)) {
+            throw new Error(
+                `Invalid audiowaveform ${key} value ${meta[key]}, must be a positive integer`
+            );
+        }
+    });
+    if (!(meta.length > 0)) {
+        throw new Error('audiowaveform data does not contain any peaks');
+    }
+
+    const peaks = [];
+    let c, i;
+    for (c = 0; c < meta.channels; c++) {
+        const channelPeaks = new Array(2 * meta.length);
+        for (i = 0; i < meta.length; i++) {
+            const pos = 2 * (i * meta.channels + c);
+            // audiowaveform stores the min value first, wavesurfer expects
+            // the max value first
+            channelPeaks[2 * i] = getValue(pos + 1);
+            channelPeaks[2 * i + 1] = getValue(pos);
+        }
+        peaks.push(channelPeaks);
+    }
+
+    return Object.assign({}, meta, {
+        peaks: meta.channels == 1 ? peaks[0] : peaks,
+        duration: (meta.length * meta.samplesPerPixel) / meta.sampleRate,
+        peakMax: Math.pow(2, meta.bits - 1)
+    });
+}
+
+/**
+ * Validate the metadata of data to write and get the interleaved min/max
+ * values, in the order `audiowaveform` stores them
+ *
+ * @private
+ * @param {WaveformData} data The peaks and metadata, the peaks are max/min
+ * pairs with values between `-2^(bits - 1)` and `2^(bits - 1) - 1`
+ * @return {Object} The interleaved min/max `values` of all channels, the
+ * number of `channels` and the `length` of each channel
+ */
+function getInterleavedValues(data) {
+    if (!(data.bits == 8 || data.bits == 16)) {
+        throw new Error(`Unsupported audiowaveform bits value ${data.bits}`);
+    }
+    ['sampleRate', 'samplesPerPixel'].forEach(key => {
+        if (!(Number.isInteger(data[key]) && data[key] > 0)) {
+            throw new Error(
+                `Invalid audiowaveform ${key} value ${data[key]}, must be a positive integer`
+            );
+        }
+    });
+    const peaks =
+        data.peaks[0] instanceof Array || ArrayBuffer.isView(data.peaks[0])
+            ? data.peaks
+            : [data.peaks];
+    const length = peaks[0].length / 2;
+    if (!(length > 0) || peaks.some(p => p.length != 2 * length)) {
+        throw new Error(
+            'audiowaveform data must contain the same number of max/min pairs in each channel'
+        );
+    }
+
+    const values = new Array(2 * length * peaks.length);
+    peaks.forEach((channelPeaks, c) => {
+        let i;
+        for (i = 0; i < length; i++) {
+            const pos = 2 * (i * peaks.length + c);
+            values[pos] = channelPeaks[2 * i + 1];
+            values[pos + 1] = channelPeaks[2 * i];
+        }
+    });
+    return { values: values, channels: peaks.length, length: length };
+}
+
+/**
+ * Write a binary (`.dat`) `audiowaveform` file in format version 2
+ *
+ * @param {WaveformData} data The peaks and metadata, the peaks are max/min
+ * pairs with values between `-2^(bits - 1)` and `2^(bits - 1) - 1`. The
+ * `channels`, `length`, `duration` and `peakMax` properties are not used.
+ * @return {ArrayBuffer} The contents of the `.dat` file
+ * @throws Will throw an error if the data can't be written
+ * @example
+ * const buffer = writeDat(parseDat(arrayBuffer));
+ */
+export function writeDat(data) {
+    const { values, channels, length } = getInterleavedValues(data);
+    const headerSize = DAT_HEADER_SIZE[2];
+    const bytes = data.bits / 8;
+    const buffer = new ArrayBuffer(headerSize + values.length * bytes);
+    const view = new DataView(buffer);
+
+    view.setInt32(0, 2, true);
+    view.setUint32(4, data.bits == 8 ? 1 : 0, true);
+    view.setInt32(8, data.sampleRate, true);
+    view.setInt32(12, data.samplesPerPixel, true);
+    view.setUint32(16, length, true);
+    view.setInt32(20, channels, true);
+    values.forEach((value, i) =>
+        data.bits == 8
+            ? view.setInt8(headerSize + i, value)
+            : view.setInt16(headerSize + 2 * i, value, true)
+    );
+    return buffer;
+}
+
+/**
+ * Write a JSON `audiowaveform` document in format version 2
+ *
+ * @param {WaveformData} data The peaks and metadata, the peaks are max/min
+ * pairs with values between `-2^(bits - 1)` and `2^(bits - 1) - 1`. The
+ * `channels`, `length`, `duration` and `peakMax` properties are not used.
+ * @return {string} The JSON document
+ * @throws Will throw an error if the data can't be written
+ * @example
+ * const json = writeJSON(parseJSON(document));
+ */
+export function writeJSON(data) {
+    const { values, channels, length } = getInterleavedValues(data);
+    return JSON.stringify({
+        version: 2,
+        channels: channels,
+        sample_rate: data.sampleRate,
+        samples_per_pixel: data.samplesPerPixel,
+        bits: data.bits,
+        length: length,
+        data: values
+    });
+}
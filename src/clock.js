@@ -0,0 +1,159 @@
+import Observer from './util/observer';
+
+/**
+ * @typedef {Object} ClockSource
+ * @desc An external time source that drives the cursor, e.g. a player that is
+ * not an `HTMLMediaElement` or timecodes received from a server
+ * @property {function} getTime Returns the current position in seconds
+ * @property {function} isPaused Returns true while the source is not playing
+ * @property {?function} isEnded Returns true when the source stopped at its
+ * end, otherwise the end is detected from the duration
+ * @property {?function} play Called to start playback
+ * @property {?function} pause Called to pause playback
+ * @property {?function} seek Called with a position in seconds
+ * @property {?function} setPlaybackRate Called with the new playback rate
+ * @property {?function} getPlaybackRate Returns the playback rate
+ * @property {?function} getDuration Returns the duration in seconds
+ * @example
+ * // a read only source, the transport methods of wavesurfer do nothing
+ * wavesurfer.attachClock({
+ *     getTime: () => lastTimecode,
+ *     isPaused: () => !running
+ * });
+ */
+
+/**
+ * Adapts a `ClockSource` for wavesurfer. The transport methods of wavesurfer
+ * (`play()`, `pause()`, `seekTo()`, `setPlaybackRate()`) call the methods of
+ * the source, the methods the source doesn't have do nothing.
+ *
+ * @since 4.7.0
+ * @extends {Observer}
+ */
+export default class Clock extends Observer {
+    /**
+     * @param {ClockSource} source The time source
+     * @throws Will throw an error if the source can't tell the time
+     */
+    constructor(source) {
+        super();
+        if (
+            !source ||
+            typeof source.getTime !== 'function' ||
+            typeof source.isPaused !== 'function'
+        ) {
+            throw new Error(
+                'Clock source must be an HTMLMediaElement or have getTime() and isPaused() methods'
+            );
+        }
+        /** @private */
+        this.source = source;
+        /**
+         * Whether the state of the source can change on its own, e.g. when the
+         * user controls it, so it is read at every animation frame. Otherwise
+         * it is only read while it is playing and after a `change` event.
+         *
+         * @type {boolean}
+         */
+        this.needsPolling = true;
+    }
+
+    /**
+     * Call a method of the source if it has it
+     *
+     * @private
+     * @param {string} method The name of the method
+     * @param {...any} args The arguments
+     * @return {any} The result of the method, undefined if the source doesn't
+     * have it or the clock was destroyed
+     */
+    call(method, ...args) {
+        // the clock may be detached by an event handler of a running frame
+        if (this.source && typeof this.source[method] === 'function') {
+            return this.source[method](...args);
+        }
+    }
+
+    /**
+     * @return {number} The position of the source in seconds
+     */
+    getTime() {
+        return this.source.getTime() || 0;
+    }
+
+    /**
+     * @return {boolean} True while the source is not playing
+     */
+    isPaused() {
+        return !!this.source.isPaused();
+    }
+
+    /**
+     * @return {boolean} True if the source stopped at its end
+     */
+    isEnded() {
+        return !!this.call('isEnded');
+    }
+
+    /**
+     * Start playback
+     *
+     * @param {?number} start Position to start at in seconds
+     * @return {Promise} Result of the `play` method of the source
+     */
+    play(start) {
+        if (start != null) {
+            this.seek(start);
+        }
+        return Promise.resolve(this.call('play'));
+    }
+
+    /**
+     * Pause playback
+     *
+     * @return {Promise} Result of the `pause` method of the source
+     */
+    pause() {
+        return Promise.resolve(this.call('pause'));
+    }
+
+    /**
+     * Move the source to a position
+     *
+     * @param {number} time The position in seconds
+     */
+    seek(time) {
+        this.call('seek', time);
+    }
+
+    /**
+     * @param {number} rate The playback rate
+     */
+    setPlaybackRate(rate) {
+        this.call('setPlaybackRate', rate);
+    }
+
+    /**
+     * @return {number} The playback rate of the source, 1 if it doesn't tell
+     */
+    getPlaybackRate() {
+        return this.call('getPlaybackRate') || 1;
+    }
+
+    /**
+     * @return {?number} The duration of the source in seconds, null if it
+     * doesn't tell
+     */
+    getDuration() {
+        const duration = this.call('getDuration');
+        return duration > 0 && isFinite(duration) ? duration : null;
+    }
+
+    /**
+     * Release the source and remove the event handlers
+     */
+    destroy() {
+        this.unAll();
+        this.source = null;
+    }
+}
@@ -0,0 +1,71 @@
+import Clock from './clock';
+
+/**
+ * The events of a media element after which its state is read
+ *
+ * @private
+ */
+const MEDIA_EVENTS = ['play', 'pause', 'seeked', 'ended'];
+
+/**
+ * Adapts an `<audio>` or `<video>` element as the clock of wavesurfer. The
+ * element is only read while it plays and when it fires one of the `play`,
+ * `pause`, `seeked` or `ended` events, e.g. when it is controlled by its own
+ * controls.
+ *
+ * @since 4.7.0
+ * @extends {Clock}
+ * @example
+ * wavesurfer.attachClock(document.querySelector('video'));
+ */
+export default class MediaElementClock extends Clock {
+    /**
+     * @param {HTMLMediaElement} media The media element
+     */
+    constructor(media) {
+        super({
+            getTime: () => media.currentTime,
+            isPaused: () => media.paused,
+            isEnded: () => media.ended,
+            play: () => media.play(),
+            pause: () => media.pause(),
+            seek: time => {
+                media.currentTime = time;
+            },
+            setPlaybackRate: rate => {
+                media.playbackRate = rate;
+            },
+            getPlaybackRate: () => media.playbackRate,
+            getDuration: () => media.duration
+        });
+        /**
+         * The media element
+         *
+         * @type {HTMLMediaElement}
+         */
+        this.media = media;
+        /**
+         * The position only changes while the element plays or when it fires
+         * an event
+         *
+         * @type {boolean}
+         */
+        this.needsPolling = false;
+        // the wavesurfer instance reads the clock after a change event
+        this.onMediaEvent = () => this.fireEvent('change');
+        MEDIA_EVENTS.forEach(event =>
+            media.addEventListener(event, this.onMediaEvent)
+        );
+    }
+
+    /**
+     * Release the media element, it is not paused or removed
+     */
+    destroy() {
+        MEDIA_EVENTS.forEach(event =>
+            this.media.removeEventListener(event, this.onMediaEvent)
+        );
+        super.destroy();
+        this.media = null;
+    }
+}
@@ -0,0 +1,91 @@
+import Clock from './clock';
+import now from './util/now';
+
+/**
+ * A clock without media that advances in real time at the playback rate, so
+ * `play()` moves the cursor when no clock is attached. It stops at the
+ * duration like a media element.
+ *
+ * @since 4.7.0
+ * @extends {Clock}
+ */
+export default class VirtualClock extends Clock {
+    /**
+     * @param {function} getDuration Returns the duration in seconds
+     * @param {number} rate=1 The playback rate
+     */
+    constructor(getDuration, rate = 1) {
+        const state = {
+            // the position when it was last started, seeked or paused
+            position: 0,
+            // the time it was started in milliseconds, null while paused
+            startedAt: null,
+            rate: rate,
+            ended: false
+        };
+        const getTime = () => {
+            if (state.startedAt === null) {
+                return state.position;
+            }
+            const time =
+                state.position +
+                ((now() - state.startedAt) / 1000) * state.rate;
+            const duration = getDuration() || 0;
+            if (time >= duration) {
+                state.position = duration;
+                state.startedAt = null;
+                state.ended = true;
+                return duration;
+            }
+            return time;
+        };
+        const setPosition = time => {
+            state.position = Math.max(0, time);
+            state.ended = false;
+            if (state.startedAt !== null) {
+                state.startedAt = now();
+            }
+        };
+
+        super({
+            getTime: getTime,
+            isPaused: () => {
+                // reaching the end pauses the clock
+                getTime();
+                return state.startedAt === null;
+            },
+            isEnded: () => state.ended,
+            play: () => {
+                if (state.startedAt === null) {
+                    const duration = getDuration() || 0;
+                    // start over like a media element at its end
+                    if (state.position >= duration) {
+                        state.position = 0;
+                    }
+                    state.ended = false;
+                    if (duration > 0) {
+                        state.startedAt = now();
+                    }
+                }
+            },
+            pause: () => {
+                state.position = getTime();
+                state.startedAt = null;
+            },
+            seek: time => setPosition(time),
+            setPlaybackRate: newRate => {
+                setPosition(getTime());
+                state.rate = newRate;
+            },
+            getPlaybackRate: () => state.rate,
+            getDuration: getDuration
+        });
+        /**
+         * The position only changes through the transport methods, so the
+         * clock is only read while it is playing
+         *
+         * @type {boolean}
+         */
+        this.needsPolling = false;
+    }
+}
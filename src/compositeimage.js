@@ -0,0 +1,236 @@
+/**
+ * Composition of the layers of `exportCompositeImage()` into one image, on a
+ * canvas or as an SVG document
+ *
+ * @since 4.7.0
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * @typedef {Object} ExportView
+ * @desc The part of the waveform that is exported and the size of the image.
+ * Sizes are pixels of the image, i.e. CSS pixels times the `pixelRatio`
+ * @property {number} start Time of the left edge of the image in seconds
+ * @property {number} end Time of the right edge of the image in seconds
+ * @property {number} duration The duration of the audio in seconds
+ * @property {number} width The width of the image
+ * @property {number} height The height of the waveform in the image, layers
+ * with their own height are added below it
+ * @property {number} pixelRatio The scale of the sizes, e.g. of fonts
+ * @property {function} timeToX Returns the x-position of a time in the image
+ */
+
+/**
+ * @typedef {Object} ExportShape
+ * @desc A shape of a layer of the image
+ * @property {string} type Either `'rect'` (with `x`, `y`, `width` and
+ * `height`), `'polygon'` (with `points`, an array of `[x, y]` pairs) or
+ * `'text'` (with `x`, `y` of the baseline, `text` and the CSS `font`)
+ * @property {string} color The fill color
+ * @property {?string} stroke The outline color of a polygon
+ * @property {?number} opacity The opacity of the shape
+ */
+
+/**
+ * @typedef {Object} ExportLayer
+ * @desc What a layer adds to the image. Plugins return `shapes`, the layers
+ * of the waveform draw themselves
+ * @property {?number} height If set the layer is a band of this height below
+ * the waveform and the y-positions of its shapes start at the top of the
+ * band, otherwise it is drawn over the waveform
+ * @property {?ExportShape[]} shapes The shapes of the layer
+ * @property {?function} drawToContext Draws the layer on a
+ * `CanvasRenderingContext2D`, called with the context and the height of the
+ * image
+ * @property {?function} createSVGElement Returns an SVG element of the
+ * layer, called with the height of the image
+ */
+
+/**
+ * Place the layers: the bands are stacked below the waveform
+ *
+ * @private
+ * @param {ExportView} view The exported view
+ * @param {ExportLayer[]} layers The layers
+ * @return {Object} The `top` of each layer and the `height` of the image
+ */
+function layout(view, layers) {
+    let height = view.height;
+    const tops = layers.map(layer => {
+        if (!layer.height) {
+            return 0;
+        }
+        const top = height;
+        height += layer.height;
+        return top;
+    });
+    return { tops: tops, height: Math.round(height) };
+}
+
+/**
+ * Draw shapes on a context
+ *
+ * @param {CanvasRenderingContext2D} ctx The context
+ * @param {ExportShape[]} shapes The shapes
+ * @param {number} top The y-offset of the shapes
+ */
+export function drawShapes(ctx, shapes, top = 0) {
+    shapes.forEach(shape => {
+        ctx.save();
+        ctx.fillStyle = shape.color;
+        if (shape.opacity !== undefined) {
+            ctx.globalAlpha = shape.opacity;
+        }
+        switch (shape.type) {
+            case 'rect':
+                ctx.fillRect(shape.x, shape.y + top, shape.width, shape.height);
+                break;
+            case 'polygon':
+                ctx.beginPath();
+                shape.points.forEach(([x, y], i) =>
+                    i ? ctx.lineTo(x, y + top) : ctx.moveTo(x, y + top)
+                );
+                ctx.closePath();
+                ctx.fill();
+                if (shape.stroke) {
+                    ctx.strokeStyle = shape.stroke;
+                    ctx.stroke();
+                }
+                break;
+            case 'text':
+                ctx.font = shape.font;
+                ctx.fillText(shape.text, shape.x, shape.y + top);
+                break;
+            default:
+                throw new Error(`Unknown shape type ${shape.type}`);
+        }
+        ctx.restore();
+    });
+}
+
+/**
+ * Create an element in the SVG namespace
+ *
+ * @private
+ * @param {string} name The tag name
+ * @param {Object} attributes The attributes to set, `undefined` ones are
+ * skipped
+ * @return {SVGElement} The element
+ */
+function createElement(name, attributes) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.keys(attributes).forEach(attribute => {
+        if (attributes[attribute] !== undefined) {
+            element.setAttribute(attribute, attributes[attribute]);
+        }
+    });
+    return element;
+}
+
+/**
+ * Create SVG elements of shapes
+ *
+ * @param {ExportShape[]} shapes The shapes
+ * @param {number} top The y-offset of the shapes
+ * @return {SVGGElement} A group with the elements
+ */
+export function createSVGShapes(shapes, top = 0) {
+    const group = createElement('g', {
+        transform: top ? `translate(0 ${top})` : undefined
+    });
+    shapes.forEach(shape => {
+        const common = { fill: shape.color, opacity: shape.opacity };
+        let element;
+        switch (shape.type) {
+            case 'rect':
+                element = createElement(
+                    'rect',
+                    Object.assign(common, {
+                        x: shape.x,
+                        y: shape.y,
+                        width: shape.width,
+                        height: shape.height
+                    })
+                );
+                break;
+            case 'polygon':
+                element = createElement(
+                    'polygon',
+                    Object.assign(common, {
+                        points: shape.points.map(p => p.join(',')).join(' '),
+                        stroke: shape.stroke
+                    })
+                );
+                break;
+            case 'text':
+                element = createElement(
+                    'text',
+                    Object.assign(common, {
+                        x: shape.x,
+                        y: shape.y,
+                        style: `font: ${shape.font}`
+                    })
+                );
+                element.textContent = shape.text;
+                break;
+            default:
+                throw new Error(`Unknown shape type ${shape.type}`);
+        }
+        group.appendChild(element);
+    });
+    return group;
+}
+
+/**
+ * Draw the layers on a new canvas
+ *
+ * @param {ExportView} view The exported view
+ * @param {ExportLayer[]} layers The layers, from the bottom to the top
+ * @return {HTMLCanvasElement} The canvas
+ */
+export function compositeToCanvas(view, layers) {
+    const { tops, height } = layout(view, layers);
+    const canvas = document.createElement('canvas');
+    canvas.width = view.width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+
+    layers.forEach((layer, i) => {
+        if (layer.drawToContext) {
+            layer.drawToContext(ctx, height);
+        }
+        if (layer.shapes) {
+            drawShapes(ctx, layer.shapes, tops[i]);
+        }
+    });
+    return canvas;
+}
+
+/**
+ * Create an SVG document of the layers
+ *
+ * @param {ExportView} view The exported view
+ * @param {ExportLayer[]} layers The layers, from the bottom to the top
+ * @return {string} The SVG markup
+ */
+export function compositeToSVG(view, layers) {
+    const { tops, height } = layout(view, layers);
+    // the size of the document is in CSS pixels, the contents in pixels of
+    // the image
+    const svg = createElement('svg', {
+        width: view.width / view.pixelRatio,
+        height: height / view.pixelRatio,
+        viewBox: `0 0 ${view.width} ${height}`
+    });
+
+    layers.forEach((layer, i) => {
+        if (layer.createSVGElement) {
+            svg.appendChild(layer.createSVGElement(height));
+        }
+        if (layer.shapes) {
+            svg.appendChild(createSVGShapes(layer.shapes, tops[i]));
+        }
+    });
+    return new XMLSerializer().serializeToString(svg);
+}
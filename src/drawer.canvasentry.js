@@ -4,6 +4,7 @@
 
 import style from './util/style';
 import getId from './util/get-id';
+import * as core from './drawer.core';
 
 /**
  * The `CanvasEntry` class represents an element consisting of a wave `canvas`
@@ -99,6 +100,7 @@ export default class CanvasEntry {
      * @param {number} totalWidth Total width of the multi canvas renderer
      * @param {number} width The new width of the element
      * @param {number} height The new height of the element
+     * @return {boolean} Whether the canvas size changed, which clears it
      */
     updateDimensions(elementWidth, totalWidth, width, height) {
         // where the canvas starts and ends in the waveform, represented as a
@@ -106,18 +108,27 @@ export default class CanvasEntry {
         this.start = this.wave.offsetLeft / totalWidth || 0;
         this.end = this.start + elementWidth / totalWidth;
 
+        // setting the canvas size clears it, so leave it alone when it
+        // did not change
+        const resized = this.wave.width != width || this.wave.height != height;
+
         // set wave canvas dimensions
-        this.wave.width = width;
-        this.wave.height = height;
+        if (resized) {
+            this.wave.width = width;
+            this.wave.height = height;
+        }
         let elementSize = { width: elementWidth + 'px' };
         style(this.wave, elementSize);
 
         if (this.hasProgressCanvas) {
             // set progress canvas dimensions
-            this.progress.width = width;
-            this.progress.height = height;
+            if (resized) {
+                this.progress.width = width;
+                this.progress.height = height;
+            }
             style(this.progress, elementSize);
         }
+        return resized;
     }
 
     /**
@@ -233,32 +244,7 @@ export default class CanvasEntry {
      * @example drawRoundedRect(ctx, 50, 50, 5, 10, 3)
      */
     drawRoundedRect(ctx, x, y, width, height, radius) {
-        if (height === 0) {
-            return;
-        }
-        // peaks are float values from -1 to 1. Use absolute height values in
-        // order to correctly calculate rounded rectangle coordinates
-        if (height < 0) {
-            height *= -1;
-            y -= height;
-        }
-        ctx.beginPath();
-        ctx.moveTo(x + radius, y);
-        ctx.lineTo(x + width - radius, y);
-        ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
-        ctx.lineTo(x + width, y + height - radius);
-        ctx.quadraticCurveTo(
-            x + width,
-            y + height,
-            x + width - radius,
-            y + height
-        );
-        ctx.lineTo(x + radius, y + height);
-        ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
-        ctx.lineTo(x, y + radius);
-        ctx.quadraticCurveTo(x, y, x + radius, y);
-        ctx.closePath();
-        ctx.fill();
+        core.drawRoundedRect(ctx, x, y, width, height, radius);
     }
 
     /**
@@ -272,8 +258,9 @@ export default class CanvasEntry {
      * should be rendered
      * @param {number} end The x-offset of the end of the area that
      * should be rendered
+     * @param {number} peakOffset=0 The peak value of the zero line
      */
-    drawLines(peaks, absmax, halfH, offsetY, start, end) {
+    drawLines(peaks, absmax, halfH, offsetY, start, end, peakOffset = 0) {
         this.drawLineToContext(
             this.waveCtx,
             peaks,
@@ -281,7 +268,8 @@ export default class CanvasEntry {
             halfH,
             offsetY,
             start,
-            end
+            end,
+            peakOffset
         );
 
         if (this.hasProgressCanvas) {
@@ -292,7 +280,8 @@ export default class CanvasEntry {
                 halfH,
                 offsetY,
                 start,
-                end
+                end,
+                peakOffset
             );
         }
     }
@@ -309,59 +298,30 @@ export default class CanvasEntry {
      * should be rendered
      * @param {number} end The x-offset of the end of the area that
      * should be rendered
+     * @param {number} peakOffset=0 The peak value of the zero line, e.g. 128
+     * for unsigned 8 bit peaks
      */
-    drawLineToContext(ctx, peaks, absmax, halfH, offsetY, start, end) {
+    drawLineToContext(ctx, peaks, absmax, halfH, offsetY, start, end, peakOffset = 0) {
         if (!ctx) {
             return;
         }
 
-        const length = peaks.length / 2;
-        const first = Math.round(length * this.start);
-
-        // use one more peak value to make sure we join peaks at ends -- unless,
-        // of course, this is the last canvas
-        const last = Math.round(length * this.end) + 1;
-
-        const canvasStart = first;
-        const canvasEnd = last;
-        const scale = this.wave.width / (canvasEnd - canvasStart - 1);
-
-        // optimization
-        const halfOffset = halfH + offsetY;
-        const absmaxHalf = absmax / halfH;
-
-        ctx.beginPath();
-        ctx.moveTo((canvasStart - first) * scale, halfOffset);
-
-        ctx.lineTo(
-            (canvasStart - first) * scale,
-            halfOffset - Math.round((peaks[2 * canvasStart] || 0) / absmaxHalf)
-        );
-
-        let i, peak, h;
-        for (i = canvasStart; i < canvasEnd; i++) {
-            peak = peaks[2 * i] || 0;
-            h = Math.round(peak / absmaxHalf);
-            ctx.lineTo((i - first) * scale + this.halfPixel, halfOffset - h);
-        }
-
-        // draw the bottom edge going backwards, to make a single
-        // closed hull to fill
-        let j = canvasEnd - 1;
-        for (j; j >= canvasStart; j--) {
-            peak = peaks[2 * j + 1] || 0;
-            h = Math.round(peak / absmaxHalf);
-            ctx.lineTo((j - first) * scale + this.halfPixel, halfOffset - h);
-        }
-
-        ctx.lineTo(
-            (canvasStart - first) * scale,
-            halfOffset -
-                Math.round((peaks[2 * canvasStart + 1] || 0) / absmaxHalf)
+        core.drawLineToContext(
+            ctx,
+            {
+                peaks: peaks,
+                absmax: absmax,
+                halfH: halfH,
+                offsetY: offsetY,
+                peakOffset: peakOffset
+            },
+            {
+                start: this.start,
+                end: this.end,
+                width: this.wave.width,
+                halfPixel: this.halfPixel
+            }
         );
-
-        ctx.closePath();
-        ctx.fill();
     }
 
     /**
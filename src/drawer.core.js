@@ -0,0 +1,542 @@
+/**
+ * The DOM free core of the renderers: the geometry of the waveform computed
+ * from the peaks and the drawing of it on a `CanvasRenderingContext2D`. It
+ * works with any object with that interface, e.g. the contexts of
+ * `node-canvas` to render waveform images on a server.
+ *
+ * @since 4.7.0
+ */
+
+import absMax from './util/absMax';
+import max from './util/max';
+import getPeakScale from './util/get-peak-scale';
+
+/**
+ * @typedef {Object} ChannelGeometry
+ * @desc The geometry of the waveform of one channel
+ * @property {number[]} peaks The peaks of the channel
+ * @property {number} channelIndex The index of the channel
+ * @property {number} absmax Maximum peak value (absolute)
+ * @property {number} peakOffset The peak value of the zero line
+ * @property {boolean} hasMinVals Whether the peaks are max/min pairs
+ * @property {number} height The height of the waveform of the channel
+ * @property {number} halfH Half the height of the waveform
+ * @property {number} offsetY Offset to the top
+ */
+
+/**
+ * @typedef {Object} RenderOptions
+ * @desc The options of `renderToContext`. The bar, peak and channel options
+ * work like the wavesurfer params of the same name.
+ * @property {number} width=ctx.canvas.width The width of the image in pixels
+ * @property {number} height=ctx.canvas.height The height of the image in
+ * pixels, shared by the channels with `splitChannels`
+ * @property {?string} backgroundColor=null Fill color of the background
+ * @property {string} waveColor='#999' Fill color of the waveform
+ * @property {string} progressColor='#555' Fill color of the waveform in
+ * front of `progress`
+ * @property {number} progress=0 The progress, between 0 and 1
+ * @property {number} barWidth Draw the waveform with bars of this width
+ * @property {?number} barGap=null The gap between the bars
+ * @property {number} barHeight=1 Height of the waveform bars
+ * @property {?number} barMinHeight=null Minimum height of the bars
+ * @property {number} barRadius=0 The radius of the bars
+ * @property {boolean} normalize=false Scale the waveform to the largest peak
+ * @property {number} peakMax The full scale value of the peaks, by default
+ * taken from the type of the typed array holding them
+ * @property {number} peakOffset The peak value of the zero line, by default
+ * taken from the type of the typed array holding them
+ * @property {?boolean} peakPairs=null Whether the peaks are max/min pairs
+ * @property {number} pixelRatio=1 Scale of the bar sizes
+ * @property {boolean} splitChannels=false Draw each channel separately
+ * @property {Object} splitChannelsOptions Options of the split channels
+ * @property {number} start=0 Beginning of the part of the waveform that is
+ * drawn, between 0 and 1
+ * @property {number} end=1 End of the part of the waveform that is drawn,
+ * between 0 and 1
+ */
+
+/**
+ * Default options of `renderToContext`
+ *
+ * @private
+ */
+const RENDER_DEFAULTS = {
+    backgroundColor: null,
+    waveColor: '#999',
+    progressColor: '#555',
+    progress: 0,
+    barWidth: 0,
+    barGap: null,
+    barHeight: 1,
+    barMinHeight: null,
+    barRadius: 0,
+    normalize: false,
+    peakPairs: null,
+    pixelRatio: 1,
+    splitChannels: false,
+    start: 0,
+    end: 1
+};
+
+/**
+ * Whether the peaks are an array of arrays, one per channel
+ *
+ * @param {number[]|Number.<Array[]>} peaks The peaks
+ * @return {boolean} True for the peaks of several channels
+ */
+export function isMultiChannel(peaks) {
+    return peaks[0] instanceof Array || ArrayBuffer.isView(peaks[0]);
+}
+
+/**
+ * Get the width of the bars and the gap between them
+ *
+ * @param {Object} params The `barWidth`, `barGap` and `pixelRatio` params
+ * @return {Object} The `bar` and the `gap` width in canvas pixels
+ */
+export function getBarSize(params) {
+    const bar = params.barWidth * params.pixelRatio;
+    const gap =
+        params.barGap === null
+            ? Math.max(params.pixelRatio, ~~(bar / 2))
+            : Math.max(params.pixelRatio, params.barGap * params.pixelRatio);
+    return { bar: bar, gap: gap };
+}
+
+/**
+ * Whether a channel should not be drawn
+ *
+ * @param {Object} params The `splitChannels` params
+ * @param {number} channelIndex The index of the channel
+ * @return {boolean} True to hide the channel, false to draw it
+ */
+export function isChannelHidden(params, channelIndex) {
+    return (
+        params.splitChannels &&
+        params.splitChannelsOptions.filterChannels.includes(channelIndex)
+    );
+}
+
+/**
+ * Get the maximum peak value across channels with `relativeNormalization`
+ *
+ * @param {Number.<Array[]>} channels The peaks of the channels
+ * @param {Object} params The `splitChannelsOptions` and `peakOffset` params
+ * @return {?number} The maximum, undefined without `relativeNormalization`
+ */
+export function getOverallAbsMax(channels, params) {
+    if (
+        params.splitChannelsOptions &&
+        params.splitChannelsOptions.relativeNormalization
+    ) {
+        const peakOffset = params.peakOffset || 0;
+        return max(channels.map(peaks => absMax(peaks, peakOffset)));
+    }
+    return undefined;
+}
+
+/**
+ * Compute the geometry of the waveform of a channel
+ *
+ * @param {number[]} peaks The peaks of the channel
+ * @param {Object} params The drawing params
+ * @param {number} height The height of a channel in canvas pixels
+ * @param {number} channelIndex The index of the channel
+ * @param {number} drawIndex The index of the channel after filtering
+ * @param {number?} normalizedMax Maximum value across channels for use with
+ * relativeNormalization. Ignored when undefined
+ * @return {ChannelGeometry} The geometry
+ */
+export function getChannelGeometry(
+    peaks,
+    params,
+    height,
+    channelIndex,
+    drawIndex,
+    normalizedMax
+) {
+    // the peak value of the zero line, e.g. 128 for unsigned 8 bit peaks
+    const peakOffset = params.peakOffset || 0;
+
+    // calculate maximum modulation value, either from the barHeight
+    // parameter or if normalize=true from the largest value in the peak
+    // set
+    let absmax = 1 / params.barHeight;
+    if (params.normalize) {
+        absmax =
+            normalizedMax === undefined
+                ? absMax(peaks, peakOffset)
+                : normalizedMax;
+    } else if (params.peakMax != 0) {
+        absmax = params.peakMax;
+    }
+
+    // Bar wave draws the bottom only as a reflection of the top,
+    // so we don't need values below the zero line. Max/min pairs are
+    // told apart from single peaks by them unless the layout is known
+    const hasMinVals =
+        typeof params.peakPairs === 'boolean'
+            ? params.peakPairs
+            : [].some.call(peaks, val => val < peakOffset);
+    const halfH = height / 2;
+
+    let offsetY = height * drawIndex || 0;
+
+    // Override offsetY if overlay is true
+    if (params.splitChannelsOptions && params.splitChannelsOptions.overlay) {
+        offsetY = 0;
+    }
+
+    return {
+        absmax: absmax,
+        peakOffset: peakOffset,
+        hasMinVals: hasMinVals,
+        height: height,
+        offsetY: offsetY,
+        halfH: halfH,
+        peaks: peaks,
+        channelIndex: channelIndex
+    };
+}
+
+/**
+ * Turn single peaks into max/min pairs by reflecting them across the zero
+ * line
+ *
+ * @param {number[]} peaks The peaks
+ * @param {number} peakOffset The peak value of the zero line
+ * @return {number[]} The max/min pairs
+ */
+export function reflectPeaks(peaks, peakOffset) {
+    const reflectedPeaks = [];
+    const len = peaks.length;
+    let i = 0;
+    for (i; i < len; i++) {
+        reflectedPeaks[2 * i] = peaks[i];
+        reflectedPeaks[2 * i + 1] = 2 * peakOffset - peaks[i];
+    }
+    return reflectedPeaks;
+}
+
+/**
+ * Compute the rectangles of the bars in an area of the waveform
+ *
+ * @param {ChannelGeometry} channel The geometry of the channel
+ * @param {Object} params The bar params and the `pixelRatio`
+ * @param {number} width The width of the whole waveform
+ * @param {number} start The x-offset of the beginning of the area
+ * @param {number} end The x-offset of the end of the area
+ * @param {function} fn Called with the `x`, `y`, `width` and `height` of
+ * each bar
+ */
+export function forEachBar(channel, params, width, start, end, fn) {
+    const { peaks, absmax, peakOffset, hasMinVals, halfH, offsetY } = channel;
+    const halfPixel = 0.5 / params.pixelRatio;
+    // Skip every other value if there are negatives.
+    const peakIndexScale = hasMinVals ? 2 : 1;
+    const length = peaks.length / peakIndexScale;
+    const { bar, gap } = getBarSize(params);
+    const step = bar + gap;
+
+    const scale = length / width;
+    // keep the bars on the same grid when only a part of the
+    // waveform is drawn
+    let i = start - (start % step);
+
+    for (i; i < end; i += step) {
+        const peak =
+            peaks[Math.floor(i * scale * peakIndexScale)] - peakOffset || 0;
+        let h = Math.round((peak / absmax) * halfH);
+
+        /* in case of silences, allow the user to specify that we
+         * always draw *something* (normally a 1px high bar) */
+        if (h == 0 && params.barMinHeight) {
+            h = params.barMinHeight;
+        }
+
+        fn(i + halfPixel, halfH - h + offsetY, bar + halfPixel, h * 2);
+    }
+}
+
+/**
+ * Draw a rectangle, rounded if there is a radius
+ *
+ * @param {CanvasRenderingContext2D} ctx Rendering context of target canvas
+ * @param {number} x X start position
+ * @param {number} y Y start position
+ * @param {number} width Width of the rectangle
+ * @param {number} height Height of the rectangle
+ * @param {number} radius Radius of the rectangle
+ */
+export function fillRectToContext(ctx, x, y, width, height, radius) {
+    if (radius) {
+        drawRoundedRect(ctx, x, y, width, height, radius);
+    } else {
+        ctx.fillRect(x, y, width, height);
+    }
+}
+
+/**
+ * Draw a rounded rectangle
+ *
+ * @param {CanvasRenderingContext2D} ctx Canvas context
+ * @param {number} x X-position of the rectangle
+ * @param {number} y Y-position of the rectangle
+ * @param {number} width Width of the rectangle
+ * @param {number} height Height of the rectangle
+ * @param {number} radius Radius of the rectangle
+ * @example drawRoundedRect(ctx, 50, 50, 5, 10, 3)
+ */
+export function drawRoundedRect(ctx, x, y, width, height, radius) {
+    if (height === 0) {
+        return;
+    }
+    // peaks are float values from -1 to 1. Use absolute height values in
+    // order to correctly calculate rounded rectangle coordinates
+    if (height < 0) {
+        height *= -1;
+        y -= height;
+    }
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.lineTo(x + width - radius, y);
+    ctx.quadraticCurveTo(x + width, y, x + width, y + radius);
+    ctx.lineTo(x + width, y + height - radius);
+    ctx.quadraticCurveTo(x + width, y + height, x + width - radius, y + height);
+    ctx.lineTo(x + radius, y + height);
+    ctx.quadraticCurveTo(x, y + height, x, y + height - radius);
+    ctx.lineTo(x, y + radius);
+    ctx.quadraticCurveTo(x, y, x + radius, y);
+    ctx.closePath();
+    ctx.fill();
+}
+
+/**
+ * Draw the hull of max/min pairs of a part of the waveform
+ *
+ * @param {CanvasRenderingContext2D} ctx Rendering context of target canvas
+ * @param {ChannelGeometry} channel The geometry of the channel, with max/min
+ * pairs as peaks
+ * @param {Object} area The part of the waveform on the canvas: the `start`
+ * and the `end` between 0 and 1, the `width` of the canvas and the
+ * `halfPixel` offset of the points
+ */
+export function drawLineToContext(ctx, channel, area) {
+    const { peaks, absmax, halfH, offsetY } = channel;
+    const peakOffset = channel.peakOffset || 0;
+    const length = peaks.length / 2;
+    const first = Math.round(length * area.start);
+
+    // use one more peak value to make sure we join peaks at ends -- unless,
+    // of course, this is the last canvas
+    const last = Math.round(length * area.end) + 1;
+    const scale = area.width / (last - first - 1);
+
+    // optimization
+    const halfOffset = halfH + offsetY;
+    const absmaxHalf = absmax / halfH;
+
+    ctx.beginPath();
+    ctx.moveTo(0, halfOffset);
+
+    ctx.lineTo(
+        0,
+        halfOffset -
+            Math.round((peaks[2 * first] - peakOffset || 0) / absmaxHalf)
+    );
+
+    let i, peak, h;
+    for (i = first; i < last; i++) {
+        peak = peaks[2 * i] - peakOffset || 0;
+        h = Math.round(peak / absmaxHalf);
+        ctx.lineTo((i - first) * scale + area.halfPixel, halfOffset - h);
+    }
+
+    // draw the bottom edge going backwards, to make a single
+    // closed hull to fill
+    let j = last - 1;
+    for (j; j >= first; j--) {
+        peak = peaks[2 * j + 1] - peakOffset || 0;
+        h = Math.round(peak / absmaxHalf);
+        ctx.lineTo((j - first) * scale + area.halfPixel, halfOffset - h);
+    }
+
+    ctx.lineTo(
+        0,
+        halfOffset -
+            Math.round((peaks[2 * first + 1] - peakOffset || 0) / absmaxHalf)
+    );
+
+    ctx.closePath();
+    ctx.fill();
+}
+
+/**
+ * Draw the waveform of a channel on the whole width of a context
+ *
+ * @private
+ * @param {CanvasRenderingContext2D} ctx Rendering context of target canvas
+ * @param {ChannelGeometry} channel The geometry of the channel
+ * @param {Object} params The drawing params
+ */
+function drawChannel(ctx, channel, params) {
+    const { width, start, end } = params;
+    if (params.barWidth) {
+        // the bars of the whole waveform at this scale, shifted to the
+        // beginning of the drawn part
+        const totalWidth = width / (end - start);
+        const offset = start * totalWidth;
+        forEachBar(
+            channel,
+            params,
+            totalWidth,
+            offset,
+            offset + width,
+            (x, y, w, h) =>
+                fillRectToContext(ctx, x - offset, y, w, h, params.barRadius)
+        );
+        return;
+    }
+
+    const halfPixel = 0.5 / params.pixelRatio;
+    if (!channel.hasMinVals) {
+        channel = Object.assign({}, channel, {
+            peaks: reflectPeaks(channel.peaks, channel.peakOffset)
+        });
+    }
+    drawLineToContext(ctx, channel, {
+        start: start,
+        end: end,
+        width: width,
+        halfPixel: halfPixel
+    });
+    // the median line
+    ctx.fillRect(
+        0,
+        channel.halfH + channel.offsetY - halfPixel,
+        width,
+        halfPixel
+    );
+}
+
+/**
+ * Merge the options of `renderToContext` with the defaults and compute the
+ * geometry of the channels that are drawn
+ *
+ * @private
+ * @param {CanvasRenderingContext2D} ctx The context to draw on
+ * @param {number[]|Number.<Array[]>} peaks The peaks
+ * @param {RenderOptions} options The options
+ * @return {Object} The `params` and the `channels` geometry
+ */
+function prepareRender(ctx, peaks, options) {
+    const scale = getPeakScale(peaks) || { max: 0, offset: 0 };
+    const params = Object.assign(
+        {
+            width: ctx.canvas.width,
+            height: ctx.canvas.height,
+            peakMax: scale.max,
+            peakOffset: scale.offset
+        },
+        RENDER_DEFAULTS,
+        options
+    );
+    params.splitChannelsOptions = Object.assign(
+        {
+            overlay: false,
+            channelColors: {},
+            filterChannels: [],
+            relativeNormalization: false
+        },
+        options.splitChannelsOptions
+    );
+
+    let channels = [peaks];
+    if (isMultiChannel(peaks)) {
+        channels = params.splitChannels ? peaks : [peaks[0]];
+    }
+    const shown = channels.filter((c, i) => !isChannelHidden(params, i));
+    const channelHeight =
+        params.splitChannelsOptions.overlay || !shown.length
+            ? params.height
+            : params.height / shown.length;
+    const overallAbsMax = getOverallAbsMax(channels, params);
+    const geometries = channels
+        .map((channelPeaks, i) =>
+            isChannelHidden(params, i)
+                ? null
+                : getChannelGeometry(
+                    channelPeaks,
+                    params,
+                    channelHeight,
+                    i,
+                    shown.indexOf(channelPeaks),
+                    overallAbsMax
+                )
+        )
+        .filter(channel => channel);
+    return { params: params, channels: geometries };
+}
+
+/**
+ * Draw only the waveform on a context, in the wave or the progress colors
+ *
+ * @param {CanvasRenderingContext2D} ctx The context to draw on
+ * @param {number[]|Number.<Array[]>} peaks The peaks, can also be an array
+ * of arrays for split channel rendering
+ * @param {RenderOptions} options The size, colors and drawing options, the
+ * background and the progress are ignored
+ * @param {string} colorName='waveColor' Either `'waveColor'` or
+ * `'progressColor'`
+ */
+export function drawPeaksToContext(
+    ctx,
+    peaks,
+    options = {},
+    colorName = 'waveColor'
+) {
+    const { params, channels } = prepareRender(ctx, peaks, options);
+    channels.forEach(channel => {
+        const colors =
+            params.splitChannelsOptions.channelColors[channel.channelIndex] ||
+            {};
+        ctx.fillStyle = colors[colorName] || params[colorName];
+        drawChannel(ctx, channel, params);
+    });
+}
+
+/**
+ * Render a waveform on any object with a `CanvasRenderingContext2D`
+ * interface, with the drawing code of the `MultiCanvas` renderer but
+ * without a DOM
+ *
+ * @param {CanvasRenderingContext2D} ctx The context to draw on
+ * @param {number[]|Number.<Array[]>} peaks The peaks, can also be an array
+ * of arrays for split channel rendering
+ * @param {RenderOptions} options The size, colors and drawing options
+ * @example
+ * const { createCanvas } = require('canvas');
+ * const canvas = createCanvas(600, 120);
+ * renderToContext(canvas.getContext('2d'), peaks, { barWidth: 2 });
+ */
+export function renderToContext(ctx, peaks, options = {}) {
+    const width = options.width || ctx.canvas.width;
+    const height = options.height || ctx.canvas.height;
+    const progress = Math.min(options.progress || 0, 1);
+
+    if (options.backgroundColor) {
+        ctx.fillStyle = options.backgroundColor;
+        ctx.fillRect(0, 0, width, height);
+    }
+    drawPeaksToContext(ctx, peaks, options, 'waveColor');
+    if (progress > 0) {
+        // the same waveform in front of the progress
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(0, 0, progress * width, height);
+        ctx.clip();
+        drawPeaksToContext(ctx, peaks, options, 'progressColor');
+        ctx.restore();
+    }
+}
@@ -1,4 +1,5 @@
 import * as util from './util';
+import * as core from './drawer.core';
 
 /**
  * Parent class for renderers
@@ -30,11 +31,28 @@ export default class Drawer extends util.Observer {
         this.height = params.height * this.params.pixelRatio;
 
         this.lastPos = 0;
+        /**
+         * The duration of the waveform in seconds, set by wavesurfer
+         * @type {number}
+         */
+        this.duration = 0;
+        /**
+         * The width at the beginning of the waveform whose rendering was kept
+         * by the last size update
+         * @type {number}
+         */
+        this.keptWidth = 0;
         /**
          * The `<wave>` element which is added to the container
          * @type {HTMLElement}
          */
         this.wrapper = null;
+        /**
+         * The `aria-valuetext` of the wrapper, to only update the attributes
+         * when the displayed time changes
+         * @type {?string}
+         */
+        this.ariaValueText = null;
     }
 
     /**
@@ -74,9 +92,54 @@ export default class Drawer extends util.Observer {
             });
         }
 
+        if (this.params.keyboard) {
+            this.setupAria();
+        }
+
         this.setupWrapperEvents();
     }
 
+    /**
+     * Make the wrapper a focusable slider for screen readers
+     *
+     * @since 4.7.0
+     */
+    setupAria() {
+        const wrapper = this.wrapper.domElement;
+        wrapper.setAttribute('tabindex', '0');
+        wrapper.setAttribute('role', 'slider');
+        wrapper.setAttribute('aria-label', this.params.ariaLabel);
+        wrapper.setAttribute(
+            'aria-orientation',
+            this.params.vertical ? 'vertical' : 'horizontal'
+        );
+        wrapper.setAttribute('aria-valuemin', '0');
+        this.updateAria(0, 0);
+    }
+
+    /**
+     * Update the value of the slider, the attributes are only set when the
+     * time changes by a whole second
+     *
+     * @param {number} time The current time in seconds
+     * @param {number} duration The duration in seconds
+     * @since 4.7.0
+     */
+    updateAria(time, duration) {
+        if (!this.params.keyboard || !this.wrapper) {
+            return;
+        }
+        const text = `${util.formatTime(time)} of ${util.formatTime(duration)}`;
+        if (text === this.ariaValueText) {
+            return;
+        }
+        this.ariaValueText = text;
+        const wrapper = this.wrapper.domElement;
+        wrapper.setAttribute('aria-valuemax', String(Math.floor(duration)));
+        wrapper.setAttribute('aria-valuenow', String(Math.floor(time)));
+        wrapper.setAttribute('aria-valuetext', text);
+    }
+
     /**
      * Handle click event
      *
@@ -91,22 +154,136 @@ export default class Drawer extends util.Observer {
             e.targetTouches ? e.targetTouches[0] : e,
             this.params.vertical
         ).clientX;
-        const bbox = this.wrapper.getBoundingClientRect();
+        return this.getProgressAt(clientX);
+    }
+
+    /**
+     * Get the position of the waveform at a point of the screen
+     *
+     * @param {number} clientX The oriented x-coordinate of the point
+     * @return {number} Playback position from 0 to 1
+     * @since 4.7.0
+     */
+    getProgressAt(clientX) {
+        return this.pxToProgress(clientX, 'client');
+    }
+
+    /**
+     * Convert a time to pixels, taking the zoom, the scroll position, `rtl`
+     * and `vertical` into account. Positions along the waveform are returned
+     * in every orientation, i.e. the y-coordinate with `vertical`.
+     *
+     * The space is one of
+     * - `css`: CSS pixels from the start of the waveform, e.g. to position
+     *   elements in the wrapper
+     * - `canvas`: device pixels from the start of the waveform, as drawn on
+     *   the canvases
+     * - `client`: the coordinate in the browser window, like the `clientX` of
+     *   mouse events
+     *
+     * @param {number} time The time in seconds
+     * @param {Object} options={} Options
+     * @param {string} options.space='css' The space of the result
+     * @return {number} The position in pixels
+     * @throws Will throw an error for an unknown space
+     * @since 4.7.0
+     * @example
+     * const left = wavesurfer.drawer.timeToPx(12.5);
+     */
+    timeToPx(time, { space = 'css' } = {}) {
+        return this.progressToPx(
+            this.duration ? time / this.duration : 0,
+            space
+        );
+    }
 
-        const nominalWidth = this.width;
-        const parentWidth = this.getWidth();
-        const progressPixels = this.getProgressPixels(bbox, clientX);
+    /**
+     * Convert pixels to a time, the inverse of `timeToPx()`. The time is
+     * limited to the duration.
+     *
+     * @param {number} x The position in pixels
+     * @param {string} space='css' The space of the position, see `timeToPx()`
+     * @return {number} The time in seconds
+     * @throws Will throw an error for an unknown space
+     * @since 4.7.0
+     * @example
+     * wrapper.addEventListener('mousemove', e => {
+     *     const time = wavesurfer.drawer.pxToTime(e.clientX, 'client');
+     * });
+     */
+    pxToTime(x, space = 'css') {
+        return this.pxToProgress(x, space) * this.duration;
+    }
+
+    /**
+     * @private
+     * @param {number} progress The position from 0 to 1
+     * @param {string} space The space of the result, see `timeToPx()`
+     * @return {number} The position in pixels
+     */
+    progressToPx(progress, space) {
+        const cssPx = progress * this.getCssWidth();
+        switch (space) {
+            case 'css':
+                return cssPx;
+            case 'canvas':
+                return progress * this.width;
+            case 'client': {
+                const bbox = this.wrapper.getBoundingClientRect();
+                const offset = cssPx - this.wrapper.scrollLeft;
+                return this.params.rtl
+                    ? bbox.right - offset
+                    : bbox.left + offset;
+            }
+            default:
+                throw new Error(`Unknown space: ${space}`);
+        }
+    }
 
+    /**
+     * @private
+     * @param {number} x The position in pixels
+     * @param {string} space The space of the position, see `timeToPx()`
+     * @return {number} The position from 0 to 1
+     */
+    pxToProgress(x, space) {
         let progress;
-        if (!this.params.fillParent && nominalWidth < parentWidth) {
-            progress = progressPixels *
-                (this.params.pixelRatio / nominalWidth) || 0;
-        } else {
-            progress = (progressPixels + this.wrapper.scrollLeft) /
-                this.wrapper.scrollWidth || 0;
+        switch (space) {
+            case 'css':
+                progress = x / this.getCssWidth();
+                break;
+            case 'canvas':
+                progress = x / this.width;
+                break;
+            case 'client': {
+                const bbox = this.wrapper.getBoundingClientRect();
+                progress =
+                    (this.getProgressPixels(bbox, x) + this.wrapper.scrollLeft) /
+                    this.getCssWidth();
+                break;
+            }
+            default:
+                throw new Error(`Unknown space: ${space}`);
         }
+        return util.clamp(progress || 0, 0, 1);
+    }
 
-        return util.clamp(progress, 0, 1);
+    /**
+     * Get the width of the drawn waveform in CSS pixels, it is narrower than
+     * the container if the waveform neither fills nor scrolls it
+     *
+     * @return {number} The width in CSS pixels
+     * @since 4.7.0
+     */
+    getCssWidth() {
+        const nominalWidth = this.width / this.params.pixelRatio;
+        if (
+            !this.wrapper ||
+            (!this.params.fillParent && this.width < this.getWidth())
+        ) {
+            return nominalWidth;
+        }
+        return this.wrapper.scrollWidth;
     }
 
     getProgressPixels(wrapperBbox, clientX) {
@@ -143,16 +320,213 @@ export default class Drawer extends util.Observer {
             }
         });
 
+        this.wrapper.addEventListener('keydown', e => {
+            if (this.params.keyboard) {
+                this.fireEvent('keydown', e);
+            }
+        });
+
+        if (this.params.gestureZoom) {
+            this.setupZoomGestures();
+        }
+        if (this.params.dragZoom) {
+            this.setupDragZoom();
+        }
+
         this.wrapper.addEventListener('scroll', e =>
             this.fireEvent('scroll', e)
         );
     }
 
+    /**
+     * Zoom with the wheel while the ctrl key is pressed, which is also how
+     * browsers report the pinch of a trackpad, and with the pinch of two
+     * touch pointers
+     *
+     * @since 4.7.0
+     * @emits Drawer#zoomgesture
+     */
+    setupZoomGestures() {
+        // the browser must not zoom the page, but can still scroll it
+        this.style(this.wrapper, {
+            touchAction: this.params.vertical ? 'pan-y' : 'pan-x'
+        });
+
+        /**
+         * Fired when a gesture changes the zoom
+         *
+         * @event Drawer#zoomgesture
+         * @param {number} factor The change of the number of pixels per
+         * second
+         * @param {number} progress The position under the pointer from 0 to 1
+         * @param {number} offset The distance of the pointer from the start
+         * of the visible area in CSS pixels
+         */
+        const fireZoom = (factor, clientX) => {
+            const bbox = this.wrapper.getBoundingClientRect();
+            this.fireEvent(
+                'zoomgesture',
+                factor,
+                this.getProgressAt(clientX),
+                this.getProgressPixels(bbox, clientX)
+            );
+        };
+
+        this.wrapper.addEventListener(
+            'wheel',
+            e => {
+                if (!e.ctrlKey) {
+                    return;
+                }
+                e.preventDefault();
+                let delta = e.deltaY;
+                if (e.deltaMode === 1) {
+                    // lines
+                    delta *= 16;
+                } else if (e.deltaMode === 2) {
+                    // pages
+                    delta *= this.wrapper.clientWidth;
+                }
+                // a wheel notch of 100 pixels zooms out by a factor of √2
+                fireZoom(
+                    Math.pow(2, -delta / 200),
+                    util.withOrientation(e, this.params.vertical).clientX
+                );
+            },
+            { passive: false }
+        );
+
+        // the oriented x-coordinates of the touch pointers by id
+        const pointers = {};
+        const onPointerDown = e => {
+            if (e.pointerType === 'touch') {
+                pointers[e.pointerId] = util.withOrientation(
+                    e,
+                    this.params.vertical
+                ).clientX;
+            }
+        };
+        const onPointerMove = e => {
+            if (!(e.pointerId in pointers)) {
+                return;
+            }
+            const ids = Object.keys(pointers);
+            const oldDistance =
+                ids.length === 2 &&
+                Math.abs(pointers[ids[0]] - pointers[ids[1]]);
+            pointers[e.pointerId] = util.withOrientation(
+                e,
+                this.params.vertical
+            ).clientX;
+            const distance =
+                ids.length === 2 &&
+                Math.abs(pointers[ids[0]] - pointers[ids[1]]);
+            if (oldDistance && distance) {
+                fireZoom(
+                    distance / oldDistance,
+                    (pointers[ids[0]] + pointers[ids[1]]) / 2
+                );
+            }
+        };
+        const onPointerUp = e => {
+            delete pointers[e.pointerId];
+        };
+        this.wrapper.addEventListener('pointerdown', onPointerDown);
+        this.wrapper.addEventListener('pointermove', onPointerMove);
+        this.wrapper.addEventListener('pointerup', onPointerUp);
+        this.wrapper.addEventListener('pointercancel', onPointerUp);
+    }
+
+    /**
+     * Draw a box with the mouse when `dragZoom` is set, the range of the box
+     * is zoomed to when the mouse is released
+     *
+     * @since 4.7.0
+     * @emits Drawer#dragzoom
+     */
+    setupDragZoom() {
+        // the distance in pixels before a click becomes a drag
+        const slop = 3;
+        let startX = null;
+        let box = null;
+
+        const getX = e =>
+            util.withOrientation(e, this.params.vertical).clientX;
+        const onMove = e => {
+            const x = getX(e);
+            if (!this.wrapper) {
+                return;
+            }
+            if (!box) {
+                if (Math.abs(x - startX) <= slop) {
+                    return;
+                }
+                box = util.withOrientation(
+                    this.wrapper.appendChild(document.createElement('zoombox')),
+                    this.params.vertical
+                );
+                this.style(box, {
+                    position: 'absolute',
+                    zIndex: 5,
+                    top: '0px',
+                    height: '100%',
+                    pointerEvents: 'none',
+                    background: this.params.dragZoomColor
+                });
+            }
+            const start = this.progressToPx(this.getProgressAt(startX), 'css');
+            const end = this.progressToPx(this.getProgressAt(x), 'css');
+            this.style(box, {
+                left: Math.min(start, end) + 'px',
+                width: Math.abs(end - start) + 'px'
+            });
+        };
+        const onUp = e => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+            // the drawer may have been destroyed while dragging
+            if (box && this.wrapper) {
+                box.parentNode.removeChild(box.domElement);
+                box = null;
+                // the release of the mouse must not seek
+                util.preventClick();
+                const start = this.getProgressAt(startX);
+                const end = this.getProgressAt(getX(e));
+                if (start !== end) {
+                    /**
+                     * Fired when a box was dragged with `dragZoom`
+                     *
+                     * @event Drawer#dragzoom
+                     * @param {number} start The start of the box from 0 to 1
+                     * @param {number} end The end of the box from 0 to 1
+                     */
+                    this.fireEvent(
+                        'dragzoom',
+                        Math.min(start, end),
+                        Math.max(start, end)
+                    );
+                }
+            }
+            startX = null;
+        };
+        this.wrapper.addEventListener('mousedown', e => {
+            if (e.button !== 0 || startX !== null) {
+                return;
+            }
+            // keep the browser from selecting text while dragging
+            e.preventDefault();
+            startX = getX(e);
+            document.addEventListener('mousemove', onMove);
+            document.addEventListener('mouseup', onUp);
+        });
+    }
+
     /**
      * Draw peaks on the canvas
      *
-     * @param {number[]|Number.<Array[]>} peaks Can also be an array of arrays
-     * for split channel rendering
+     * @param {number[]|Number.<Array[]>|PeakPyramid} peaks Can also be an
+     * array of arrays for split channel rendering, or a `PeakPyramid` to draw
+     * the level that matches the width
      * @param {number} length The width of the area that should be drawn
      * @param {number} start The x-offset of the beginning of the area that
      * should be rendered
@@ -163,12 +537,58 @@ export default class Drawer extends util.Observer {
         if (!this.setWidth(length)) {
             this.clearWave();
         }
+        peaks = this.getPeaksForWidth(peaks, length);
+        // without a range a flat line is drawn
+        if (start !== undefined) {
+            [start, end] = this.getDrawableRange(start, end);
+        }
 
         this.params.barWidth
             ? this.drawBars(peaks, 0, start, end)
             : this.drawWave(peaks, 0, start, end);
     }
 
+    /**
+     * Draw peaks on a part of the canvas without clearing the rest of it. If
+     * the width changes only the part in front of `keptWidth` stays rendered.
+     *
+     * @param {number[]|Number.<Array[]>|PeakPyramid} peaks Can also be an
+     * array of arrays for split channel rendering, or a `PeakPyramid` to draw
+     * the level that matches the width
+     * @param {number} length The width of the area that should be drawn
+     * @param {number} start The x-offset of the beginning of the area that
+     * should be rendered
+     * @param {number} end The x-offset of the end of the area that should be
+     * rendered
+     * @since 4.7.0
+     */
+    drawPeakRange(peaks, length, start, end) {
+        this.setWidth(length, true);
+        peaks = this.getPeaksForWidth(peaks, length);
+        [start, end] = this.getDrawableRange(start, end);
+
+        this.params.barWidth
+            ? this.drawBars(peaks, 0, start, end)
+            : this.drawWave(peaks, 0, start, end);
+    }
+
+    /**
+     * Get the peaks to draw at a width. For a `PeakPyramid` this is the
+     * coarsest level with at least one peak per pixel.
+     *
+     * @param {number[]|Number.<Array[]>|PeakPyramid} peaks The peaks
+     * @param {number} length The width of the waveform in pixels
+     * @return {number[]|Number.<Array[]>} The peaks to draw
+     * @since 4.7.0
+     */
+    getPeaksForWidth(peaks, length) {
+        // the renderers that are built separately do not share the
+        // PeakPyramid class of the main build
+        return peaks && typeof peaks.getLevel === 'function'
+            ? peaks.getLevel(length)
+            : peaks;
+    }
+
     /**
      * Scroll to the beginning
      */
@@ -184,7 +604,7 @@ export default class Drawer extends util.Observer {
      * @param {number} percent Value from 0 to 1 on the waveform
      */
     recenter(percent) {
-        const position = this.wrapper.scrollWidth * percent;
+        const position = this.progressToPx(percent, 'css');
         this.recenterOnPosition(position, true);
     }
 
@@ -268,14 +688,17 @@ export default class Drawer extends util.Observer {
      * Set the width of the container
      *
      * @param {number} width The new width of the container
+     * @param {?boolean} keepContents Set to true to keep the rendered
+     * waveform where possible, see `keptWidth`
      * @return {boolean} Whether the width of the container was updated or not
      */
-    setWidth(width) {
+    setWidth(width, keepContents) {
         if (this.width == width) {
             return false;
         }
 
         this.width = width;
+        this.keptWidth = 0;
 
         if (this.params.fillParent || this.params.scrollParent) {
             this.style(this.wrapper, {
@@ -288,7 +711,7 @@ export default class Drawer extends util.Observer {
             });
         }
 
-        this.updateSize();
+        this.updateSize(keepContents);
         return true;
     }
 
@@ -325,7 +748,7 @@ export default class Drawer extends util.Observer {
             this.lastPos = pos;
 
             if (this.params.scrollParent && this.params.autoCenter) {
-                const newPos = ~~(this.wrapper.scrollWidth * progress);
+                const newPos = ~~this.progressToPx(progress, 'css');
                 this.recenterOnPosition(
                     newPos,
                     this.params.autoCenterImmediately
@@ -349,6 +772,87 @@ export default class Drawer extends util.Observer {
         }
     }
 
+    /**
+     * Get the width of the bars and the gap between them
+     *
+     * @return {Object} The `bar` and the `gap` width in canvas pixels
+     * @since 4.7.0
+     */
+    getBarSize() {
+        return core.getBarSize(this.params);
+    }
+
+    /**
+     * Returns whether to hide the channel from being drawn based on params.
+     *
+     * @param {number} channelIndex The index of the current channel.
+     * @returns {bool} True to hide the channel, false to draw.
+     */
+    hideChannel(channelIndex) {
+        return core.isChannelHidden(this.params, channelIndex);
+    }
+
+    /**
+     * Performs preparation tasks and calculations which are shared by `drawBars`
+     * and `drawWave`
+     *
+     * @param {number[]|Number.<Array[]>} peaks Can also be an array of arrays for
+     * split channel rendering
+     * @param {number} channelIndex The index of the current channel. Normally
+     * should be 0
+     * @param {number?} start The x-offset of the beginning of the area that
+     * should be rendered. If this isn't set only a flat line is rendered
+     * @param {number?} end The x-offset of the end of the area that should be
+     * rendered
+     * @param {function} fn The render function to call, e.g. `drawWave`
+     * @param {number} drawIndex The index of the current channel after filtering.
+     * @param {number?} normalizedMax Maximum modulation value across channels for use with relativeNormalization. Ignored when undefined
+     * @returns {void}
+     */
+    prepareDraw(peaks, channelIndex, start, end, fn, drawIndex, normalizedMax) {
+        return util.frame(() => {
+            // Split channels and call this function with the channelIndex set
+            if (core.isMultiChannel(peaks)) {
+                const channels = peaks;
+
+                if (this.params.splitChannels) {
+                    const filteredChannels = channels.filter((c, i) => !this.hideChannel(i));
+                    if (!this.params.splitChannelsOptions.overlay) {
+                        this.setHeight(
+                            Math.max(filteredChannels.length, 1) *
+                                this.params.height *
+                                this.params.pixelRatio
+                        );
+                    }
+
+                    // maximum peak across channels to use for normalization
+                    const overallAbsMax = core.getOverallAbsMax(channels, this.params);
+
+                    return channels.forEach((channelPeaks, i) =>
+                        this.prepareDraw(channelPeaks, i, start, end, fn, filteredChannels.indexOf(channelPeaks), overallAbsMax)
+                    );
+                }
+                peaks = channels[0];
+            }
+
+            // Return and do not draw channel peaks if hidden.
+            if (this.hideChannel(channelIndex)) {
+                return;
+            }
+
+            return fn(
+                core.getChannelGeometry(
+                    peaks,
+                    this.params,
+                    this.params.height * this.params.pixelRatio,
+                    channelIndex,
+                    drawIndex,
+                    normalizedMax
+                )
+            );
+        })();
+    }
+
     /* Renderer-specific methods */
 
     /**
@@ -362,8 +866,39 @@ export default class Drawer extends util.Observer {
      * Called when the size of the container changes so the renderer can adjust
      *
      * @abstract
+     * @param {?boolean} keepContents Whether to keep what is rendered at the
+     * beginning of the waveform. Renderers that do should set `keptWidth`
      */
-    updateSize() {}
+    updateSize(keepContents) {}
+
+    /**
+     * Called when the visible part of the waveform changes, e.g. by
+     * scrolling, so renderers with `virtualCanvases` can move their canvases
+     * there
+     *
+     * @abstract
+     * @return {Array[]} The ranges `[start, end]` in canvas pixels that were
+     * emptied and must be drawn again
+     * @since 4.7.0
+     */
+    updateVirtualCanvases() {
+        return [];
+    }
+
+    /**
+     * Limit a range to the part of the waveform that can be drawn on.
+     * Renderers with `virtualCanvases` only have canvases around the visible
+     * area, the rest is drawn when they are moved there.
+     *
+     * @param {number} start The start of the range in canvas pixels
+     * @param {number} end The end of the range in canvas pixels
+     * @return {number[]} The range `[start, end]` in canvas pixels, empty if
+     * nothing of it can be drawn
+     * @since 4.7.0
+     */
+    getDrawableRange(start, end) {
+        return [start, end];
+    }
 
     /**
      * Draw a waveform with bars
@@ -1,13 +1,16 @@
 import Drawer from './drawer';
 import * as util from './util';
 import CanvasEntry from './drawer.canvasentry';
+import * as core from './drawer.core';
 
 /**
  * MultiCanvas renderer for wavesurfer. Is currently the default and sole
  * builtin renderer.
  *
  * A `MultiCanvas` consists of one or more `CanvasEntry` instances, depending
- * on the zoom level.
+ * on the zoom level. With `virtualCanvases` only the entries around the
+ * visible area exist and `canvases` is a sparse array indexed by the position
+ * of the entries in the waveform.
  */
 export default class MultiCanvas extends Drawer {
     /**
@@ -54,6 +57,14 @@ export default class MultiCanvas extends Drawer {
          */
         this.progressWave = null;
 
+        /**
+         * Element that keeps the scroll width of the whole waveform with
+         * `virtualCanvases`
+         *
+         * @type {HTMLElement}
+         */
+        this.spacer = null;
+
         /**
          * Class used to generate entries.
          *
@@ -122,6 +133,22 @@ export default class MultiCanvas extends Drawer {
             pointerEvents: 'none'
         });
 
+        if (this.params.virtualCanvases) {
+            this.spacer = util.withOrientation(
+                this.wrapper.appendChild(document.createElement('wave')),
+                this.params.vertical
+            );
+            this.style(this.spacer, {
+                position: 'absolute',
+                left: 0,
+                top: 0,
+                width: '0',
+                height: '1px',
+                visibility: 'hidden',
+                pointerEvents: 'none'
+            });
+        }
+
         this.addCanvas();
         this.updateCursor();
     }
@@ -138,33 +165,185 @@ export default class MultiCanvas extends Drawer {
 
     /**
      * Adjust to the updated size by adding or removing canvases
+     *
+     * @param {?boolean} keepContents Set to true to keep what is rendered on
+     * the canvases at the beginning of the waveform that keep their size
      */
-    updateSize() {
-        const totalWidth = Math.round(this.width / this.params.pixelRatio);
-        const requiredCanvases = Math.ceil(
-            totalWidth / (this.maxCanvasElementWidth + this.overlap)
-        );
-
-        // add required canvases
-        while (this.canvases.length < requiredCanvases) {
-            this.addCanvas();
-        }
+    updateSize(keepContents) {
+        this.keptWidth = 0;
+        const requiredCanvases = this.getRequiredCanvases();
+        // the entries moved to a new position have to be drawn again
+        let placed = [];
+
+        if (this.params.virtualCanvases) {
+            this.style(this.spacer, {
+                width: Math.round(this.width / this.params.pixelRatio) + 'px'
+            });
+            placed = this.placeVirtualCanvases(requiredCanvases);
+        } else {
+            // add required canvases
+            while (this.canvases.length < requiredCanvases) {
+                this.addCanvas();
+            }
 
-        // remove older existing canvases, if any
-        while (this.canvases.length > requiredCanvases) {
-            this.removeCanvas();
+            // remove older existing canvases, if any
+            while (this.canvases.length > requiredCanvases) {
+                this.removeCanvas();
+            }
         }
 
-        let canvasWidth = this.maxCanvasWidth + this.overlap;
-        const lastCanvas = this.canvases.length - 1;
         this.canvases.forEach((entry, i) => {
-            if (i == lastCanvas) {
-                canvasWidth = this.width - this.maxCanvasWidth * lastCanvas;
+            const resized = this.updateDimensions(
+                entry,
+                this.getCanvasWidth(i, requiredCanvases),
+                this.height
+            );
+
+            // only keep an unbroken stretch from the beginning
+            keepContents = keepContents && !resized && placed.indexOf(i) < 0;
+            if (keepContents) {
+                this.keptWidth = (i + 1) * this.maxCanvasWidth;
+            } else {
+                entry.clearWave();
             }
-            this.updateDimensions(entry, canvasWidth, this.height);
+        });
+        this.keptWidth = Math.min(this.keptWidth, this.width);
+    }
 
+    /**
+     * Move the entries of `virtualCanvases` to the visible part of the
+     * waveform
+     *
+     * @return {Array[]} The ranges `[start, end]` in canvas pixels that were
+     * emptied and must be drawn again
+     * @since 4.7.0
+     */
+    updateVirtualCanvases() {
+        if (!this.params.virtualCanvases) {
+            return [];
+        }
+        const requiredCanvases = this.getRequiredCanvases();
+        const ranges = [];
+        this.placeVirtualCanvases(requiredCanvases).forEach(i => {
+            const entry = this.canvases[i];
+            this.updateDimensions(
+                entry,
+                this.getCanvasWidth(i, requiredCanvases),
+                this.height
+            );
             entry.clearWave();
+
+            // with the overlap, the next entry may not be drawn again
+            const start = i * this.maxCanvasWidth;
+            const end = Math.min(
+                start + this.maxCanvasWidth + this.overlap,
+                this.width
+            );
+            const last = ranges[ranges.length - 1];
+            if (last && last[1] >= start) {
+                last[1] = end;
+            } else {
+                ranges.push([start, end]);
+            }
+        });
+        return ranges;
+    }
+
+    /**
+     * Limit a range to the entries that `virtualCanvases` placed
+     *
+     * @param {number} start The start of the range in canvas pixels
+     * @param {number} end The end of the range in canvas pixels
+     * @return {number[]} The range `[start, end]` in canvas pixels
+     * @since 4.7.0
+     */
+    getDrawableRange(start, end) {
+        if (!this.params.virtualCanvases) {
+            return [start, end];
+        }
+        // the entries are stored at their positions, i.e. with holes
+        const first = this.canvases.findIndex(entry => entry);
+        if (first < 0) {
+            return [start, start];
+        }
+        return [
+            Math.max(start, first * this.maxCanvasWidth),
+            Math.min(end, this.canvases.length * this.maxCanvasWidth)
+        ];
+    }
+
+    /**
+     * Keep the entries that overlap the visible area and
+     * `virtualCanvasBuffer` entries on each side of it, and recycle the
+     * others for the positions that are not covered yet
+     *
+     * @private
+     * @param {number} requiredCanvases The number of entries the whole
+     * waveform needs
+     * @return {number[]} The indices of the entries moved to a new position
+     */
+    placeVirtualCanvases(requiredCanvases) {
+        const buffer = this.params.virtualCanvasBuffer;
+        const scrollLeft = this.wrapper.scrollLeft;
+        const first = Math.max(
+            0,
+            Math.floor(scrollLeft / this.maxCanvasElementWidth) - buffer
+        );
+        const last = Math.min(
+            requiredCanvases - 1,
+            Math.floor(
+                (scrollLeft + this.wrapper.clientWidth) /
+                    this.maxCanvasElementWidth
+            ) + buffer
+        );
+
+        const canvases = [];
+        const unused = [];
+        this.canvases.forEach((entry, i) => {
+            if (i >= first && i <= last) {
+                canvases[i] = entry;
+            } else {
+                unused.push(entry);
+            }
         });
+
+        const placed = [];
+        let i = first;
+        for (i; i <= last; i++) {
+            if (!canvases[i]) {
+                canvases[i] = unused.pop() || this.createEntry();
+                this.placeEntry(canvases[i], i);
+                placed.push(i);
+            }
+        }
+        unused.forEach(entry => this.removeEntry(entry));
+        this.canvases = canvases;
+        return placed;
+    }
+
+    /**
+     * @private
+     * @return {number} The number of entries the whole waveform needs
+     */
+    getRequiredCanvases() {
+        const totalWidth = Math.round(this.width / this.params.pixelRatio);
+        return Math.ceil(
+            totalWidth / (this.maxCanvasElementWidth + this.overlap)
+        );
+    }
+
+    /**
+     * @private
+     * @param {number} i The index of the entry
+     * @param {number} requiredCanvases The number of entries the whole
+     * waveform needs
+     * @return {number} The width of the entry in canvas pixels
+     */
+    getCanvasWidth(i, requiredCanvases) {
+        if (i == requiredCanvases - 1) {
+            return this.width - this.maxCanvasWidth * i;
+        }
+        return this.maxCanvasWidth + this.overlap;
     }
 
     /**
@@ -172,11 +351,22 @@ export default class MultiCanvas extends Drawer {
      *
      */
     addCanvas() {
+        const entry = this.createEntry();
+        this.placeEntry(entry, this.canvases.length);
+        this.canvases.push(entry);
+    }
+
+    /**
+     * Create an entry with its canvas elements
+     *
+     * @private
+     * @return {CanvasEntry} The new entry
+     */
+    createEntry() {
         const entry = new this.EntryClass();
         entry.canvasContextAttributes = this.canvasContextAttributes;
         entry.hasProgressCanvas = this.hasProgressCanvas;
         entry.halfPixel = this.halfPixel;
-        const leftOffset = this.maxCanvasElementWidth * this.canvases.length;
 
         // wave
         let wave = util.withOrientation(
@@ -186,7 +376,6 @@ export default class MultiCanvas extends Drawer {
         this.style(wave, {
             position: 'absolute',
             zIndex: 2,
-            left: leftOffset + 'px',
             top: 0,
             bottom: 0,
             height: '100%',
@@ -202,15 +391,28 @@ export default class MultiCanvas extends Drawer {
             );
             this.style(progress, {
                 position: 'absolute',
-                left: leftOffset + 'px',
                 top: 0,
                 bottom: 0,
                 height: '100%'
             });
             entry.initProgress(progress);
         }
+        return entry;
+    }
 
-        this.canvases.push(entry);
+    /**
+     * Move the canvas elements of an entry to a position in the waveform
+     *
+     * @private
+     * @param {CanvasEntry} entry Target entry
+     * @param {number} i The index of the position
+     */
+    placeEntry(entry, i) {
+        const left = { left: this.maxCanvasElementWidth * i + 'px' };
+        this.style(entry.wave, left);
+        if (this.hasProgressCanvas) {
+            this.style(entry.progress, left);
+        }
     }
 
     /**
@@ -218,23 +420,26 @@ export default class MultiCanvas extends Drawer {
      *
      */
     removeCanvas() {
-        let lastEntry = this.canvases[this.canvases.length - 1];
+        this.removeEntry(this.canvases.pop());
+    }
 
+    /**
+     * Remove the canvas elements of an entry and destroy it
+     *
+     * @private
+     * @param {CanvasEntry} entry Target entry
+     */
+    removeEntry(entry) {
         // wave
-        lastEntry.wave.parentElement.removeChild(lastEntry.wave.domElement);
+        entry.wave.parentElement.removeChild(entry.wave.domElement);
 
         // progress
         if (this.hasProgressCanvas) {
-            lastEntry.progress.parentElement.removeChild(lastEntry.progress.domElement);
+            entry.progress.parentElement.removeChild(entry.progress.domElement);
         }
 
         // cleanup
-        if (lastEntry) {
-            lastEntry.destroy();
-            lastEntry = null;
-        }
-
-        this.canvases.pop();
+        entry.destroy();
     }
 
     /**
@@ -243,16 +448,18 @@ export default class MultiCanvas extends Drawer {
      * @param {CanvasEntry} entry Target entry
      * @param {number} width The new width of the element
      * @param {number} height The new height of the element
+     * @return {boolean} Whether the canvas size changed, which clears it
      */
     updateDimensions(entry, width, height) {
         const elementWidth = Math.round(width / this.params.pixelRatio);
         const totalWidth = Math.round(this.width / this.params.pixelRatio);
 
         // update canvas dimensions
-        entry.updateDimensions(elementWidth, totalWidth, width, height);
+        const resized = entry.updateDimensions(elementWidth, totalWidth, width, height);
 
         // style element
         this.style(this.progressWave, { display: 'block' });
+        return resized;
     }
 
     /**
@@ -283,50 +490,28 @@ export default class MultiCanvas extends Drawer {
             channelIndex,
             start,
             end,
-            ({ absmax, hasMinVals, height, offsetY, halfH, peaks, channelIndex: ch }) => {
+            channel => {
                 // if drawBars was called within ws.empty we don't pass a start and
                 // don't want anything to happen
                 if (start === undefined) {
                     return;
                 }
-                // Skip every other value if there are negatives.
-                const peakIndexScale = hasMinVals ? 2 : 1;
-                const length = peaks.length / peakIndexScale;
-                const bar = this.params.barWidth * this.params.pixelRatio;
-                const gap =
-                    this.params.barGap === null
-                        ? Math.max(this.params.pixelRatio, ~~(bar / 2))
-                        : Math.max(
-                            this.params.pixelRatio,
-                            this.params.barGap * this.params.pixelRatio
-                        );
-                const step = bar + gap;
-
-                const scale = length / this.width;
-                const first = start;
-                const last = end;
-                let i = first;
-
-                for (i; i < last; i += step) {
-                    const peak =
-                        peaks[Math.floor(i * scale * peakIndexScale)] || 0;
-                    let h = Math.round((peak / absmax) * halfH);
-
-                    /* in case of silences, allow the user to specify that we
-                     * always draw *something* (normally a 1px high bar) */
-                    if (h == 0 && this.params.barMinHeight) {
-                        h = this.params.barMinHeight;
-                    }
-
-                    this.fillRect(
-                        i + this.halfPixel,
-                        halfH - h + offsetY,
-                        bar + this.halfPixel,
-                        h * 2,
-                        this.barRadius,
-                        ch
-                    );
-                }
+                core.forEachBar(
+                    channel,
+                    this.params,
+                    this.width,
+                    start,
+                    end,
+                    (x, y, width, height) =>
+                        this.fillRect(
+                            x,
+                            y,
+                            width,
+                            height,
+                            this.barRadius,
+                            channel.channelIndex
+                        )
+                );
             }
         );
     }
@@ -350,29 +535,25 @@ export default class MultiCanvas extends Drawer {
             channelIndex,
             start,
             end,
-            ({ absmax, hasMinVals, height, offsetY, halfH, peaks, channelIndex }) => {
+            ({ absmax, peakOffset, hasMinVals, height, offsetY, halfH, peaks, channelIndex }) => {
                 if (!hasMinVals) {
-                    const reflectedPeaks = [];
-                    const len = peaks.length;
-                    let i = 0;
-                    for (i; i < len; i++) {
-                        reflectedPeaks[2 * i] = peaks[i];
-                        reflectedPeaks[2 * i + 1] = -peaks[i];
-                    }
-                    peaks = reflectedPeaks;
+                    peaks = core.reflectPeaks(peaks, peakOffset);
                 }
 
                 // if drawWave was called within ws.empty we don't pass a start and
                 // end and simply want a flat line
                 if (start !== undefined) {
-                    this.drawLine(peaks, absmax, halfH, offsetY, start, end, channelIndex);
+                    this.drawLine(peaks, absmax, halfH, offsetY, start, end, channelIndex, peakOffset);
                 }
 
-                // always draw a median line
+                // always draw a median line, only across the area that is
+                // rendered so it is not drawn twice on the rest
+                const lineStart = start === undefined ? 0 : start;
+                const lineEnd = start === undefined ? this.width : end;
                 this.fillRect(
-                    0,
+                    lineStart,
                     halfH + offsetY - this.halfPixel,
-                    this.width,
+                    lineEnd - lineStart,
                     this.halfPixel,
                     this.barRadius,
                     channelIndex
@@ -393,13 +574,23 @@ export default class MultiCanvas extends Drawer {
      * @param {number} end The x-offset of the end of the area that
      * should be rendered
      * @param {channelIndex} channelIndex The channel index of the line drawn
+     * @param {number} peakOffset=0 The peak value of the zero line
      */
-    drawLine(peaks, absmax, halfH, offsetY, start, end, channelIndex) {
+    drawLine(peaks, absmax, halfH, offsetY, start, end, channelIndex, peakOffset = 0) {
         const { waveColor, progressColor } = this.params.splitChannelsOptions.channelColors[channelIndex] || {};
         this.canvases.forEach((entry, i) => {
+            // skip canvases outside of the area that should be rendered
+            const entryStart = i * this.maxCanvasWidth;
+            if (entryStart >= end || entryStart + this.maxCanvasWidth <= start) {
+                return;
+            }
+            // the lines of the entry before cover its overlap with this one
+            if (start < entryStart && end <= entryStart + this.overlap) {
+                return;
+            }
             this.setFillStyles(entry, waveColor, progressColor);
             this.applyCanvasTransforms(entry, this.params.vertical);
-            entry.drawLines(peaks, absmax, halfH, offsetY, start, end);
+            entry.drawLines(peaks, absmax, halfH, offsetY, start, end, peakOffset);
         });
     }
 
@@ -422,6 +613,9 @@ export default class MultiCanvas extends Drawer {
         let i = startCanvas;
         for (i; i < endCanvas; i++) {
             const entry = this.canvases[i];
+            if (!entry) {
+                continue;
+            }
             const leftOffset = i * this.maxCanvasWidth;
 
             const intersection = {
@@ -450,103 +644,6 @@ export default class MultiCanvas extends Drawer {
         }
     }
 
-    /**
-     * Returns whether to hide the channel from being drawn based on params.
-     *
-     * @param {number} channelIndex The index of the current channel.
-     * @returns {bool} True to hide the channel, false to draw.
-     */
-    hideChannel(channelIndex) {
-        return this.params.splitChannels && this.params.splitChannelsOptions.filterChannels.includes(channelIndex);
-    }
-
-    /**
-     * Performs preparation tasks and calculations which are shared by `drawBars`
-     * and `drawWave`
-     *
-     * @param {number[]|Number.<Array[]>} peaks Can also be an array of arrays for
-     * split channel rendering
-     * @param {number} channelIndex The index of the current channel. Normally
-     * should be 0
-     * @param {number?} start The x-offset of the beginning of the area that
-     * should be rendered. If this isn't set only a flat line is rendered
-     * @param {number?} end The x-offset of the end of the area that should be
-     * rendered
-     * @param {function} fn The render function to call, e.g. `drawWave`
-     * @param {number} drawIndex The index of the current channel after filtering.
-     * @param {number?} normalizedMax Maximum modulation value across channels for use with relativeNormalization. Ignored when undefined
-     * @returns {void}
-     */
-    prepareDraw(peaks, channelIndex, start, end, fn, drawIndex, normalizedMax) {
-        return util.frame(() => {
-            // Split channels and call this function with the channelIndex set
-            if (peaks[0] instanceof Array) {
-                const channels = peaks;
-
-                if (this.params.splitChannels) {
-                    const filteredChannels = channels.filter((c, i) => !this.hideChannel(i));
-                    if (!this.params.splitChannelsOptions.overlay) {
-                        this.setHeight(
-                            Math.max(filteredChannels.length, 1) *
-                                this.params.height *
-                                this.params.pixelRatio
-                        );
-                    }
-
-                    let overallAbsMax;
-                    if (this.params.splitChannelsOptions && this.params.splitChannelsOptions.relativeNormalization) {
-                        // calculate maximum peak across channels to use for normalization
-                        overallAbsMax = util.max(channels.map((channelPeaks => util.absMax(channelPeaks))));
-                    }
-
-
-                    return channels.forEach((channelPeaks, i) =>
-                        this.prepareDraw(channelPeaks, i, start, end, fn, filteredChannels.indexOf(channelPeaks), overallAbsMax)
-                    );
-                }
-                peaks = channels[0];
-            }
-
-            // Return and do not draw channel peaks if hidden.
-            if (this.hideChannel(channelIndex)) {
-                return;
-            }
-
-            // calculate maximum modulation value, either from the barHeight
-            // parameter or if normalize=true from the largest value in the peak
-            // set
-            let absmax = 1 / this.params.barHeight;
-            if (this.params.normalize) {
-                absmax = normalizedMax === undefined ? util.absMax(peaks) : normalizedMax;
-            } else if(this.params.peakMax != 0) {
-        	absmax = this.params.peakMax;
-            }
-
-            // Bar wave draws the bottom only as a reflection of the top,
-            // so we don't need negative values
-            const hasMinVals = [].some.call(peaks, val => val < 0);
-            const height = this.params.height * this.params.pixelRatio;
-            const halfH = height / 2;
-
-            let offsetY = height * drawIndex || 0;
-
-            // Override offsetY if overlay is true
-            if (this.params.splitChannelsOptions && this.params.splitChannelsOptions.overlay) {
-                offsetY = 0;
-            }
-
-            return fn({
-                absmax: absmax,
-                hasMinVals: hasMinVals,
-                height: height,
-                offsetY: offsetY,
-                halfH: halfH,
-                peaks: peaks,
-                channelIndex: channelIndex
-            });
-        })();
-    }
-
     /**
      * Set the fill styles for a certain entry (wave and progress)
      *
@@ -580,17 +677,19 @@ export default class MultiCanvas extends Drawer {
      * `type` this returns a single data URL or an array of data URLs,
      * one for each canvas. When using the `'blob'` `type` this returns a
      * `Promise` that resolves with an array of `Blob` instances, one for each
-     * canvas.
+     * canvas. With `virtualCanvases` only the existing canvases around the
+     * visible area are included.
      */
     getImage(format, quality, type) {
+        const canvases = this.canvases.filter(entry => entry);
         if (type === 'blob') {
             return Promise.all(
-                this.canvases.map(entry => {
+                canvases.map(entry => {
                     return entry.getImage(format, quality, type);
                 })
             );
         } else if (type === 'dataURL') {
-            let images = this.canvases.map(entry =>
+            let images = canvases.map(entry =>
                 entry.getImage(format, quality, type)
             );
             return images.length > 1 ? images : images[0];
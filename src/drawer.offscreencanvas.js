@@ -0,0 +1,688 @@
+import MultiCanvas from './drawer.multicanvas';
+import CanvasEntry from './drawer.canvasentry';
+import OffscreenCanvasEntry from './drawer.offscreencanvasentry';
+import * as core from './drawer.core';
+
+/**
+ * The functions of `drawer.core` the worker draws with. Their source is
+ * put in the source of the worker, so they must not use anything outside of
+ * the core.
+ *
+ * @private
+ */
+const WORKER_CORE = {
+    getBarSize: core.getBarSize,
+    forEachBar: core.forEachBar,
+    drawRoundedRect: core.drawRoundedRect,
+    fillRectToContext: core.fillRectToContext,
+    reflectPeaks: core.reflectPeaks,
+    drawLineToContext: core.drawLineToContext
+};
+
+/**
+ * Draw the waveform on the canvases handed over by the
+ * `OffscreenCanvasRenderer`. This function is run in a worker from its
+ * source code, so it must not use anything outside of it but the functions
+ * of the core it is given.
+ *
+ * @param {Object} scope The global scope of the worker
+ * @param {Object} core The drawing functions of `drawer.core` by name
+ */
+export function renderInWorker(scope, core) {
+    // the canvases of each entry by id
+    var entries = {};
+    // the peaks of each level of each channel
+    var peaks = [];
+
+    function getEntry(id) {
+        if (!entries[id]) {
+            entries[id] = { index: 0, start: 0, end: 1, contexts: [] };
+        }
+        return entries[id];
+    }
+
+    // the entries by their position in the waveform
+    function getSlots() {
+        var slots = [];
+        Object.keys(entries).forEach(function(id) {
+            if (entries[id].wave) {
+                slots[entries[id].index] = entries[id];
+            }
+        });
+        return slots;
+    }
+
+    function fillRect(slots, data, x, y, width, height) {
+        var first = Math.floor(x / data.maxCanvasWidth);
+        var last = Math.min(
+            Math.ceil((x + width) / data.maxCanvasWidth) + 1,
+            slots.length
+        );
+        for (var i = first; i < last; i++) {
+            var entry = slots[i];
+            if (!entry) {
+                continue;
+            }
+            var left = i * data.maxCanvasWidth;
+            var x1 = Math.max(x, left);
+            var x2 = Math.min(x + width, left + entry.wave.width);
+            if (x1 >= x2) {
+                continue;
+            }
+            entry.contexts.forEach(function(ctx) {
+                core.fillRectToContext(ctx, x1 - left, y, x2 - x1, height, data.barRadius);
+            });
+        }
+    }
+
+    function drawBars(slots, channel, data) {
+        core.forEachBar(channel, data.params, data.width, data.start, data.end, function(x, y, width, height) {
+            fillRect(slots, data, x, y, width, height);
+        });
+    }
+
+    function drawWave(slots, channel, data) {
+        if (data.start !== undefined) {
+            if (!channel.hasMinVals) {
+                channel.peaks = core.reflectPeaks(channel.peaks, channel.peakOffset);
+            }
+            slots.forEach(function(entry, i) {
+                var entryStart = i * data.maxCanvasWidth;
+                if (entryStart >= data.end || entryStart + data.maxCanvasWidth <= data.start) {
+                    return;
+                }
+                // the lines of the entry before cover its overlap with this one
+                if (data.start < entryStart && data.end <= entryStart + data.overlap) {
+                    return;
+                }
+                entry.contexts.forEach(function(ctx) {
+                    core.drawLineToContext(ctx, channel, {
+                        start: entry.start,
+                        end: entry.end,
+                        width: entry.wave.width,
+                        halfPixel: data.halfPixel
+                    });
+                });
+            });
+        }
+        // the median line
+        var lineStart = data.start === undefined ? 0 : data.start;
+        var lineEnd = data.start === undefined ? data.width : data.end;
+        fillRect(
+            slots,
+            data,
+            lineStart,
+            channel.halfH + channel.offsetY - data.halfPixel,
+            lineEnd - lineStart,
+            data.halfPixel
+        );
+    }
+
+    function draw(data) {
+        var slots = getSlots();
+        slots.forEach(function(entry) {
+            entry.contexts.forEach(function(ctx, i) {
+                ctx.fillStyle = i == 0 ? data.waveColor : data.progressColor;
+                if (data.vertical) {
+                    // reflect the waveform across the line y = -x
+                    ctx.setTransform(0, 1, 1, 0, 0, 0);
+                }
+            });
+        });
+        var levels = peaks[data.channel] || [];
+        var channel = Object.assign({ peaks: levels[data.level] || [] }, data.geometry);
+        if (data.mode == 'bars') {
+            drawBars(slots, channel, data);
+        } else {
+            drawWave(slots, channel, data);
+        }
+    }
+
+    scope.onmessage = function(e) {
+        var data = e.data;
+        var entry = data.id ? getEntry(data.id) : null;
+        switch (data.type) {
+            case 'wave':
+            case 'progress':
+                entry[data.type] = data.canvas;
+                entry.contexts.push(data.canvas.getContext('2d', data.contextAttributes));
+                break;
+            case 'place':
+                entry.index = data.index;
+                break;
+            case 'resize':
+                entry.start = data.start;
+                entry.end = data.end;
+                [entry.wave, entry.progress].forEach(function(canvas) {
+                    // setting the size clears the canvas
+                    if (canvas && (canvas.width != data.width || canvas.height != data.height)) {
+                        canvas.width = data.width;
+                        canvas.height = data.height;
+                    }
+                });
+                break;
+            case 'clear':
+                entry.contexts.forEach(function(ctx) {
+                    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+                });
+                break;
+            case 'remove':
+                delete entries[data.id];
+                break;
+            case 'peaks':
+                var levels = peaks[data.channel] || (peaks[data.channel] = []);
+                var values = levels[data.level];
+                if (data.from === undefined) {
+                    levels[data.level] = data.values;
+                } else if (values) {
+                    var end = data.from + data.values.length;
+                    if (end > values.length) {
+                        // appended peaks, the buffer grows to twice the size
+                        var buffer = new Float32Array(values.buffer);
+                        if (buffer.length < end) {
+                            buffer = new Float32Array(Math.max(end, 2 * buffer.length));
+                            buffer.set(values);
+                        }
+                        values = levels[data.level] = buffer.subarray(0, end);
+                    }
+                    values.set(data.values, data.from);
+                }
+                break;
+            case 'draw':
+                draw(data);
+                break;
+            case 'image':
+                entry.wave
+                    .convertToBlob({ type: data.format, quality: data.quality })
+                    .then(function(blob) {
+                        scope.postMessage({ type: 'image', request: data.request, blob: blob });
+                    })
+                    .catch(function(error) {
+                        scope.postMessage({
+                            type: 'image',
+                            request: data.request,
+                            error: String((error && error.message) || error)
+                        });
+                    });
+                break;
+        }
+    };
+}
+
+/**
+ * Whether the first values of two arrays are the same
+ *
+ * @private
+ * @param {number[]} values The values
+ * @param {number[]} start The values that should be at the start
+ * @param {number} length The number of values to compare
+ * @return {boolean} True if `values` starts with `length` values of `start`
+ */
+function startsWith(values, start, length) {
+    for (let i = 0; i < length; i++) {
+        if (values[i] !== start[i]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Create a worker that runs `renderInWorker`
+ *
+ * @private
+ * @return {?Object} The `worker` and the `url` of its source, or null if
+ * workers or `OffscreenCanvas` are not supported
+ */
+function createWorker() {
+    if (
+        typeof OffscreenCanvas === 'undefined' ||
+        typeof HTMLCanvasElement === 'undefined' ||
+        !HTMLCanvasElement.prototype.transferControlToOffscreen ||
+        typeof Worker === 'undefined' ||
+        typeof Blob === 'undefined' ||
+        typeof URL === 'undefined' ||
+        !URL.createObjectURL
+    ) {
+        return null;
+    }
+    // the core functions keep the names they have in this build, the calls
+    // between them are renamed the same way when it is minified
+    const names = Object.keys(WORKER_CORE);
+    const declarations = names.map(
+        name => `var ${WORKER_CORE[name].name} = ${WORKER_CORE[name].toString()};`
+    );
+    const functions = names.map(name => `${name}: ${WORKER_CORE[name].name}`);
+    const source = `${declarations.join('\n')}
+(${renderInWorker.toString()})(self, { ${functions.join(', ')} });`;
+    const url = URL.createObjectURL(
+        new Blob([source], { type: 'application/javascript' })
+    );
+    try {
+        return { worker: new Worker(url), url: url };
+    } catch (e) {
+        URL.revokeObjectURL(url);
+        return null;
+    }
+}
+
+/**
+ * A renderer that draws the waveform in a Web Worker on canvases handed over
+ * with `transferControlToOffscreen()`, so long waveforms do not block the
+ * main thread while they are drawn. The peaks of each level are sent to the
+ * worker once as transferable buffers, of appended peaks only the added part.
+ * The progress, the cursor and the events stay on the main thread. Where
+ * `OffscreenCanvas` is missing, or the worker can not be started, it renders
+ * like `MultiCanvas`.
+ *
+ * Images can only be exported with the `'blob'` type, the canvases can not be
+ * read on the main thread.
+ *
+ * @since 4.7.0
+ * @example
+ * // <script src="dist/renderer/wavesurfer.OffscreenCanvas.js"></script>
+ * // loaded after wavesurfer.js adds WaveSurfer.renderers.OffscreenCanvas
+ * const wavesurfer = WaveSurfer.create({
+ *     container: '#waveform',
+ *     renderer: WaveSurfer.renderers.OffscreenCanvas
+ * });
+ *
+ * // or as a module
+ * import OffscreenCanvasRenderer from 'miniwavesurfer.js/src/drawer.offscreencanvas';
+ * const wavesurfer = WaveSurfer.create({
+ *     container: '#waveform',
+ *     renderer: OffscreenCanvasRenderer
+ * });
+ */
+export default class OffscreenCanvasRenderer extends MultiCanvas {
+    /**
+     * @param {HTMLElement} container The container node of the wavesurfer instance
+     * @param {WavesurferParams} params The wavesurfer initialisation options
+     */
+    constructor(container, params) {
+        super(container, params);
+
+        const created = createWorker();
+        /**
+         * The worker that draws on the canvases, null when rendering on the
+         * main thread
+         *
+         * @type {?Worker}
+         */
+        this.worker = created && created.worker;
+        /**
+         * The URL of the source of the worker
+         *
+         * @type {?string}
+         */
+        this.workerUrl = created && created.url;
+        /**
+         * The peaks of each level of each channel the worker has, with their
+         * length when they were sent
+         *
+         * @type {Array[]}
+         */
+        this.sentPeaks = [];
+        /**
+         * The level of the `PeakPyramid` that is drawn, counted from the most
+         * detailed one
+         *
+         * @type {number}
+         */
+        this.peakLevel = 0;
+        /**
+         * The `resolve` and `reject` functions of the pending image exports by
+         * request id
+         *
+         * @type {Object}
+         */
+        this.imageRequests = {};
+        /**
+         * @type {number}
+         */
+        this.nextImageRequest = 0;
+        /**
+         * Whether `drawPeakRange()` is drawing, then the peaks of the range
+         * are sent again
+         *
+         * @type {boolean}
+         */
+        this.drawingRange = false;
+
+        if (this.worker) {
+            // entries post their commands to the worker of the renderer
+            this.EntryClass = OffscreenCanvasEntry.bind(null, this.worker);
+            this.worker.onmessage = e => {
+                if (e.data.type == 'image') {
+                    const { resolve, reject } = this.imageRequests[e.data.request];
+                    delete this.imageRequests[e.data.request];
+                    if (e.data.error) {
+                        reject(new Error(e.data.error));
+                    } else {
+                        resolve(e.data.blob);
+                    }
+                }
+            };
+            // e.g. a content security policy that blocks blob workers
+            this.worker.onerror = e => {
+                e.preventDefault();
+                this.fallBack();
+            };
+        }
+    }
+
+    /**
+     * Stop the worker and draw on the main thread from now on. The canvases
+     * of the worker are replaced and a loaded waveform is drawn again.
+     *
+     * @private
+     */
+    fallBack() {
+        const canvases = this.canvases;
+        this.stopWorker();
+        this.EntryClass = CanvasEntry;
+        this.canvases = [];
+        canvases.forEach(entry => this.removeEntry(entry));
+        if (this.wrapper) {
+            this.updateSize();
+            if (this.duration) {
+                this.fireEvent('redraw');
+            }
+        }
+    }
+
+    /**
+     * Stop the worker, the pending image exports are rejected
+     *
+     * @private
+     */
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            URL.revokeObjectURL(this.workerUrl);
+            this.worker = null;
+        }
+        this.sentPeaks = [];
+        Object.keys(this.imageRequests).forEach(request =>
+            this.imageRequests[request].reject(
+                new Error('The worker stopped before the image was exported')
+            )
+        );
+        this.imageRequests = {};
+    }
+
+    /**
+     * Move the canvas elements of an entry to a position in the waveform
+     *
+     * @private
+     * @param {CanvasEntry} entry Target entry
+     * @param {number} i The index of the position
+     */
+    placeEntry(entry, i) {
+        super.placeEntry(entry, i);
+        if (this.worker) {
+            this.worker.postMessage({ type: 'place', id: entry.id, index: i });
+        }
+    }
+
+    /**
+     * Draw a waveform with bars
+     *
+     * @param {number[]|Number.<Array[]>} peaks Can also be an array of arrays
+     * for split channel rendering
+     * @param {number} channelIndex The index of the current channel. Normally
+     * should be 0. Must be an integer.
+     * @param {number} start The x-offset of the beginning of the area that
+     * should be rendered
+     * @param {number} end The x-offset of the end of the area that should be
+     * rendered
+     * @returns {void}
+     */
+    drawBars(peaks, channelIndex, start, end) {
+        if (!this.worker) {
+            return super.drawBars(peaks, channelIndex, start, end);
+        }
+        // if drawBars was called within ws.empty we don't pass a start and
+        // don't want anything to happen
+        if (start === undefined) {
+            return;
+        }
+        return this.drawInWorker('bars', peaks, channelIndex, start, end);
+    }
+
+    /**
+     * Draw a waveform
+     *
+     * @param {number[]|Number.<Array[]>} peaks Can also be an array of arrays
+     * for split channel rendering
+     * @param {number} channelIndex The index of the current channel. Normally
+     * should be 0
+     * @param {number?} start The x-offset of the beginning of the area that
+     * should be rendered (If this isn't set only a flat line is rendered)
+     * @param {number?} end The x-offset of the end of the area that should be
+     * rendered
+     * @returns {void}
+     */
+    drawWave(peaks, channelIndex, start, end) {
+        if (!this.worker) {
+            return super.drawWave(peaks, channelIndex, start, end);
+        }
+        return this.drawInWorker('wave', peaks, channelIndex, start, end);
+    }
+
+    /**
+     * Draw peaks on a part of the canvas without clearing the rest of it.
+     * The peaks of the part are sent to the worker again, they may have
+     * changed, e.g. when they were loaded from a peak provider.
+     *
+     * @param {number[]|Number.<Array[]>|PeakPyramid} peaks Can also be an
+     * array of arrays for split channel rendering, or a `PeakPyramid` to draw
+     * the level that matches the width
+     * @param {number} length The width of the area that should be drawn
+     * @param {number} start The x-offset of the beginning of the area that
+     * should be rendered
+     * @param {number} end The x-offset of the end of the area that should be
+     * rendered
+     */
+    drawPeakRange(peaks, length, start, end) {
+        this.drawingRange = true;
+        super.drawPeakRange(peaks, length, start, end);
+        this.drawingRange = false;
+    }
+
+    /**
+     * Get the peaks to draw at a width and remember their level, the worker
+     * keeps the peaks of each level
+     *
+     * @param {number[]|Number.<Array[]>|PeakPyramid} peaks The peaks
+     * @param {number} length The width of the waveform in pixels
+     * @return {number[]|Number.<Array[]>} The peaks to draw
+     */
+    getPeaksForWidth(peaks, length) {
+        const levelPeaks = super.getPeaksForWidth(peaks, length);
+        this.peakLevel = 0;
+        if (levelPeaks !== peaks) {
+            // a level of a pyramid, coarser levels are added in front of
+            // it when the pyramid is extended
+            this.peakLevel =
+                peaks.levels.length -
+                1 -
+                peaks.levels.findIndex(level => level.peaks === levelPeaks);
+        }
+        return levelPeaks;
+    }
+
+    /**
+     * Tell the worker to draw a channel
+     *
+     * @private
+     * @param {string} mode Either `'bars'` or `'wave'`
+     * @param {number[]|Number.<Array[]>} peaks Can also be an array of arrays
+     * for split channel rendering
+     * @param {number} channelIndex The index of the current channel
+     * @param {number?} start The x-offset of the beginning of the area that
+     * should be rendered
+     * @param {number?} end The x-offset of the end of the area that should be
+     * rendered
+     * @returns {void}
+     */
+    drawInWorker(mode, peaks, channelIndex, start, end) {
+        // the drawing is deferred to the next frame
+        const isRange = this.drawingRange;
+        const level = this.peakLevel;
+        return this.prepareDraw(
+            peaks,
+            channelIndex,
+            start,
+            end,
+            ({ absmax, peakOffset, hasMinVals, offsetY, halfH, peaks, channelIndex: ch }) => {
+                if (!this.worker) {
+                    return;
+                }
+                // a flat line is drawn without peaks
+                if (start !== undefined) {
+                    this.sendPeaks(ch, level, peaks, isRange ? [start, end] : null);
+                }
+                const { waveColor, progressColor } =
+                    this.params.splitChannelsOptions.channelColors[ch] || {};
+                this.worker.postMessage({
+                    type: 'draw',
+                    mode: mode,
+                    channel: ch,
+                    level: level,
+                    geometry: {
+                        absmax: absmax,
+                        peakOffset: peakOffset,
+                        hasMinVals: hasMinVals,
+                        halfH: halfH,
+                        offsetY: offsetY
+                    },
+                    start: start,
+                    end: end,
+                    width: this.width,
+                    maxCanvasWidth: this.maxCanvasWidth,
+                    overlap: this.overlap,
+                    halfPixel: this.halfPixel,
+                    params: {
+                        barWidth: this.params.barWidth,
+                        barGap: this.params.barGap,
+                        barMinHeight: this.params.barMinHeight,
+                        pixelRatio: this.params.pixelRatio
+                    },
+                    barRadius: this.barRadius,
+                    waveColor: waveColor || this.params.waveColor,
+                    progressColor: progressColor || this.params.progressColor,
+                    vertical: this.params.vertical
+                });
+            }
+        );
+    }
+
+    /**
+     * Send the peaks of a level of a channel to the worker if it does not
+     * have them yet. Of peaks that start with the ones that were sent, e.g.
+     * after `appendPeaks()`, only the added part is sent. The peaks are
+     * copied, so the worker can own the buffer.
+     *
+     * @private
+     * @param {number} channelIndex The index of the channel
+     * @param {number} level The level of the peaks
+     * @param {number[]} peaks The peaks of the channel
+     * @param {?number[]} range The `[start, end]` in canvas pixels of the
+     * peaks to send again if the worker has the peaks already
+     */
+    sendPeaks(channelIndex, level, peaks, range) {
+        const levels =
+            this.sentPeaks[channelIndex] || (this.sentPeaks[channelIndex] = []);
+        const sent = levels[level];
+        let from = 0;
+        let to = peaks.length;
+        if (sent && sent.peaks === peaks && sent.length == peaks.length) {
+            if (!range) {
+                return;
+            }
+            // with a margin for the lines that join the neighbouring peaks
+            from = Math.max(
+                0,
+                Math.floor((range[0] / this.width) * peaks.length) - 2
+            );
+            to = Math.min(
+                peaks.length,
+                Math.ceil((range[1] / this.width) * peaks.length) + 2
+            );
+        } else if (
+            sent &&
+            sent.length <= peaks.length &&
+            (sent.peaks === peaks ||
+                startsWith(peaks, sent.peaks, sent.length - 2))
+        ) {
+            // the last peak that was sent may cover more samples now
+            from = Math.max(0, sent.length - 2);
+        }
+        levels[level] = { peaks: peaks, length: peaks.length };
+
+        const values = Float32Array.from(
+            Array.prototype.slice.call(peaks, from, to)
+        );
+        this.worker.postMessage(
+            {
+                type: 'peaks',
+                channel: channelIndex,
+                level: level,
+                values: values,
+                from: from == 0 && to == peaks.length ? undefined : from
+            },
+            [values.buffer]
+        );
+    }
+
+    /**
+     * Return image data of the canvases. The canvases are drawn in the
+     * worker, so only the `'blob'` type is supported unless the renderer fell
+     * back to the main thread.
+     *
+     * @param {string} format='image/png' An optional value of a format type.
+     * @param {number} quality=0.92 An optional value between 0 and 1.
+     * @param {string} type='dataURL' Either 'dataURL' or 'blob'.
+     * @return {string|string[]|Promise} A `Promise` that resolves with an
+     * array of `Blob` instances, one for each canvas
+     * @throws Will throw an error for the `'dataURL'` type while the canvases
+     * are drawn in the worker
+     */
+    getImage(format, quality, type) {
+        if (!this.worker) {
+            return super.getImage(format, quality, type);
+        }
+        if (type !== 'blob') {
+            throw new Error(
+                'The OffscreenCanvasRenderer can only export images of the blob type'
+            );
+        }
+        return Promise.all(
+            this.canvases
+                .filter(entry => entry)
+                .map(
+                    entry =>
+                        new Promise((resolve, reject) => {
+                            const request = this.nextImageRequest++;
+                            this.imageRequests[request] = { resolve, reject };
+                            this.worker.postMessage({
+                                type: 'image',
+                                id: entry.id,
+                                format: format,
+                                quality: quality,
+                                request: request
+                            });
+                        })
+                )
+        );
+    }
+
+    /**
+     * Stop the worker and remove the elements
+     */
+    destroy() {
+        this.stopWorker();
+        super.destroy();
+    }
+}
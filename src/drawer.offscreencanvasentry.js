@@ -0,0 +1,119 @@
+/**
+ * @since 4.7.0
+ */
+
+import style from './util/style';
+import CanvasEntry from './drawer.canvasentry';
+
+/**
+ * The `OffscreenCanvasEntry` class represents a wave `canvas` and an
+ * (optional) progress wave `canvas` whose rendering was handed over to the
+ * worker of the `OffscreenCanvasRenderer`. The elements stay in the page,
+ * everything else is done by sending messages to the worker.
+ */
+export default class OffscreenCanvasEntry extends CanvasEntry {
+    /**
+     * @param {Worker} worker The worker that draws on the canvases
+     */
+    constructor(worker) {
+        super();
+        /**
+         * The worker that draws on the canvases
+         *
+         * @type {Worker}
+         */
+        this.worker = worker;
+        /**
+         * The size of the canvases in the worker, the elements can not be
+         * asked for it anymore
+         *
+         * @type {Object}
+         */
+        this.size = { width: 0, height: 0 };
+    }
+
+    /**
+     * Hand the wave canvas over to the worker
+     *
+     * @param {HTMLCanvasElement} element The wave `canvas` element.
+     */
+    initWave(element) {
+        this.wave = element;
+        this.transfer('wave', element);
+    }
+
+    /**
+     * Hand the progress wave canvas over to the worker
+     *
+     * @param {HTMLCanvasElement} element The progress wave `canvas` element.
+     */
+    initProgress(element) {
+        this.progress = element;
+        this.transfer('progress', element);
+    }
+
+    /**
+     * @private
+     * @param {string} type Either `'wave'` or `'progress'`
+     * @param {HTMLCanvasElement} element The `canvas` element
+     */
+    transfer(type, element) {
+        const canvas = element.transferControlToOffscreen();
+        this.worker.postMessage(
+            {
+                type: type,
+                id: this.id,
+                canvas: canvas,
+                contextAttributes: this.canvasContextAttributes
+            },
+            [canvas]
+        );
+    }
+
+    /**
+     * Update the dimensions
+     *
+     * @param {number} elementWidth Width of the entry
+     * @param {number} totalWidth Total width of the multi canvas renderer
+     * @param {number} width The new width of the element
+     * @param {number} height The new height of the element
+     * @return {boolean} Whether the canvas size changed, which clears it
+     */
+    updateDimensions(elementWidth, totalWidth, width, height) {
+        this.start = this.wave.offsetLeft / totalWidth || 0;
+        this.end = this.start + elementWidth / totalWidth;
+
+        const resized = this.size.width != width || this.size.height != height;
+        this.size = { width: width, height: height };
+        this.worker.postMessage({
+            type: 'resize',
+            id: this.id,
+            width: width,
+            height: height,
+            start: this.start,
+            end: this.end
+        });
+
+        let elementSize = { width: elementWidth + 'px' };
+        style(this.wave, elementSize);
+        if (this.hasProgressCanvas) {
+            style(this.progress, elementSize);
+        }
+        return resized;
+    }
+
+    /**
+     * Clear the wave and progress canvases
+     */
+    clearWave() {
+        this.worker.postMessage({ type: 'clear', id: this.id });
+    }
+
+    /**
+     * Destroys this entry
+     */
+    destroy() {
+        this.worker.postMessage({ type: 'remove', id: this.id });
+        super.destroy();
+    }
+}
@@ -0,0 +1,560 @@
+import Drawer from './drawer';
+import * as util from './util';
+import * as core from './drawer.core';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+
+/**
+ * Round a coordinate to keep the markup short
+ *
+ * @param {number} value The coordinate
+ * @return {number} The coordinate with at most two decimals
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * SVG renderer for wavesurfer. The waveform is drawn with `<path>` elements
+ * in an `<svg>` element that scales crisply, e.g. when printed, and can be
+ * styled with CSS through the `wavesurfer-wave`, `wavesurfer-progress` and
+ * `wavesurfer-cursor` classes. The shapes are defined once in the wave
+ * layer, the progress layer shows them with `<use>` elements clipped by a
+ * `<clipPath>`.
+ *
+ * The coordinates are canvas pixels like with `MultiCanvas`, the `viewBox`
+ * scales them to the CSS size.
+ *
+ * @since 4.7.0
+ * @example
+ * // <script src="dist/renderer/wavesurfer.SVG.js"></script>
+ * // loaded after wavesurfer.js adds WaveSurfer.renderers.SVG
+ * const wavesurfer = WaveSurfer.create({
+ *     container: '#waveform',
+ *     renderer: WaveSurfer.renderers.SVG
+ * });
+ *
+ * // or as a module
+ * import SVGRenderer from 'miniwavesurfer.js/src/drawer.svg';
+ * const wavesurfer = WaveSurfer.create({
+ *     container: '#waveform',
+ *     renderer: SVGRenderer
+ * });
+ */
+export default class SVGRenderer extends Drawer {
+    /**
+     * @param {HTMLElement} container The container node of the wavesurfer instance
+     * @param {WavesurferParams} params The wavesurfer initialisation options
+     */
+    constructor(container, params) {
+        super(container, params);
+
+        /**
+         * @type {SVGSVGElement}
+         */
+        this.svg = null;
+
+        /**
+         * The group with the shapes of the waveform
+         *
+         * @type {SVGGElement}
+         */
+        this.waveLayer = null;
+
+        /**
+         * The group with the `<use>` elements of the shapes of the waveform
+         * behind the cursor
+         *
+         * @type {SVGGElement}
+         */
+        this.progressLayer = null;
+
+        /**
+         * The prefix of the ids of the shapes
+         *
+         * @type {string}
+         */
+        this.shapeId = util.getId('wavesurfer_shape_');
+
+        /**
+         * The number of shapes that were added, for their ids
+         *
+         * @type {number}
+         */
+        this.shapeCount = 0;
+
+        /**
+         * The rectangle of the `<clipPath>` of the progress
+         *
+         * @type {SVGRectElement}
+         */
+        this.progressClip = null;
+
+        /**
+         * @type {SVGRectElement}
+         */
+        this.cursor = null;
+
+        /**
+         * @type {number}
+         */
+        this.halfPixel = 0.5 / params.pixelRatio;
+
+        /**
+         * The radius of the wave bars. Makes bars rounded
+         *
+         * @type {number}
+         */
+        this.barRadius = params.barRadius || 0;
+    }
+
+    /**
+     * Initialize the drawer
+     */
+    init() {
+        this.createWrapper();
+        this.createElements();
+    }
+
+    /**
+     * Create an element in the SVG namespace
+     *
+     * @param {string} name The tag name
+     * @param {Object} attributes The attributes to set
+     * @return {SVGElement} The element
+     */
+    createSVGElement(name, attributes = {}) {
+        const element = document.createElementNS(SVG_NS, name);
+        Object.keys(attributes).forEach(attribute =>
+            element.setAttribute(attribute, attributes[attribute])
+        );
+        return element;
+    }
+
+    /**
+     * Create the `<svg>` element with the layers of the waveform
+     */
+    createElements() {
+        this.svg = util.withOrientation(
+            this.wrapper.appendChild(
+                this.createSVGElement('svg', { preserveAspectRatio: 'none' })
+            ),
+            this.params.vertical
+        );
+        // keeps the `xlink` prefix when the markup is serialized
+        this.svg.setAttributeNS(
+            'http://www.w3.org/2000/xmlns/',
+            'xmlns:xlink',
+            XLINK_NS
+        );
+        this.style(this.svg, {
+            position: 'absolute',
+            zIndex: 2,
+            left: 0,
+            top: 0,
+            pointerEvents: 'none'
+        });
+
+        const clipId = util.getId('wavesurfer_progress_');
+        const clipPath = this.svg
+            .appendChild(this.createSVGElement('defs'))
+            .appendChild(this.createSVGElement('clipPath', { id: clipId }));
+        this.progressClip = clipPath.appendChild(
+            this.createSVGElement('rect', { width: 0, height: '100%' })
+        );
+
+        // the shapes are drawn horizontally and reflected across the line
+        // y = x with `vertical`, the clip path is in the same coordinates
+        const root = this.svg.appendChild(
+            this.createSVGElement(
+                'g',
+                this.params.vertical ? { transform: 'matrix(0 1 1 0 0 0)' } : {}
+            )
+        );
+        this.waveLayer = root.appendChild(
+            this.createSVGElement('g', { class: 'wavesurfer-wave' })
+        );
+        this.progressLayer = root.appendChild(
+            this.createSVGElement('g', {
+                class: 'wavesurfer-progress',
+                'clip-path': `url(#${clipId})`
+            })
+        );
+        this.cursor = root.appendChild(
+            this.createSVGElement('rect', {
+                class: 'wavesurfer-cursor',
+                height: '100%'
+            })
+        );
+        this.updateColors();
+        this.updateCursor();
+    }
+
+    /**
+     * Set the fill colors of the layers, CSS rules for their classes take
+     * precedence
+     *
+     * @private
+     */
+    updateColors() {
+        this.waveLayer.setAttribute('fill', this.params.waveColor);
+        this.progressLayer.setAttribute('fill', this.params.progressColor);
+    }
+
+    /**
+     * Update cursor style
+     */
+    updateCursor() {
+        this.cursor.setAttribute('fill', this.params.cursorColor);
+        this.cursor.setAttribute(
+            'width',
+            this.params.cursorWidth * this.params.pixelRatio
+        );
+        this.updateProgress(this.lastPos);
+    }
+
+    /**
+     * Adjust the `<svg>` element to the updated size
+     *
+     * @param {?boolean} keepContents Set to true to keep the shapes at the
+     * beginning of the waveform
+     */
+    updateSize(keepContents) {
+        const { pixelRatio, vertical } = this.params;
+        this.style(this.svg, {
+            width: Math.round(this.width / pixelRatio) + 'px',
+            height: Math.round(this.height / pixelRatio) + 'px'
+        });
+        this.svg.setAttribute(
+            'viewBox',
+            vertical
+                ? `0 0 ${this.height} ${this.width}`
+                : `0 0 ${this.width} ${this.height}`
+        );
+        this.progressClip.setAttribute('height', this.height);
+        this.cursor.setAttribute('height', this.height);
+
+        if (keepContents) {
+            // the shapes stay where they are, only the end of the waveform
+            // is drawn again
+            this.keptWidth = this.width;
+        } else {
+            this.removeShapes();
+        }
+    }
+
+    /**
+     * Draw a waveform with bars
+     *
+     * @param {number[]|Number.<Array[]>} peaks Can also be an array of arrays
+     * for split channel rendering
+     * @param {number} channelIndex The index of the current channel. Normally
+     * should be 0. Must be an integer.
+     * @param {number} start The x-offset of the beginning of the area that
+     * should be rendered
+     * @param {number} end The x-offset of the end of the area that should be
+     * rendered
+     * @returns {void}
+     */
+    drawBars(peaks, channelIndex, start, end) {
+        this.updateColors();
+        return this.prepareDraw(
+            peaks,
+            channelIndex,
+            start,
+            end,
+            channel => {
+                // if drawBars was called within ws.empty we don't pass a start and
+                // don't want anything to happen
+                if (start === undefined) {
+                    return;
+                }
+                let path = '';
+                core.forEachBar(
+                    channel,
+                    this.params,
+                    this.width,
+                    start,
+                    end,
+                    (x, y, width, height) => {
+                        path += this.getRectPath(x, y, width, height);
+                    }
+                );
+                this.addShapes('path', { d: path }, channel.channelIndex);
+            }
+        );
+    }
+
+    /**
+     * Draw a waveform
+     *
+     * @param {number[]|Number.<Array[]>} peaks Can also be an array of arrays
+     * for split channel rendering
+     * @param {number} channelIndex The index of the current channel. Normally
+     * should be 0
+     * @param {number?} start The x-offset of the beginning of the area that
+     * should be rendered (If this isn't set only a flat line is rendered)
+     * @param {number?} end The x-offset of the end of the area that should be
+     * rendered
+     * @returns {void}
+     */
+    drawWave(peaks, channelIndex, start, end) {
+        this.updateColors();
+        return this.prepareDraw(
+            peaks,
+            channelIndex,
+            start,
+            end,
+            ({ absmax, peakOffset, hasMinVals, offsetY, halfH, peaks, channelIndex: ch }) => {
+                if (!hasMinVals) {
+                    peaks = core.reflectPeaks(peaks, peakOffset);
+                }
+
+                // if drawWave was called within ws.empty we don't pass a start and
+                // end and simply want a flat line
+                if (start !== undefined) {
+                    this.addShapes(
+                        'path',
+                        {
+                            d: this.getLinePath(
+                                peaks,
+                                absmax,
+                                halfH,
+                                offsetY,
+                                start,
+                                end,
+                                peakOffset
+                            )
+                        },
+                        ch
+                    );
+                }
+
+                // always draw a median line across the area that is rendered
+                const lineStart = start === undefined ? 0 : start;
+                const lineEnd = start === undefined ? this.width : end;
+                this.addShapes(
+                    'rect',
+                    {
+                        x: round(lineStart),
+                        y: round(halfH + offsetY - this.halfPixel),
+                        width: round(lineEnd - lineStart),
+                        height: round(this.halfPixel)
+                    },
+                    ch
+                );
+            }
+        );
+    }
+
+    /**
+     * Get the path data of a rectangle, rounded with `barRadius`
+     *
+     * @private
+     * @param {number} x X-position of the rectangle
+     * @param {number} y Y-position of the rectangle
+     * @param {number} width Width of the rectangle
+     * @param {number} height Height of the rectangle, negative heights go up
+     * from `y`
+     * @return {string} The path data
+     */
+    getRectPath(x, y, width, height) {
+        if (height < 0) {
+            height *= -1;
+            y -= height;
+        }
+        const r = Math.min(this.barRadius, width / 2, height / 2);
+        if (!r) {
+            return `M${round(x)} ${round(y)}h${round(width)}v${round(height)}h${round(-width)}Z`;
+        }
+        const w = round(width - 2 * r);
+        const h = round(height - 2 * r);
+        const arc = (dx, dy) => `a${round(r)} ${round(r)} 0 0 1 ${dx} ${dy}`;
+        return (
+            `M${round(x + r)} ${round(y)}h${w}${arc(round(r), round(r))}` +
+            `v${h}${arc(round(-r), round(r))}h${-w}` +
+            `${arc(round(-r), round(-r))}v${-h}${arc(round(r), round(-r))}Z`
+        );
+    }
+
+    /**
+     * Get the path data of the hull of max/min pairs
+     *
+     * @private
+     * @param {number[]} peaks Pairs of max and min values
+     * @param {number} absmax Maximum peak value (absolute)
+     * @param {number} halfH Half the height of the waveform
+     * @param {number} offsetY Offset to the top
+     * @param {number} start The x-offset of the beginning of the area that
+     * should be rendered
+     * @param {number} end The x-offset of the end of the area that should be
+     * rendered
+     * @param {number} peakOffset The peak value of the zero line
+     * @return {string} The path data
+     */
+    getLinePath(peaks, absmax, halfH, offsetY, start, end, peakOffset) {
+        const length = peaks.length / 2;
+        const scale = this.width / length;
+        const first = Math.max(0, Math.floor(start / scale));
+        // one more pair joins the line to the rest of the waveform, or to
+        // the zero line at the end
+        const last = Math.min(length + 1, Math.ceil(end / scale) + 1);
+        const halfOffset = halfH + offsetY;
+        const absmaxHalf = absmax / halfH;
+        const point = (i, value) =>
+            `${round(i * scale)} ${round(
+                halfOffset - Math.round((value - peakOffset || 0) / absmaxHalf)
+            )}`;
+
+        let path = `M${round(first * scale)} ${round(halfOffset)}`;
+        let i = first;
+        for (i; i < last; i++) {
+            path += `L${point(i, peaks[2 * i])}`;
+        }
+        // the bottom edge going backwards makes a single closed hull
+        for (i = last - 1; i >= first; i--) {
+            path += `L${point(i, peaks[2 * i + 1])}`;
+        }
+        return path + 'Z';
+    }
+
+    /**
+     * Add a shape to the wave layer and a `<use>` element of it to the
+     * progress layer
+     *
+     * @private
+     * @param {string} name The tag name of the shape
+     * @param {Object} attributes The attributes of the shape
+     * @param {number} channelIndex The index of the channel, for the colors
+     * of `splitChannelsOptions.channelColors`
+     */
+    addShapes(name, attributes, channelIndex) {
+        const { waveColor, progressColor } =
+            this.params.splitChannelsOptions.channelColors[channelIndex] || {};
+        const id = `${this.shapeId}_${this.shapeCount++}`;
+
+        // the shape itself has no fill, it would override the one of the
+        // `<use>` element
+        let parent = this.waveLayer;
+        if (waveColor) {
+            parent = parent.appendChild(
+                this.createSVGElement('g', { fill: waveColor })
+            );
+        }
+        parent.appendChild(
+            this.createSVGElement(name, Object.assign({ id: id }, attributes))
+        );
+
+        const use = this.progressLayer.appendChild(
+            this.createSVGElement('use', { href: `#${id}` })
+        );
+        // for SVG 1.1 renderers of the exported markup
+        use.setAttributeNS(XLINK_NS, 'xlink:href', `#${id}`);
+        if (progressColor) {
+            use.setAttribute('fill', progressColor);
+        }
+    }
+
+    /**
+     * Remove the shapes of the waveform
+     *
+     * @private
+     */
+    removeShapes() {
+        [this.waveLayer, this.progressLayer].forEach(layer => {
+            while (layer.firstChild) {
+                layer.removeChild(layer.firstChild);
+            }
+        });
+    }
+
+    /**
+     * Clear the whole waveform
+     */
+    clearWave() {
+        util.frame(() => this.removeShapes())();
+    }
+
+    /**
+     * Render the new progress
+     *
+     * @param {number} position X-offset of progress position in CSS pixels
+     */
+    updateProgress(position) {
+        const { pixelRatio, cursorWidth } = this.params;
+        this.progressClip.setAttribute('width', position * pixelRatio);
+        this.cursor.setAttribute(
+            'x',
+            Math.max(0, position - cursorWidth) * pixelRatio
+        );
+    }
+
+    /**
+     * Create an `<svg>` element with a copy of the wave or the progress layer
+     * for `exportCompositeImage()`, scaled to the exported view. The copy is
+     * horizontal in `vertical` mode as well, the `<use>` elements of the
+     * progress are replaced with copies of the shapes.
+     *
+     * @param {string} name Either `'wave'` or `'progress'`
+     * @param {ExportView} view The exported view
+     * @return {SVGSVGElement} The element
+     * @since 4.7.0
+     */
+    createExportElement(name, view) {
+        const x = (view.start / view.duration) * this.width;
+        const width = ((view.end - view.start) / view.duration) * this.width;
+        const svg = this.createSVGElement('svg', {
+            width: view.width,
+            height: view.height,
+            viewBox: `${round(x)} 0 ${round(width)} ${this.height}`,
+            preserveAspectRatio: 'none'
+        });
+        if (name == 'progress') {
+            // the `<defs>` with the clip path
+            svg.appendChild(this.progressClip.parentNode.parentNode.cloneNode(true));
+            const layer = svg.appendChild(this.progressLayer.cloneNode(true));
+            Array.from(layer.querySelectorAll('use')).forEach(use => {
+                const shape = this.waveLayer
+                    .querySelector(use.getAttribute('href'))
+                    .cloneNode(true);
+                shape.removeAttribute('id');
+                if (use.hasAttribute('fill')) {
+                    shape.setAttribute('fill', use.getAttribute('fill'));
+                }
+                layer.replaceChild(shape, use);
+            });
+        } else {
+            svg.appendChild(this.waveLayer.cloneNode(true));
+        }
+        return svg;
+    }
+
+    /**
+     * Return the markup of the `<svg>` element
+     *
+     * @param {string} format Ignored, the image is always SVG
+     * @param {number} quality Ignored
+     * @param {string} type='dataURL' Either 'dataURL' or 'blob'.
+     * @return {string|Promise} The SVG markup, or a `Promise` that resolves
+     * with an array holding a `Blob` of it with the `'blob'` type
+     */
+    getImage(format, quality, type) {
+        const { pixelRatio, vertical } = this.params;
+        const width = Math.round(this.width / pixelRatio);
+        const height = Math.round(this.height / pixelRatio);
+        // the image has the size of the waveform without the styles of the
+        // page
+        const svg = this.svg.domElement.cloneNode(true);
+        svg.removeAttribute('style');
+        svg.setAttribute('width', vertical ? height : width);
+        svg.setAttribute('height', vertical ? width : height);
+        const markup = new XMLSerializer().serializeToString(svg);
+        if (type === 'blob') {
+            return Promise.resolve([
+                new Blob([markup], { type: 'image/svg+xml' })
+            ]);
+        }
+        return markup;
+    }
+}
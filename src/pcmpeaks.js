@@ -0,0 +1,203 @@
+import getPeakScale from './util/get-peak-scale';
+
+/**
+ * @typedef {Object} PCMPeaks
+ * @desc Peaks computed from PCM samples, in the shape expected by
+ * `WaveSurfer.load`
+ * @property {number[]|Number.<Array[]>} peaks Pairs of max and min values of
+ * the type of the samples. An array of arrays (one per channel) if there is
+ * more than one channel
+ * @property {?Float32Array|Float32Array[]} rms The root mean square of each
+ * peak if requested, in the same shape as the peaks
+ * @property {number} samplesPerPeak Number of samples per max/min pair
+ * @property {number} length Number of max/min pairs in each channel
+ */
+
+/**
+ * Reduce PCM samples to max/min pairs. This function is run in a worker from
+ * its source code, so it must not use anything outside of it.
+ *
+ * @param {Array} channels The samples of each channel
+ * @param {number} samplesPerPeak Number of samples per max/min pair
+ * @param {boolean} rms Whether to compute the root mean square of each peak
+ * @param {number} offset The sample value of the zero line
+ * @param {?function} onProgress Called with the computed part between 0 and 1
+ * @return {Object} The `peaks` and `rms` values of each channel
+ */
+export function computePeaks(channels, samplesPerPeak, rms, offset, onProgress) {
+    var total = channels.length * channels[0].length;
+    var done = 0;
+    // number of samples between two progress reports
+    var progressInterval = 1048576;
+    var interval = progressInterval;
+    var peaks = [];
+    var rmsValues = [];
+    var c, i, j;
+
+    for (c = 0; c < channels.length; c++) {
+        var samples = channels[c];
+        var length = Math.ceil(samples.length / samplesPerPeak);
+        // the peaks have the type of the samples
+        var channelPeaks = new samples.constructor(2 * length);
+        var channelRms = rms ? new Float32Array(length) : null;
+
+        for (i = 0; i < length; i++) {
+            var start = i * samplesPerPeak;
+            var end = Math.min(start + samplesPerPeak, samples.length);
+            var max = samples[start];
+            var min = samples[start];
+            var sum = 0;
+            for (j = start; j < end; j++) {
+                var value = samples[j];
+                if (value > max) {
+                    max = value;
+                } else if (value < min) {
+                    min = value;
+                }
+                if (rms) {
+                    sum += (value - offset) * (value - offset);
+                }
+            }
+            channelPeaks[2 * i] = max;
+            channelPeaks[2 * i + 1] = min;
+            if (rms) {
+                channelRms[i] = Math.sqrt(sum / (end - start));
+            }
+
+            done += end - start;
+            if (onProgress && done >= interval) {
+                interval += progressInterval;
+                onProgress(done / total);
+            }
+        }
+        peaks.push(channelPeaks);
+        rmsValues.push(channelRms);
+    }
+    if (onProgress) {
+        onProgress(1);
+    }
+    return { peaks: peaks, rms: rms ? rmsValues : null };
+}
+
+/**
+ * Create a worker that runs `computePeaks`
+ *
+ * @private
+ * @return {?Object} The `worker` and the `url` of its source, or null if
+ * workers are not supported
+ */
+function createWorker() {
+    if (
+        typeof Worker === 'undefined' ||
+        typeof Blob === 'undefined' ||
+        typeof URL === 'undefined' ||
+        !URL.createObjectURL
+    ) {
+        return null;
+    }
+    const source = `var computePeaks = ${computePeaks.toString()};
+self.onmessage = function (e) {
+    var data = e.data;
+    var result = computePeaks(data.channels, data.samplesPerPeak, data.rms, data.offset, function (progress) {
+        self.postMessage({ progress: progress });
+    });
+    // hand the typed arrays over without copying them
+    var buffers = result.peaks
+        .concat(result.rms || [])
+        .filter(function (values) { return ArrayBuffer.isView(values); })
+        .map(function (values) { return values.buffer; });
+    self.postMessage({ result: result }, buffers);
+};`;
+    const url = URL.createObjectURL(
+        new Blob([source], { type: 'application/javascript' })
+    );
+    try {
+        return { worker: new Worker(url), url: url };
+    } catch (e) {
+        URL.revokeObjectURL(url);
+        return null;
+    }
+}
+
+/**
+ * Reduce PCM samples to max/min pairs in a Web Worker, or on the main thread
+ * if workers are not available
+ *
+ * @param {Array} channels The samples of each channel, e.g. `Float32Array` or
+ * `Int16Array` instances of the same length
+ * @param {Object} options The `samplesPerPeak`, whether to compute the `rms`
+ * and whether to use a `worker`
+ * @param {?function} onProgress Called with the computed part between 0 and 1
+ * @return {Promise} Resolves with the `PCMPeaks`
+ * @throws Will throw an error if the channels are invalid
+ * @since 4.7.0
+ * @example
+ * computePeaksAsync([left, right], { samplesPerPeak: 512 }, progress =>
+ *     console.log(Math.round(progress * 100) + '%')
+ * ).then(data => wavesurfer.load(data.peaks, duration));
+ */
+export function computePeaksAsync(channels, options = {}, onProgress = null) {
+    if (
+        !Array.isArray(channels) ||
+        channels.length == 0 ||
+        !channels.every(samples => samples && samples.length > 0)
+    ) {
+        throw new Error('PCM channels must be a non-empty array of samples');
+    }
+    if (!channels.every(samples => samples.length == channels[0].length)) {
+        throw new Error('PCM channels must have the same number of samples');
+    }
+    const samplesPerPeak = options.samplesPerPeak || 256;
+    if (!(Number.isInteger(samplesPerPeak) && samplesPerPeak > 0)) {
+        throw new Error(
+            `Invalid samplesPerPeak value ${samplesPerPeak}, must be a positive integer`
+        );
+    }
+    const rms = !!options.rms;
+    const scale = getPeakScale(channels[0]);
+    const offset = scale ? scale.offset : 0;
+
+    const toPCMPeaks = result => ({
+        peaks: channels.length == 1 ? result.peaks[0] : result.peaks,
+        rms: result.rms && channels.length == 1 ? result.rms[0] : result.rms,
+        samplesPerPeak: samplesPerPeak,
+        length: Math.ceil(channels[0].length / samplesPerPeak)
+    });
+    const computeOnMainThread = () =>
+        toPCMPeaks(
+            computePeaks(channels, samplesPerPeak, rms, offset, onProgress)
+        );
+
+    const created = options.worker === false ? null : createWorker();
+    if (!created) {
+        return new Promise(resolve => resolve(computeOnMainThread()));
+    }
+    const worker = created.worker;
+    const stop = () => {
+        worker.terminate();
+        URL.revokeObjectURL(created.url);
+    };
+    return new Promise(resolve => {
+        worker.onmessage = e => {
+            if (e.data.result) {
+                stop();
+                resolve(toPCMPeaks(e.data.result));
+            } else if (onProgress) {
+                onProgress(e.data.progress);
+            }
+        };
+        // e.g. a content security policy that blocks blob workers
+        worker.onerror = e => {
+            e.preventDefault();
+            stop();
+            resolve(computeOnMainThread());
+        };
+        // the samples are copied, the caller keeps them
+        worker.postMessage({
+            channels: channels,
+            samplesPerPeak: samplesPerPeak,
+            rms: rms,
+            offset: offset
+        });
+    });
+}
@@ -108,6 +108,51 @@ export default class PeakCache {
         return uncachedRangePairs;
     }
 
+    /**
+     * Change the length of the cachable region but keep the cached ranges in
+     * front of an offset, e.g. when peaks were appended to the waveform
+     *
+     * @param {number} length The new length of the cachable region
+     * @param {number} end The x offset up to which cached ranges stay valid
+     * @since 4.7.0
+     */
+    resizePeakCache(length, end) {
+        const keptRanges = [];
+        let i;
+        for (i = 0; i < this.peakCacheRanges.length; i += 2) {
+            const rangeEnd = Math.min(this.peakCacheRanges[i + 1], end);
+            if (this.peakCacheRanges[i] < rangeEnd) {
+                keptRanges.push(this.peakCacheRanges[i], rangeEnd);
+            }
+        }
+        this.peakCacheRanges = keptRanges;
+        this.peakCacheLength = length;
+    }
+
+    /**
+     * Remove a range from the cache, e.g. when loading the peaks of it was
+     * cancelled
+     *
+     * @param {number} start The x offset of the start of the range
+     * @param {number} end The x offset of the end of the range
+     * @since 4.7.0
+     */
+    removeRangeFromPeakCache(start, end) {
+        const keptRanges = [];
+        let i;
+        for (i = 0; i < this.peakCacheRanges.length; i += 2) {
+            const rangeStart = this.peakCacheRanges[i];
+            const rangeEnd = this.peakCacheRanges[i + 1];
+            if (rangeStart < start) {
+                keptRanges.push(rangeStart, Math.min(rangeEnd, start));
+            }
+            if (rangeEnd > end) {
+                keptRanges.push(Math.max(rangeStart, end), rangeEnd);
+            }
+        }
+        this.peakCacheRanges = keptRanges;
+    }
+
     /**
      * For testing
      *
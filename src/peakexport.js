@@ -0,0 +1,367 @@
+/**
+ * Resampling of the loaded peaks and the formats of `exportPeaks()`
+ *
+ * @since 4.7.0
+ */
+
+import { writeDat, writeJSON } from './audiowaveform';
+
+/**
+ * @typedef {Object} ExportedPeaks
+ * @desc Peaks of a part of the waveform, in the scale they were loaded in
+ * @property {Array[]} channels The peaks of each exported channel, max/min
+ * pairs or single peaks
+ * @property {boolean} split Whether the loaded peaks were an array of arrays,
+ * i.e. the exported peaks are written as one array per channel
+ * @property {?PeakLayout} layout The layout of the exported channels in a
+ * single array if the peaks were loaded with one
+ * @property {boolean} pairs Whether the peaks are max/min pairs
+ * @property {number} length Number of peaks (or max/min pairs) per channel
+ * @property {number} start Time of the first peak in seconds
+ * @property {number} end Time of the end of the last peak in seconds
+ * @property {number} peakMax The full scale value of the peaks, 0 if the
+ * peaks were loaded without one
+ * @property {number} peakOffset The peak value of the zero line
+ */
+
+/**
+ * MIME types of the formats
+ *
+ * @private
+ */
+const MIME_TYPES = {
+    json: 'application/json',
+    csv: 'text/csv',
+    dat: 'application/octet-stream',
+    'audiowaveform-json': 'application/json'
+};
+
+/**
+ * Whether the peaks of the first channel are max/min pairs, i.e. contain
+ * values below the zero line
+ *
+ * @private
+ * @param {Array[]} channels The peaks of each channel
+ * @param {PeakFormat} format How to read the values of the peaks
+ * @return {boolean} True for max/min pairs
+ */
+function hasMinVals(channels, format) {
+    if (typeof format.pairs === 'boolean') {
+        return format.pairs;
+    }
+    const offset = format.offset || 0;
+    return [].some.call(channels[0], val => val < offset);
+}
+
+/**
+ * Resample the peaks of one channel by merging the peaks that fall into each
+ * new peak, the maximum of the max values and the minimum of the min values
+ * are kept
+ *
+ * @private
+ * @param {number[]} peaks The peaks of the channel
+ * @param {number} size 2 for max/min pairs, 1 for single peaks
+ * @param {number} first Index of the first peak (or pair) to export, can be
+ * fractional
+ * @param {number} last Index of the end of the last peak (or pair) to export,
+ * can be fractional
+ * @param {number} length Number of resampled peaks (or pairs)
+ * @return {number[]} The resampled peaks
+ */
+function resampleChannel(peaks, size, first, last, length) {
+    const count = Math.floor(peaks.length / size);
+    const step = (last - first) / length;
+    const resampled = new Array(length * size);
+    let i, j;
+    for (i = 0; i < length; i++) {
+        const a = Math.min(Math.floor(first + i * step), count - 1);
+        const b = Math.min(
+            Math.max(a + 1, Math.ceil(first + (i + 1) * step)),
+            count
+        );
+        let peakMax = peaks[a * size];
+        let peakMin = peaks[a * size + 1];
+        for (j = a + 1; j < b; j++) {
+            peakMax = Math.max(peakMax, peaks[j * size]);
+            if (size == 2) {
+                peakMin = Math.min(peakMin, peaks[j * size + 1]);
+            }
+        }
+        resampled[i * size] = peakMax;
+        if (size == 2) {
+            resampled[i * size + 1] = peakMin;
+        }
+    }
+    return resampled;
+}
+
+/**
+ * Store the peaks of the channels in a single array, the inverse of
+ * `createChannelViews()`
+ *
+ * @private
+ * @param {Array[]} channels The peaks of each channel
+ * @param {PeakLayout} layout How to store the peaks
+ * @return {number[]} The peaks of all channels
+ */
+function joinChannels(channels, layout) {
+    const size = layout.pairs ? 2 : 1;
+    const length = channels[0].length;
+    const peaks = new Array(channels.length * length);
+    channels.forEach((channelPeaks, c) => {
+        let i, k;
+        for (i = 0; i < length; i += size) {
+            const first = layout.interleaved
+                ? (i / size) * channels.length * size + c * size
+                : c * length + i;
+            for (k = 0; k < size; k++) {
+                peaks[first + k] =
+                    channelPeaks[i + (layout.minFirst ? size - 1 - k : k)];
+            }
+        }
+    });
+    return peaks;
+}
+
+/**
+ * Resample a part of the peaks
+ *
+ * @param {number[]|Number.<Array[]>} peaks The loaded peaks, an array of
+ * arrays for several channels
+ * @param {Object} options The part to export
+ * @param {number} options.duration The duration of the peaks in seconds
+ * @param {number} options.start=0 Time of the start of the part in seconds
+ * @param {number} options.end=duration Time of the end of the part in seconds
+ * @param {?number} options.length Number of peaks (or max/min pairs) per
+ * channel, by default the number of loaded peaks in the part
+ * @param {?number[]} options.channels Indexes of the channels to export, by
+ * default all channels
+ * @param {number} options.peakMax The full scale value of the peaks
+ * @param {number} options.peakOffset The peak value of the zero line
+ * @param {?boolean} options.pairs Whether the peaks are max/min pairs,
+ * detected from values below the zero line if not set
+ * @param {?PeakLayout} options.layout The layout the peaks were loaded in,
+ * the exported channels are written in it
+ * @return {ExportedPeaks} The resampled peaks
+ * @throws Will throw an error if the options are out of range
+ */
+export function resamplePeaks(peaks, options) {
+    const split = peaks[0] instanceof Array || ArrayBuffer.isView(peaks[0]);
+    const allChannels = split ? Array.from(peaks) : [peaks];
+    const duration = options.duration;
+    const start = options.start || 0;
+    const end = options.end === undefined ? duration : options.end;
+    if (!(start >= 0 && end <= duration && start < end)) {
+        throw new Error(
+            `Invalid export range ${start} to ${end}, must be within the duration ${duration}`
+        );
+    }
+
+    const indexes = options.channels || allChannels.map((c, i) => i);
+    indexes.forEach(i => {
+        if (!allChannels[i]) {
+            throw new Error(`Invalid export channel ${i}`);
+        }
+    });
+    const format = { offset: options.peakOffset, pairs: options.pairs };
+    const pairs = hasMinVals(allChannels, format);
+    const size = pairs ? 2 : 1;
+    const count = Math.floor(allChannels[0].length / size);
+    const first = (start / duration) * count;
+    const last = (end / duration) * count;
+    const length =
+        options.length === undefined
+            ? Math.max(1, Math.round(last - first))
+            : options.length;
+    if (!(Number.isInteger(length) && length > 0)) {
+        throw new Error(
+            `Invalid export length ${length}, must be a positive integer`
+        );
+    }
+
+    const layout = options.layout
+        ? {
+            channels: indexes.length,
+            interleaved: options.layout.interleaved !== false,
+            pairs: pairs,
+            minFirst: pairs && !!options.layout.minFirst
+        }
+        : null;
+    return {
+        channels: indexes.map(i =>
+            resampleChannel(allChannels[i], size, first, last, length)
+        ),
+        split: split,
+        layout: layout,
+        pairs: pairs,
+        length: length,
+        start: start,
+        end: end,
+        peakMax: options.peakMax || 0,
+        peakOffset: options.peakOffset || 0
+    };
+}
+
+/**
+ * Write the peaks as a JSON document that can be passed back to
+ * `WaveSurfer.load`. Peaks loaded with a `layout` are written in a single
+ * array in that layout, which is added as the `layout` field.
+ *
+ * @param {ExportedPeaks} data The peaks
+ * @return {string} The JSON document
+ * @example
+ * const json = JSON.parse(writePeaksJSON(data));
+ * wavesurfer.load(
+ *     json.peaks,
+ *     json.duration,
+ *     { max: json.peakMax, offset: json.peakOffset },
+ *     json.layout
+ * );
+ */
+export function writePeaksJSON(data) {
+    const json = {
+        start: data.start,
+        end: data.end,
+        duration: data.end - data.start,
+        channels: data.channels.length,
+        length: data.length,
+        pairs: data.pairs,
+        peakMax: data.peakMax,
+        peakOffset: data.peakOffset
+    };
+    if (data.layout) {
+        json.layout = data.layout;
+        json.peaks = joinChannels(data.channels, data.layout);
+    } else {
+        json.peaks = data.split ? data.channels : data.channels[0];
+    }
+    return JSON.stringify(json);
+}
+
+/**
+ * Write the peaks as CSV, one line per peak with its time in seconds and the
+ * values of each channel
+ *
+ * @param {ExportedPeaks} data The peaks
+ * @return {string} The CSV document with a header line
+ * @example
+ * // time,max_0,min_0,max_1,min_1
+ * // 0,0.5,-0.5,0.25,-0.25
+ * const csv = writePeaksCSV(data);
+ */
+export function writePeaksCSV(data) {
+    const names = data.pairs ? ['max', 'min'] : ['peak'];
+    const header = ['time'];
+    data.channels.forEach((peaks, c) =>
+        names.forEach(name =>
+            header.push(data.channels.length > 1 ? `${name}_${c}` : name)
+        )
+    );
+
+    const size = names.length;
+    const step = (data.end - data.start) / data.length;
+    const lines = [header.join(',')];
+    let i;
+    for (i = 0; i < data.length; i++) {
+        const line = [data.start + i * step];
+        data.channels.forEach(peaks =>
+            line.push(...peaks.slice(i * size, (i + 1) * size))
+        );
+        lines.push(line.join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Convert the peaks to the signed integer max/min pairs of `audiowaveform`.
+ * Single peaks are mirrored at the zero line.
+ *
+ * @param {ExportedPeaks} data The peaks
+ * @param {Object} options How to write the peaks
+ * @param {?number} options.bits Resolution of the peak values, either 8 or
+ * 16. By default 8 for peaks with a full scale value of 128, e.g. read from
+ * an 8 bit `audiowaveform` file, otherwise 16.
+ * @param {number} options.sampleRate=44100 Sample rate of the audio, only
+ * used to work out the samples per pixel of the file
+ * @return {WaveformData} The peaks and metadata
+ */
+export function toWaveformData(data, options = {}) {
+    const bits = options.bits || (data.peakMax == 128 ? 8 : 16);
+    const sampleRate = options.sampleRate || 44100;
+    const fullScale = Math.pow(2, bits - 1);
+    // peaks loaded without a full scale value are drawn with a scale of 1
+    const scale = fullScale / (data.peakMax || 1);
+    const toInt = val =>
+        Math.max(
+            -fullScale,
+            Math.min(fullScale - 1, Math.round((val - data.peakOffset) * scale))
+        );
+
+    const peaks = data.channels.map(channelPeaks => {
+        const pairs = new Array(2 * data.length);
+        let i;
+        for (i = 0; i < data.length; i++) {
+            if (data.pairs) {
+                pairs[2 * i] = toInt(channelPeaks[2 * i]);
+                pairs[2 * i + 1] = toInt(channelPeaks[2 * i + 1]);
+            } else {
+                pairs[2 * i] = toInt(channelPeaks[i]);
+                pairs[2 * i + 1] = -pairs[2 * i];
+            }
+        }
+        return pairs;
+    });
+
+    const duration = data.end - data.start;
+    return {
+        peaks: peaks.length == 1 ? peaks[0] : peaks,
+        channels: peaks.length,
+        sampleRate: sampleRate,
+        samplesPerPixel: Math.max(
+            1,
+            Math.round((duration * sampleRate) / data.length)
+        ),
+        bits: bits,
+        length: data.length,
+        duration: duration,
+        peakMax: fullScale
+    };
+}
+
+/**
+ * Write the peaks in a format
+ *
+ * @param {ExportedPeaks} data The peaks
+ * @param {Object} options How to write the peaks
+ * @param {string} options.format='json' Either `'json'`, `'csv'`, `'dat'`
+ * (binary `audiowaveform` file) or `'audiowaveform-json'`
+ * @param {?number} options.bits Resolution of the `audiowaveform` formats
+ * @param {?number} options.sampleRate Sample rate of the `audiowaveform`
+ * formats
+ * @return {string|ArrayBuffer} The document, an `ArrayBuffer` for `'dat'`
+ * @throws Will throw an error if the format is unknown
+ */
+export function writePeaks(data, options = {}) {
+    switch (options.format || 'json') {
+        case 'json':
+            return writePeaksJSON(data);
+        case 'csv':
+            return writePeaksCSV(data);
+        case 'dat':
+            return writeDat(toWaveformData(data, options));
+        case 'audiowaveform-json':
+            return writeJSON(toWaveformData(data, options));
+        default:
+            throw new Error(`Unknown peak export format ${options.format}`);
+    }
+}
+
+/**
+ * Get the MIME type of a format
+ *
+ * @param {string} format='json' The format
+ * @return {string} The MIME type
+ */
+export function getMimeType(format = 'json') {
+    return MIME_TYPES[format];
+}
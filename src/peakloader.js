@@ -0,0 +1,250 @@
+import * as util from './util';
+import PeakCache from './peakcache';
+
+/**
+ * @typedef {Object} PeakProvider
+ * @desc Loads the peaks of a time range on demand, so the peaks of very long
+ * recordings don't have to be loaded up front
+ * @property {function} getPeaks Called with the `startTime` and `endTime` of
+ * the range in seconds, the `resolution` in peaks per second the waveform is
+ * drawn with and an `AbortSignal` that is aborted when the range is not
+ * needed anymore. Returns a `Promise` that resolves with max/min pairs for
+ * the range (an array of arrays if there is more than one channel). Peaks of
+ * another resolution are resampled.
+ * @property {?number} channels=1 Number of channels of the peaks
+ * @example
+ * // a 16 bit audiowaveform .dat file without header served with byte ranges
+ * const provider = {
+ *     getPeaks(startTime, endTime, resolution, signal) {
+ *         const first = Math.floor(startTime * datPeaksPerSecond);
+ *         const last = Math.ceil(endTime * datPeaksPerSecond);
+ *         return fetch(url, {
+ *             headers: { Range: `bytes=${first * 4}-${last * 4 - 1}` },
+ *             signal: signal
+ *         })
+ *             .then(response => response.arrayBuffer())
+ *             .then(buffer => {
+ *                 const values = new Int16Array(buffer);
+ *                 const peaks = [];
+ *                 for (let i = 0; i < values.length; i += 2) {
+ *                     peaks.push(values[i + 1], values[i]);
+ *                 }
+ *                 return peaks;
+ *             });
+ *     }
+ * };
+ */
+
+/**
+ * Loads the peaks of the visible part of the waveform from a `PeakProvider`
+ *
+ * The peaks are stored in a sparse array with one max/min pair per pixel,
+ * ranges that are still loading are drawn as a flat line. The ranges that were
+ * requested are tracked with a `PeakCache`.
+ *
+ * @since 4.7.0
+ * @extends {Observer}
+ */
+export default class PeakLoader extends util.Observer {
+    /**
+     * @param {PeakProvider} provider The source of the peaks
+     * @param {number} duration The duration of the audio in seconds
+     */
+    constructor(provider, duration) {
+        super();
+        /** @private */
+        this.provider = provider;
+        /** @private */
+        this.duration = duration;
+        /** @private */
+        this.channels = provider.channels || 1;
+        /** @private */
+        this.cache = new PeakCache();
+        /**
+         * The requests that are still loading
+         *
+         * @private
+         */
+        this.requests = [];
+        /** @private */
+        this.width = -1;
+        /**
+         * The peaks loaded so far at the current width
+         *
+         * @type {number[]|Number.<Array[]>}
+         */
+        this.peaks = null;
+    }
+
+    /**
+     * Get the peaks at a width. When the width changes the loaded peaks are
+     * discarded and pending requests are cancelled.
+     *
+     * @param {number} width The width of the waveform in pixels
+     * @return {number[]|Number.<Array[]>} The peaks, with holes for the
+     * ranges that are not loaded
+     */
+    getPeaks(width) {
+        if (width != this.width) {
+            this.cancel(() => true);
+            this.cache.clearPeakCache();
+            this.width = width;
+
+            const createPeaks = () => new Array(2 * width);
+            this.peaks =
+                this.channels > 1
+                    ? Array.from({ length: this.channels }, createPeaks)
+                    : createPeaks();
+        }
+        return this.peaks;
+    }
+
+    /**
+     * Request the peaks of a range that are not loaded yet and cancel the
+     * requests outside of it
+     *
+     * @param {number} width The width of the waveform in pixels
+     * @param {number} start The x offset of the start of the range
+     * @param {number} end The x offset of the end of the range
+     * @emits PeakLoader#load
+     * @emits PeakLoader#error
+     */
+    load(width, start, end) {
+        this.getPeaks(width);
+        this.cancel(request => request.end <= start || request.start >= end);
+        this.cache
+            .addRangeToPeakCache(width, start, end)
+            .forEach(range => this.request(range[0], range[1]));
+    }
+
+    /**
+     * Cancel pending requests, their ranges are requested again by the next
+     * `load()` that includes them
+     *
+     * @param {function} filter Returns true for the requests to cancel
+     */
+    cancel(filter) {
+        this.requests = this.requests.filter(request => {
+            if (!filter(request)) {
+                return true;
+            }
+            request.cancelled = true;
+            if (request.controller) {
+                request.controller.abort();
+            }
+            this.cache.removeRangeFromPeakCache(request.start, request.end);
+            return false;
+        });
+    }
+
+    /**
+     * Cancel all requests and remove the event handlers
+     */
+    destroy() {
+        this.cancel(() => true);
+        this.unAll();
+    }
+
+    /**
+     * Request the peaks of a range from the provider
+     *
+     * @private
+     * @param {number} start The x offset of the start of the range
+     * @param {number} end The x offset of the end of the range
+     */
+    request(start, end) {
+        const controller =
+            typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const request = { start, end, controller, cancelled: false };
+        this.requests.push(request);
+
+        const secondsPerPixel = this.duration / this.width;
+        new Promise(resolve =>
+            resolve(
+                this.provider.getPeaks(
+                    start * secondsPerPixel,
+                    end * secondsPerPixel,
+                    1 / secondsPerPixel,
+                    controller ? controller.signal : null
+                )
+            )
+        )
+            .then(peaks => {
+                // the provider may ignore the abort signal
+                if (request.cancelled) {
+                    return;
+                }
+                this.setPeaks(peaks, start, end);
+                this.requests.splice(this.requests.indexOf(request), 1);
+                /**
+                 * Fired when the peaks of a range were loaded
+                 *
+                 * @event PeakLoader#load
+                 * @param {number} start The x offset of the start of the range
+                 * @param {number} end The x offset of the end of the range
+                 */
+                this.fireEvent('load', start, end);
+            })
+            .catch(err => {
+                if (request.cancelled) {
+                    return;
+                }
+                // request the range again with the next load()
+                this.cancel(r => r === request);
+                /**
+                 * Fired when the provider failed to load a range
+                 *
+                 * @event PeakLoader#error
+                 * @param {Error} err The error of the provider
+                 */
+                this.fireEvent('error', err);
+            });
+    }
+
+    /**
+     * Resample loaded peaks to one max/min pair per pixel and store them
+     *
+     * @private
+     * @param {number[]|Number.<Array[]>} peaks The loaded peaks
+     * @param {number} start The x offset of the start of the range
+     * @param {number} end The x offset of the end of the range
+     */
+    setPeaks(peaks, start, end) {
+        const sources = this.channels > 1 ? peaks : [peaks];
+        const targets = this.channels > 1 ? this.peaks : [this.peaks];
+        if (
+            !sources ||
+            sources.length != targets.length ||
+            !Array.prototype.every.call(
+                sources,
+                source => source && source.length >= 0
+            )
+        ) {
+            throw new Error(
+                `PeakProvider must return peaks for ${this.channels} channel(s)`
+            );
+        }
+
+        const pixels = end - start;
+        targets.forEach((target, c) => {
+            const source = sources[c];
+            const count = Math.floor(source.length / 2);
+            let i, j;
+            for (i = 0; i < pixels && count > 0; i++) {
+                const first = Math.floor((i * count) / pixels);
+                const last = Math.max(
+                    first + 1,
+                    Math.floor(((i + 1) * count) / pixels)
+                );
+                let max = source[2 * first];
+                let min = source[2 * first + 1];
+                for (j = first + 1; j < last; j++) {
+                    max = Math.max(max, source[2 * j]);
+                    min = Math.min(min, source[2 * j + 1]);
+                }
+                target[2 * (start + i)] = max;
+                target[2 * (start + i) + 1] = min;
+            }
+        });
+    }
+}
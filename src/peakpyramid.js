@@ -0,0 +1,299 @@
+import getPeakScale from './util/get-peak-scale';
+
+/**
+ * Number of peaks per channel below which no coarser level is built
+ *
+ * @private
+ */
+const MIN_LEVEL_LENGTH = 512;
+
+/**
+ * @typedef {Object} PeakFormat
+ * @desc How to read the values of the peaks
+ * @property {?number} offset The peak value of the zero line, inferred from
+ * typed arrays if not set
+ * @property {?boolean} pairs Whether the peaks are max/min pairs, detected from
+ * values below the zero line if not set
+ */
+
+/**
+ * Whether peaks are max/min pairs, i.e. contain values below the zero line
+ *
+ * @private
+ * @param {number[]} peaks The peaks of a channel
+ * @param {?PeakFormat} format How to read the values of the peaks
+ * @return {boolean} True for max/min pairs
+ */
+function hasMinVals(peaks, format = {}) {
+    if (typeof format.pairs === 'boolean') {
+        return format.pairs;
+    }
+    let offset = format.offset;
+    if (offset === undefined) {
+        const scale = getPeakScale(peaks);
+        offset = scale ? scale.offset : 0;
+    }
+    return [].some.call(peaks, val => val < offset);
+}
+
+/**
+ * Whether peaks are an array of arrays for split channel rendering
+ *
+ * @private
+ * @param {number[]|Number.<Array[]>} peaks The peaks
+ * @return {boolean} True for split channels
+ */
+function isChannels(peaks) {
+    return peaks[0] instanceof Array || ArrayBuffer.isView(peaks[0]);
+}
+
+/**
+ * Compute the peaks of a coarser level from a given index on by merging the
+ * peaks of the most detailed level they cover
+ *
+ * @private
+ * @param {number[]|Number.<Array[]>} peaks The coarser level
+ * @param {number[]|Number.<Array[]>} finest The most detailed level
+ * @param {number} from Index of the first peak to compute
+ * @param {number} length The new number of peaks of the level
+ * @param {number} ratio Number of peaks of the most detailed level per peak
+ * @param {?PeakFormat} format How to read the values of the peaks
+ * @return {number[]|Number.<Array[]>} The extended level
+ */
+function extendLevel(peaks, finest, from, length, ratio, format) {
+    if (isChannels(peaks)) {
+        return peaks.map((channelPeaks, c) =>
+            extendLevel(channelPeaks, finest[c], from, length, ratio, format)
+        );
+    }
+
+    const size = hasMinVals(finest, format) ? 2 : 1;
+    let extended = peaks;
+    if (Array.isArray(peaks)) {
+        extended.length = length * size;
+    } else {
+        // typed arrays have a fixed length
+        extended = new peaks.constructor(length * size);
+        extended.set(peaks.subarray(0, from * size));
+    }
+    const finestLength = finest.length / size;
+    let i, j;
+    for (i = from; i < length; i++) {
+        const a = Math.floor(i * ratio);
+        const b = Math.max(
+            a + 1,
+            Math.min(Math.ceil((i + 1) * ratio), finestLength)
+        );
+        extended[i * size] = finest[a * size];
+        if (size == 2) {
+            extended[i * size + 1] = finest[a * size + 1];
+        }
+        for (j = a + 1; j < b; j++) {
+            extended[i * size] = Math.max(extended[i * size], finest[j * size]);
+            if (size == 2) {
+                extended[i * size + 1] = Math.min(
+                    extended[i * size + 1],
+                    finest[j * size + 1]
+                );
+            }
+        }
+    }
+    return extended;
+}
+
+/**
+ * Holds the same peaks in several resolutions, so the renderer can use the
+ * level that matches the zoom instead of stretching or looping over a single
+ * array of peaks
+ *
+ * Each level is a peaks array like the one passed to `WaveSurfer.load` (an
+ * array of arrays for split channel rendering) covering the whole duration.
+ *
+ * @since 4.7.0
+ * @example
+ * // levels loaded from the server
+ * const pyramid = new PeakPyramid([overviewPeaks, detailPeaks]);
+ * // or built from the most detailed level
+ * const pyramid = PeakPyramid.fromPeaks(detailPeaks);
+ */
+export default class PeakPyramid {
+    /**
+     * Build a pyramid by repeatedly merging every two neighbouring peaks of
+     * the given peaks into one
+     *
+     * @param {number[]|Number.<Array[]>} peaks The most detailed level
+     * @param {number} minLength=512 Number of peaks per channel below which no
+     * coarser level is built
+     * @param {?PeakFormat} format How to read the values of the peaks
+     * @return {PeakPyramid} The pyramid
+     */
+    static fromPeaks(peaks, minLength = MIN_LEVEL_LENGTH, format) {
+        const levels = [peaks];
+        let level = peaks;
+        while (PeakPyramid.getLength(level, format) > Math.max(minLength, 1)) {
+            level = PeakPyramid.reduce(level, format);
+            levels.push(level);
+        }
+        const pyramid = new PeakPyramid(levels, format);
+        // odd lengths are rounded up, so the ratios are exact powers of two
+        pyramid.levels.forEach((l, i) => {
+            l.ratio = Math.pow(2, pyramid.levels.length - 1 - i);
+        });
+        pyramid.minLength = minLength;
+        return pyramid;
+    }
+
+    /**
+     * Number of peaks per channel of a level. Peaks with values below the
+     * zero line are max/min pairs which count as one.
+     *
+     * @param {number[]|Number.<Array[]>} peaks A level
+     * @param {?PeakFormat} format How to read the values of the peaks
+     * @return {number} The number of peaks per channel
+     */
+    static getLength(peaks, format) {
+        const channelPeaks = isChannels(peaks) ? peaks[0] : peaks;
+        return hasMinVals(channelPeaks, format)
+            ? channelPeaks.length / 2
+            : channelPeaks.length;
+    }
+
+    /**
+     * Halve the resolution of a level by merging every two neighbouring peaks
+     * (or max/min pairs) into one
+     *
+     * @param {number[]|Number.<Array[]>} peaks A level
+     * @param {?PeakFormat} format How to read the values of the peaks
+     * @return {number[]|Number.<Array[]>} The level with half the resolution
+     */
+    static reduce(peaks, format) {
+        if (isChannels(peaks)) {
+            return peaks.map(channelPeaks =>
+                PeakPyramid.reduce(channelPeaks, format)
+            );
+        }
+
+        const size = hasMinVals(peaks, format) ? 2 : 1;
+        const length = Math.ceil(peaks.length / size / 2);
+        const reduced = Array.isArray(peaks)
+            ? new Array(length * size)
+            : new peaks.constructor(length * size);
+        let i;
+        for (i = 0; i < length; i++) {
+            const a = 2 * i * size;
+            // the last peak has no neighbour if the length is odd
+            const b = a + size < peaks.length ? a + size : a;
+            reduced[i * size] = Math.max(peaks[a], peaks[b]);
+            if (size == 2) {
+                reduced[i * size + 1] = Math.min(peaks[a + 1], peaks[b + 1]);
+            }
+        }
+        return reduced;
+    }
+
+    /**
+     * @param {Array} levels The peaks of each level, in any order
+     * @param {?PeakFormat} format How to read the values of the peaks
+     */
+    constructor(levels, format) {
+        if (!levels || levels.length == 0) {
+            throw new Error('PeakPyramid needs at least one level');
+        }
+        /**
+         * The levels sorted from the coarsest to the most detailed one
+         *
+         * @type {Array}
+         */
+        this.levels = levels
+            .map(peaks => ({
+                peaks: peaks,
+                length: PeakPyramid.getLength(peaks, format)
+            }))
+            .sort((a, b) => a.length - b.length);
+        const finestLength = this.levels[this.levels.length - 1].length;
+        this.levels.forEach(level => {
+            // number of peaks of the most detailed level per peak
+            level.ratio = finestLength / level.length;
+        });
+        /**
+         * How to read the values of the peaks
+         *
+         * @type {?PeakFormat}
+         */
+        this.format = format;
+        /**
+         * Number of peaks per channel below which no coarser level is built
+         * when the pyramid is extended, null if the levels were not built by
+         * `fromPeaks()`
+         *
+         * @type {?number}
+         */
+        this.minLength = null;
+    }
+
+    /**
+     * The most detailed level
+     *
+     * @type {number[]|Number.<Array[]>}
+     */
+    get finest() {
+        return this.levels[this.levels.length - 1].peaks;
+    }
+
+    /**
+     * Extend the levels to the grown most detailed level, e.g. after peaks
+     * were appended to a recording. Only the peaks of the coarser levels that
+     * cover the appended part are computed, peaks that were passed to the
+     * constructor are kept. Levels that are arrays are extended in place.
+     *
+     * @param {number[]|Number.<Array[]>} finest The most detailed level, with
+     * the same peaks at the start as before
+     * @since 4.7.0
+     */
+    extend(finest) {
+        const finestLevel = this.levels[this.levels.length - 1];
+        const oldLength = finestLevel.length;
+        const length = PeakPyramid.getLength(finest, this.format);
+
+        this.levels.slice(0, -1).forEach(level => {
+            // the last peak may only cover a part of its range
+            const from = Math.floor(oldLength / level.ratio);
+            level.length = Math.ceil(length / level.ratio);
+            level.peaks = extendLevel(
+                level.peaks,
+                finest,
+                from,
+                level.length,
+                level.ratio,
+                this.format
+            );
+        });
+        finestLevel.peaks = finest;
+        finestLevel.length = length;
+
+        if (this.minLength !== null) {
+            let coarsest = this.levels[0];
+            while (coarsest.length > Math.max(this.minLength, 1)) {
+                const peaks = PeakPyramid.reduce(coarsest.peaks, this.format);
+                coarsest = {
+                    peaks: peaks,
+                    length: PeakPyramid.getLength(peaks, this.format),
+                    ratio: coarsest.ratio * 2
+                };
+                this.levels.unshift(coarsest);
+            }
+        }
+    }
+
+    /**
+     * Get the coarsest level that still has at least one peak per pixel at
+     * the given width, or the most detailed level if none has
+     *
+     * @param {number} width The width of the waveform in pixels
+     * @return {number[]|Number.<Array[]>} The peaks of the level
+     */
+    getLevel(width) {
+        const level = this.levels.find(l => l.length >= width);
+        return level ? level.peaks : this.finest;
+    }
+}
@@ -243,17 +243,11 @@ export default class CursorPlugin {
             left: `${xpos}px`
         });
         if (this.params.showTime) {
-            const duration = this.wavesurfer.getDuration();
-            const elementWidth =
-                this.wavesurfer.drawer.width /
-                this.wavesurfer.params.pixelRatio;
-            const scrollWidth = this.wavesurfer.drawer.getScrollX();
-
-            const scrollTime =
-                (duration / this.wavesurfer.drawer.width) * scrollWidth;
-
-            const timeValue =
-                Math.max(0, (xpos / elementWidth) * duration) + scrollTime;
+            const bbox = this.wavesurfer.container.getBoundingClientRect();
+            const timeValue = this.wavesurfer.drawer.pxToTime(
+                bbox.left + xpos,
+                'client'
+            );
             const formatValue = this.formatTime(timeValue);
             if (flip) {
                 const textOffset = this.outerWidth(this.displayTime);
@@ -0,0 +1,409 @@
+/**
+ * @typedef {Object} HistoryPluginParams
+ * @property {?boolean} deferInit Set to true to stop auto init in `addPlugin()`
+ * @property {?number} limit Maximum number of entries that can be undone, the
+ * oldest entries are dropped. No limit if not set.
+ */
+
+/**
+ * @typedef {Object} HistoryCommand
+ * @desc A reversible change
+ * @property {function} undo Reverts the change
+ * @property {function} redo Applies the change again
+ */
+
+/**
+ * Records the changes of regions (added, dragged, resized and removed) and
+ * markers (added and removed) so they can be undone and redone. A region that
+ * is dragged or drawn with the mouse is recorded as one change when the mouse
+ * is released.
+ *
+ * @implements {PluginClass}
+ * @extends {Observer}
+ * @since 4.7.0
+ * @example
+ * // es6
+ * import HistoryPlugin from 'wavesurfer.history.js';
+ *
+ * // if you are using <script> tags
+ * var HistoryPlugin = window.WaveSurfer.history;
+ *
+ * // ... initialising wavesurfer with the plugin
+ * var wavesurfer = WaveSurfer.create({
+ *   // wavesurfer options ...
+ *   plugins: [
+ *     RegionsPlugin.create({ dragSelection: true }),
+ *     HistoryPlugin.create({ limit: 100 })
+ *   ]
+ * });
+ *
+ * wavesurfer.on('history-change', (canUndo, canRedo) => {
+ *     undoButton.disabled = !canUndo;
+ *     redoButton.disabled = !canRedo;
+ * });
+ * undoButton.onclick = () => wavesurfer.undo();
+ */
+export default class HistoryPlugin {
+    /**
+     * History plugin definition factory
+     *
+     * This function must be used to create a plugin definition which can be
+     * used by wavesurfer to correctly instantiate the plugin.
+     *
+     * @param {HistoryPluginParams} params parameters use to initialise the
+     * plugin
+     * @return {PluginDefinition} an object representing the plugin
+     */
+    static create(params) {
+        return {
+            name: 'history',
+            deferInit: params && params.deferInit ? params.deferInit : false,
+            params: params,
+            staticProps: {
+                undo() {
+                    return this.history.undo();
+                },
+                redo() {
+                    return this.history.redo();
+                },
+                canUndo() {
+                    return this.history.canUndo();
+                },
+                canRedo() {
+                    return this.history.canRedo();
+                }
+            },
+            instance: HistoryPlugin
+        };
+    }
+
+    constructor(params, ws) {
+        this.params = params;
+        this.wavesurfer = ws;
+        /**
+         * The entries that can be undone, the latest last
+         *
+         * @private
+         */
+        this.undoStack = [];
+        /** @private */
+        this.redoStack = [];
+        /**
+         * Set while an entry is undone or redone, so its changes are not
+         * recorded
+         *
+         * @private
+         */
+        this.applying = false;
+        /**
+         * The parameters of each region after its last recorded change, by id
+         *
+         * @private
+         */
+        this.regionParams = {};
+        /**
+         * Ids of the markers that stay the same when a marker is added again
+         * by undo or redo
+         *
+         * @private
+         */
+        this.markerIds = new WeakMap();
+        /** @private */
+        this.nextMarkerId = 0;
+
+        this._onRegionCreated = region => {
+            if (this.applying) {
+                return;
+            }
+            const id = region.id;
+            this.regionParams[id] = region.getParams();
+            this.record({
+                undo: () => this.getRegion(id).remove(),
+                redo: () => this.wavesurfer.regions.add(this.regionParams[id])
+            });
+        };
+        this._onRegionUpdated = region => {
+            // changes made by code are not recorded, but a later drag reverts
+            // to them
+            if (
+                !this.applying &&
+                !region.isDragging &&
+                !region.isResizing &&
+                !region.isDrawing
+            ) {
+                this.regionParams[region.id] = region.getParams();
+            }
+        };
+        this._onRegionUpdateEnd = region => {
+            if (this.applying) {
+                return;
+            }
+            const id = region.id;
+            const before = this.regionParams[id];
+            const after = region.getParams();
+            this.regionParams[id] = after;
+            if (region.isDrawing) {
+                // the region was created when the drag started, its creation
+                // is recorded with its final size
+                return;
+            }
+            if (JSON.stringify(before) === JSON.stringify(after)) {
+                return;
+            }
+            this.record({
+                undo: () => this.updateRegion(id, before),
+                redo: () => this.updateRegion(id, after)
+            });
+        };
+        this._onRegionRemoved = region => {
+            if (this.applying) {
+                return;
+            }
+            const params = region.getParams();
+            this.record({
+                undo: () => this.wavesurfer.regions.add(params),
+                redo: () => this.getRegion(params.id).remove()
+            });
+        };
+        this._onMarkerAdded = marker => {
+            if (this.applying) {
+                return;
+            }
+            const params = this.getMarkerParams(marker);
+            const id = this.getMarkerId(marker);
+            this.record({
+                undo: () => this.removeMarker(id),
+                redo: () => this.addMarker(id, params)
+            });
+        };
+        this._onMarkerRemoved = marker => {
+            if (this.applying) {
+                return;
+            }
+            const params = this.getMarkerParams(marker);
+            const id = this.getMarkerId(marker);
+            this.record({
+                undo: () => this.addMarker(id, params),
+                redo: () => this.removeMarker(id)
+            });
+        };
+    }
+
+    init() {
+        this.wavesurfer.on('region-created', this._onRegionCreated);
+        this.wavesurfer.on('region-updated', this._onRegionUpdated);
+        this.wavesurfer.on('region-update-end', this._onRegionUpdateEnd);
+        this.wavesurfer.on('region-removed', this._onRegionRemoved);
+        this.wavesurfer.on('marker-added', this._onMarkerAdded);
+        this.wavesurfer.on('marker-removed', this._onMarkerRemoved);
+
+        // regions that exist already can be reverted to their current state
+        const regions = this.wavesurfer.regions;
+        if (regions && regions.list) {
+            Object.keys(regions.list).forEach(id => {
+                this.regionParams[id] = regions.list[id].getParams();
+            });
+        }
+    }
+
+    destroy() {
+        this.wavesurfer.un('region-created', this._onRegionCreated);
+        this.wavesurfer.un('region-updated', this._onRegionUpdated);
+        this.wavesurfer.un('region-update-end', this._onRegionUpdateEnd);
+        this.wavesurfer.un('region-removed', this._onRegionRemoved);
+        this.wavesurfer.un('marker-added', this._onMarkerAdded);
+        this.wavesurfer.un('marker-removed', this._onMarkerRemoved);
+        this.undoStack = [];
+        this.redoStack = [];
+        this.regionParams = {};
+    }
+
+    /**
+     * Add a change to the history, the changes that were undone can't be
+     * redone anymore. Changes of regions and markers are recorded
+     * automatically, other changes of the application can be added too.
+     *
+     * @param {HistoryCommand} command The change
+     * @emits WaveSurfer#history-change
+     */
+    record(command) {
+        const limit = this.params.limit;
+        this.undoStack.push(command);
+        if (limit > 0 && this.undoStack.length > limit) {
+            this.undoStack.splice(0, this.undoStack.length - limit);
+        }
+        this.redoStack = [];
+        this.fireChange();
+    }
+
+    /**
+     * Revert the latest change
+     *
+     * @return {boolean} False if there was nothing to undo
+     * @emits WaveSurfer#history-change
+     */
+    undo() {
+        return this.apply(this.undoStack, this.redoStack, 'undo');
+    }
+
+    /**
+     * Apply the latest reverted change again
+     *
+     * @return {boolean} False if there was nothing to redo
+     * @emits WaveSurfer#history-change
+     */
+    redo() {
+        return this.apply(this.redoStack, this.undoStack, 'redo');
+    }
+
+    /**
+     * @return {boolean} Whether there is a change to undo
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @return {boolean} Whether there is a change to redo
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forget all changes
+     *
+     * @emits WaveSurfer#history-change
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.fireChange();
+    }
+
+    /**
+     * Move the latest command from one stack to the other and run it
+     *
+     * @private
+     * @param {HistoryCommand[]} from The stack to take the command from
+     * @param {HistoryCommand[]} to The stack to put the command on
+     * @param {string} method `undo` or `redo`
+     * @return {boolean} False if the stack was empty
+     */
+    apply(from, to, method) {
+        const command = from.pop();
+        if (!command) {
+            return false;
+        }
+        this.applying = true;
+        try {
+            command[method]();
+        } finally {
+            this.applying = false;
+        }
+        to.push(command);
+        this.fireChange();
+        return true;
+    }
+
+    /**
+     * @private
+     * @emits WaveSurfer#history-change
+     */
+    fireChange() {
+        /**
+         * Fired when a change was recorded, undone or redone
+         *
+         * @event WaveSurfer#history-change
+         * @param {boolean} canUndo Whether there is a change to undo
+         * @param {boolean} canRedo Whether there is a change to redo
+         */
+        this.wavesurfer.fireEvent(
+            'history-change',
+            this.canUndo(),
+            this.canRedo()
+        );
+    }
+
+    /**
+     * Get a region by id
+     *
+     * @private
+     * @param {string} id The id of the region
+     * @return {Region} The region
+     * @throws Will throw an error if the region was removed by other means
+     */
+    getRegion(id) {
+        const region = this.wavesurfer.regions.list[id];
+        if (!region) {
+            throw new Error(`Region ${id} does not exist anymore`);
+        }
+        return region;
+    }
+
+    /**
+     * Restore the parameters of a region
+     *
+     * @private
+     * @param {string} id The id of the region
+     * @param {RegionParams} params The parameters
+     */
+    updateRegion(id, params) {
+        this.getRegion(id).update(params);
+        this.regionParams[id] = params;
+    }
+
+    /**
+     * @private
+     * @param {Object} marker A marker
+     * @return {MarkerParams} The parameters to create a copy of the marker
+     */
+    getMarkerParams(marker) {
+        return {
+            time: marker.time,
+            label: marker.label,
+            color: marker.color,
+            position: marker.position
+        };
+    }
+
+    /**
+     * @private
+     * @param {Object} marker A marker
+     * @return {number} The id of the marker
+     */
+    getMarkerId(marker) {
+        if (!this.markerIds.has(marker)) {
+            this.markerIds.set(marker, this.nextMarkerId++);
+        }
+        return this.markerIds.get(marker);
+    }
+
+    /**
+     * Add a marker again
+     *
+     * @private
+     * @param {number} id The id of the marker
+     * @param {MarkerParams} params The parameters of the marker
+     */
+    addMarker(id, params) {
+        this.markerIds.set(this.wavesurfer.markers.add(params), id);
+    }
+
+    /**
+     * Remove a marker
+     *
+     * @private
+     * @param {number} id The id of the marker
+     * @throws Will throw an error if the marker was removed by other means
+     */
+    removeMarker(id) {
+        const index = this.wavesurfer.markers.markers.findIndex(
+            marker => this.markerIds.get(marker) === id
+        );
+        if (index < 0) {
+            throw new Error('Marker does not exist anymore');
+        }
+        this.wavesurfer.markers.remove(index);
+    }
+}
@@ -143,6 +143,7 @@ export default class MarkersPlugin {
         this.wrapper.appendChild(marker.el);
         this.markers.push(marker);
         this._updateMarkerPositions();
+        this.wavesurfer.fireEvent('marker-added', marker);
 
         return marker;
     }
@@ -160,6 +161,7 @@ export default class MarkersPlugin {
 
         this.wrapper.removeChild(marker.el);
         this.markers.splice(index, 1);
+        this.wavesurfer.fireEvent('marker-removed', marker, index);
     }
 
     _createPointerSVG(color, position) {
@@ -246,16 +248,15 @@ export default class MarkersPlugin {
     }
 
     _updateMarkerPositions() {
+        const drawer = this.wavesurfer.drawer;
         const duration = this.wavesurfer.getDuration();
+        const elementWidth = drawer.timeToPx(duration);
 
         for ( let i = 0 ; i < this.markers.length; i++ ) {
             let marker = this.markers[i];
-            const elementWidth =
-                this.wavesurfer.drawer.width /
-                this.wavesurfer.params.pixelRatio;
-
-            const positionPct = Math.min(marker.time / duration, 1);
-            const leftPx = ((elementWidth * positionPct) - (this.markerWidth / 2));
+            const leftPx =
+                drawer.timeToPx(Math.min(marker.time, duration)) -
+                this.markerWidth / 2;
             this.style(marker.el, {
                 "left":  leftPx + "px",
                 "max-width": (elementWidth - leftPx) + "px"
@@ -271,4 +272,87 @@ export default class MarkersPlugin {
             this.remove(0);
         }
     }
+
+    /**
+     * Get the parameters of all markers for `wavesurfer.getState()`
+     *
+     * @return {MarkerParams[]} The markers
+     * @since 4.7.0
+     */
+    getState() {
+        return this.markers.map(marker => ({
+            time: marker.time,
+            label: marker.label,
+            color: marker.color,
+            position: marker.position
+        }));
+    }
+
+    /**
+     * Replace all markers with the ones returned by `getState()`
+     *
+     * @param {MarkerParams[]} markers The markers
+     * @since 4.7.0
+     */
+    setState(markers) {
+        this.clear();
+        markers.forEach(params => this.add(params));
+    }
+
+    /**
+     * Get the markers for `wavesurfer.exportCompositeImage()`
+     *
+     * @param {ExportView} view The exported view
+     * @return {ExportLayer} The line, the pointer and the label of each
+     * marker
+     * @since 4.7.0
+     */
+    getExportLayer(view) {
+        const pixelRatio = view.pixelRatio;
+        const width = this.markerWidth * pixelRatio;
+        const height = this.markerHeight * pixelRatio;
+        const shapes = [];
+        this.markers.forEach(marker => {
+            const x = view.timeToX(Math.min(marker.time, view.duration));
+            if (x < -width / 2 || x > view.width) {
+                return;
+            }
+            const top = marker.position == 'top';
+            const y = top ? 0 : view.height - height;
+            shapes.push({
+                type: 'rect',
+                x: x - pixelRatio / 2,
+                y: 0,
+                width: pixelRatio,
+                height: view.height,
+                color: 'black',
+                opacity: 0.1
+            });
+            // the points of the pointer of _createPointerSVG, in its 40 by 80
+            // viewBox
+            shapes.push({
+                type: 'polygon',
+                points: [[20, 0], [40, 30], [40, 80], [0, 80], [0, 30]].map(
+                    ([px, py]) => [
+                        x - width / 2 + (px / 40) * width,
+                        y + ((top ? 80 - py : py) / 80) * height
+                    ]
+                ),
+                color: marker.color,
+                stroke: '#979797'
+            });
+            if (marker.label) {
+                const fontSize = 12 * pixelRatio;
+                shapes.push({
+                    type: 'text',
+                    x: x + width / 2 + 5 * pixelRatio,
+                    y: y + (height + fontSize) / 2,
+                    text: marker.label,
+                    font: `${fontSize}px monospace`,
+                    color: 'black'
+                });
+            }
+        });
+        return { shapes: shapes };
+    }
 }
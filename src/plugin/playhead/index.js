@@ -213,14 +213,9 @@ export default class PlayheadPlugin {
             return;
         }
 
-        const duration = this.wavesurfer.getDuration();
-        const elementWidth =
-            this.wavesurfer.drawer.width /
-            this.wavesurfer.params.pixelRatio;
-
-        const positionPct = this.playheadTime / duration;
+        const left = this.wavesurfer.drawer.timeToPx(this.playheadTime);
         this.style(this.element, {
-            left: ((elementWidth * positionPct) - (this.markerWidth / 2)) + 'px'
+            left: (left - (this.markerWidth / 2)) + 'px'
         });
     }
 }
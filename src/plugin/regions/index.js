@@ -221,6 +221,54 @@ export default class RegionsPlugin {
         });
     }
 
+    /**
+     * Get the parameters of all regions for `wavesurfer.getState()`
+     *
+     * @return {RegionParams[]} The regions
+     * @since 4.7.0
+     */
+    getState() {
+        return Object.keys(this.list).map(id => this.list[id].getParams());
+    }
+
+    /**
+     * Replace all regions with the ones returned by `getState()`
+     *
+     * @param {RegionParams[]} regions The regions
+     * @since 4.7.0
+     */
+    setState(regions) {
+        this.clear();
+        regions.forEach(params => this.add(params));
+    }
+
+    /**
+     * Get the regions for `wavesurfer.exportCompositeImage()`
+     *
+     * @param {ExportView} view The exported view
+     * @return {ExportLayer} A rectangle over the waveform for each region
+     * @since 4.7.0
+     */
+    getExportLayer(view) {
+        const shapes = Object.keys(this.list).map(id => {
+            const region = this.list[id];
+            const x = view.timeToX(Math.max(region.start, 0));
+            return {
+                type: 'rect',
+                x: x,
+                y: 0,
+                width: view.timeToX(Math.min(region.end, view.duration)) - x,
+                height: view.height,
+                color: region.color
+            };
+        });
+        return {
+            shapes: shapes.filter(
+                shape => shape.x < view.width && shape.x + shape.width > 0
+            )
+        };
+    }
+
     enableDragSelection(params) {
         this.disableDragSelection();
 
@@ -309,6 +357,7 @@ export default class RegionsPlugin {
                 this.util.preventClick();
                 region.fireEvent('update-end', e);
                 this.wavesurfer.fireEvent('region-update-end', region, e);
+                region.isDrawing = false;
             }
 
             region = null;
@@ -348,6 +397,7 @@ export default class RegionsPlugin {
                 if (!region) {
                     return;
                 }
+                region.isDrawing = true;
             }
 
             const end = this.wavesurfer.drawer.handleEvent(event);
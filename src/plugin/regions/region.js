@@ -22,8 +22,7 @@ export class Region {
         this.end =
             params.end == null
                 ? // small marker-like region
-                this.start +
-                (4 / this.wrapper.scrollWidth) * this.wavesurfer.getDuration()
+                this.start + ws.drawer.pxToTime(4)
                 : Number(params.end);
         this.resize =
             params.resize === undefined ? true : Boolean(params.resize);
@@ -31,6 +30,8 @@ export class Region {
         // reflect resize and drag state of region for region-updated listener
         this.isResizing = false;
         this.isDragging = false;
+        // set while the region is drawn with the mouse by drag selection
+        this.isDrawing = false;
         this.loop = Boolean(params.loop);
         this.color = params.color || 'rgba(0, 0, 0, 0.1)';
         // The left and right handleStyle properties can be set to 'none' for
@@ -128,6 +129,29 @@ export class Region {
         this.wavesurfer.fireEvent('region-updated', this);
     }
 
+    /**
+     * Get the parameters to create a copy of the region with
+     *
+     * @return {RegionParams} The parameters
+     * @since 4.7.0
+     */
+    getParams() {
+        return {
+            id: this.id,
+            start: this.start,
+            end: this.end,
+            loop: this.loop,
+            drag: this.drag,
+            resize: this.resize,
+            color: this.color,
+            minLength: this.minLength,
+            maxLength: this.maxLength,
+            showTooltip: this.showTooltip,
+            data: {...this.data},
+            attributes: {...this.attributes}
+        };
+    }
+
     /* Remove a single region. */
     remove() {
         if (this.element) {
@@ -265,14 +289,13 @@ export class Region {
     }
 
     getWidth() {
-        return this.wavesurfer.drawer.width / this.wavesurfer.params.pixelRatio;
+        return this.wavesurfer.drawer.getCssWidth();
     }
 
     /* Update element's position, width, color. */
     updateRender() {
         // duration varies during loading process, so don't overwrite important data
         const dur = this.wavesurfer.getDuration();
-        const width = this.getWidth();
 
         let startLimited = this.start;
         let endLimited = this.end;
@@ -296,8 +319,9 @@ export class Region {
         if (this.element != null) {
             // Calculate the left and width values of the region such that
             // no gaps appear between regions.
-            const left = Math.round((startLimited / dur) * width);
-            const regionWidth = Math.round((endLimited / dur) * width) - left;
+            const drawer = this.wavesurfer.drawer;
+            const left = Math.round(drawer.timeToPx(startLimited));
+            const regionWidth = Math.round(drawer.timeToPx(endLimited)) - left;
 
             this.style(this.element, {
                 left: left + 'px',
@@ -441,10 +465,10 @@ export class Region {
             if (drag) {
                 // Considering the point of contact with the region while edgescrolling
                 if (scrollDirection === -1) {
-                    regionHalfTimeWidth = regionLeftHalfTime * this.wavesurfer.params.minPxPerSec;
+                    regionHalfTimeWidth = this.wavesurfer.drawer.timeToPx(regionLeftHalfTime);
                     distanceBetweenCursorAndWrapperEdge = x - wrapperRect.left;
                 } else {
-                    regionHalfTimeWidth = regionRightHalfTime * this.wavesurfer.params.minPxPerSec;
+                    regionHalfTimeWidth = this.wavesurfer.drawer.timeToPx(regionRightHalfTime);
                     distanceBetweenCursorAndWrapperEdge = wrapperRect.right - x;
                 }
             } else {
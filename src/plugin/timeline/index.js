@@ -110,8 +110,14 @@ export default class TimelinePlugin {
      */
     _onWrapperClick = e => {
         e.preventDefault();
-        const relX = 'offsetX' in e ? e.offsetX : e.layerX;
-        this.fireEvent('click', relX / this.wrapper.scrollWidth || 0);
+        // the timeline is as wide as the waveform and scrolls with it
+        const bbox = this.wrapper.getBoundingClientRect();
+        const x = e.clientX - bbox.left + this.wrapper.scrollLeft;
+        const duration = this.wavesurfer.getDuration();
+        this.fireEvent(
+            'click',
+            duration ? this.drawer.pxToTime(x) / duration : 0
+        );
     };
 
     /**
@@ -339,18 +345,39 @@ export default class TimelinePlugin {
             return;
         }
         const wsParams = this.wavesurfer.params;
-        const fontSize = this.params.fontSize * wsParams.pixelRatio;
-        const totalSeconds = parseInt(duration, 10) + 1;
         const width =
             wsParams.fillParent && !wsParams.scrollParent
                 ? this.drawer.getWidth()
                 : this.drawer.wrapper.scrollWidth * wsParams.pixelRatio;
-        const height1 = this.params.height * this.pixelRatio;
+        this.renderNotches(
+            this,
+            duration,
+            width / duration,
+            this.pixelRatio,
+            0
+        );
+    }
+
+    /**
+     * Render the timeline labels and notches with the drawing methods of a
+     * painter
+     *
+     * @param {Object} painter An object with the `setFillStyles`, `setFonts`,
+     * `fillRect` and `fillText` methods of this plugin
+     * @param {number} duration The length of the timeline in seconds
+     * @param {number} pixelsPerSecond The scale of the timeline
+     * @param {number} pixelRatio The scale of the sizes
+     * @param {number} left The x-position of the beginning of the timeline
+     * @since 4.7.0
+     */
+    renderNotches(painter, duration, pixelsPerSecond, pixelRatio, left) {
+        const fontSize = this.params.fontSize * pixelRatio;
+        const totalSeconds = parseInt(duration, 10) + 1;
+        const height1 = this.params.height * pixelRatio;
         const height2 =
             this.params.height *
             (this.params.notchPercentHeight / 100) *
-            this.pixelRatio;
-        const pixelsPerSecond = width / duration;
+            pixelRatio;
 
         const formatTime = this.params.formatTimeCallback;
         // if parameter is function, call the function with
@@ -365,7 +392,7 @@ export default class TimelinePlugin {
             this.params.secondaryLabelInterval
         );
 
-        let curPixel = pixelsPerSecond * this.params.offset;
+        let curPixel = left + pixelsPerSecond * this.params.offset;
         let curSeconds = 0;
         let i;
         // build an array of position data with index, second and pixel data,
@@ -385,47 +412,96 @@ export default class TimelinePlugin {
         };
 
         // render primary labels
-        this.setFillStyles(this.params.primaryColor);
-        this.setFonts(`${fontSize}px ${this.params.fontFamily}`);
-        this.setFillStyles(this.params.primaryFontColor);
+        painter.setFillStyles(this.params.primaryColor);
+        painter.setFonts(`${fontSize}px ${this.params.fontFamily}`);
+        painter.setFillStyles(this.params.primaryFontColor);
         renderPositions((i, curSeconds, curPixel) => {
             if (i % primaryLabelInterval === 0) {
-                this.fillRect(curPixel, 0, 1, height1);
-                this.fillText(
+                painter.fillRect(curPixel, 0, 1, height1);
+                painter.fillText(
                     formatTime(curSeconds, pixelsPerSecond),
-                    curPixel + this.params.labelPadding * this.pixelRatio,
+                    curPixel + this.params.labelPadding * pixelRatio,
                     height1
                 );
             }
         });
 
         // render secondary labels
-        this.setFillStyles(this.params.secondaryColor);
-        this.setFonts(`${fontSize}px ${this.params.fontFamily}`);
-        this.setFillStyles(this.params.secondaryFontColor);
+        painter.setFillStyles(this.params.secondaryColor);
+        painter.setFonts(`${fontSize}px ${this.params.fontFamily}`);
+        painter.setFillStyles(this.params.secondaryFontColor);
         renderPositions((i, curSeconds, curPixel) => {
             if (i % secondaryLabelInterval === 0) {
-                this.fillRect(curPixel, 0, 1, height1);
-                this.fillText(
+                painter.fillRect(curPixel, 0, 1, height1);
+                painter.fillText(
                     formatTime(curSeconds, pixelsPerSecond),
-                    curPixel + this.params.labelPadding * this.pixelRatio,
+                    curPixel + this.params.labelPadding * pixelRatio,
                     height1
                 );
             }
         });
 
         // render the actual notches (when no labels are used)
-        this.setFillStyles(this.params.unlabeledNotchColor);
+        painter.setFillStyles(this.params.unlabeledNotchColor);
         renderPositions((i, curSeconds, curPixel) => {
             if (
                 i % secondaryLabelInterval !== 0 &&
                 i % primaryLabelInterval !== 0
             ) {
-                this.fillRect(curPixel, 0, 1, height2);
+                painter.fillRect(curPixel, 0, 1, height2);
             }
         });
     }
 
+    /**
+     * Get the timeline for `wavesurfer.exportCompositeImage()`
+     *
+     * @param {ExportView} view The exported view
+     * @return {ExportLayer} The notches and labels in a band below the
+     * waveform
+     * @since 4.7.0
+     */
+    getExportLayer(view) {
+        const duration = this.params.duration || view.duration;
+        const pixelsPerSecond = view.width / (view.end - view.start);
+        const shapes = [];
+        let color;
+        let font;
+        // records the drawing calls of renderNotches as shapes, the ones
+        // that are out of view are left out
+        const painter = {
+            setFillStyles: fillStyle => {
+                color = fillStyle;
+            },
+            setFonts: fontStyle => {
+                font = fontStyle;
+            },
+            fillRect: (x, y, width, height) => {
+                if (x + width >= 0 && x <= view.width) {
+                    shapes.push({ type: 'rect', x, y, width, height, color });
+                }
+            },
+            fillText: (text, x, y) => {
+                // a rough guess of the width of the label
+                const textWidth = String(text).length * parseFloat(font);
+                if (x + textWidth >= 0 && x <= view.width) {
+                    shapes.push({ type: 'text', x, y, text, font, color });
+                }
+            }
+        };
+        this.renderNotches(
+            painter,
+            duration,
+            pixelsPerSecond,
+            view.pixelRatio,
+            -view.start * pixelsPerSecond
+        );
+        return {
+            height: this.params.height * view.pixelRatio,
+            shapes: shapes
+        };
+    }
+
     /**
      * Set the canvas fill style
      *
@@ -0,0 +1,115 @@
+/**
+ * Smooths the position of a clock that only reports its time every few
+ * hundred milliseconds
+ *
+ * Between two reports the position is extrapolated from the last reported
+ * time and the playback rate. The difference to the reported time (the drift)
+ * is eased out over `easeTime` instead of jumping, and the position never
+ * moves backwards while playing. Jumps larger than `snapDistance`, e.g. a seek
+ * of the source, are applied immediately.
+ *
+ * @since 4.7.0
+ */
+export default class TimeInterpolator {
+    /**
+     * @param {number} snapDistance=1 Drift in seconds above which the position
+     * jumps to the reported time
+     * @param {number} easeTime=0.25 Time constant in seconds of the drift
+     * correction
+     */
+    constructor(snapDistance = 1, easeTime = 0.25) {
+        /** @private */
+        this.snapDistance = snapDistance;
+        /** @private */
+        this.easeTime = easeTime;
+        this.reset();
+    }
+
+    /**
+     * Forget the reported times, the next update jumps to the reported time
+     */
+    reset() {
+        /**
+         * The last reported time, to detect new reports
+         *
+         * @private
+         */
+        this.reported = null;
+        /**
+         * The time the position is extrapolated from and when it was set, in
+         * milliseconds
+         *
+         * @private
+         */
+        this.base = null;
+        /** @private */
+        this.baseAt = 0;
+        /**
+         * The smoothed position and when it was updated, in milliseconds
+         *
+         * @private
+         */
+        this.position = null;
+        /** @private */
+        this.updatedAt = 0;
+        /** @private */
+        this.rate = 1;
+    }
+
+    /**
+     * Jump to a position, e.g. when the user seeks. Reports of the time before
+     * the seek are ignored until the source reports a new time.
+     *
+     * @param {number} position The new position in seconds
+     * @param {number} reported The time the source reports right after the
+     * seek
+     * @param {number} now The current time in milliseconds
+     */
+    seek(position, reported, now) {
+        this.reported = reported;
+        this.base = position;
+        this.baseAt = now;
+        this.position = position;
+        this.updatedAt = now;
+    }
+
+    /**
+     * Get the smoothed position for the current frame
+     *
+     * @param {number} reported The time the source reports in seconds
+     * @param {boolean} playing Whether the source is playing
+     * @param {number} rate The playback rate
+     * @param {number} now The current time in milliseconds
+     * @return {number} The position in seconds
+     */
+    update(reported, playing, rate, now) {
+        // a paused source reports its exact position
+        if (!playing || this.position === null) {
+            this.seek(reported, reported, now);
+            return reported;
+        }
+        if (reported !== this.reported) {
+            this.reported = reported;
+            this.base = reported;
+            this.baseAt = now;
+        } else if (rate !== this.rate) {
+            // extrapolate with the new rate from the last frame on
+            this.base += ((this.updatedAt - this.baseAt) / 1000) * this.rate;
+            this.baseAt = this.updatedAt;
+        }
+        this.rate = rate;
+
+        const elapsed = (now - this.updatedAt) / 1000;
+        const predicted = this.base + ((now - this.baseAt) / 1000) * rate;
+        const advanced = this.position + elapsed * rate;
+        const drift = predicted - advanced;
+        if (Math.abs(drift) > this.snapDistance) {
+            this.position = predicted;
+        } else {
+            const correction = drift * (1 - Math.exp(-elapsed / this.easeTime));
+            this.position = Math.max(this.position, advanced + correction);
+        }
+        this.updatedAt = now;
+        return this.position;
+    }
+}
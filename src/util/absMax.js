@@ -5,12 +5,14 @@ import utilmin from './min';
  * Get the largest absolute value in an array
  *
  * @param   {Array} values Array of numbers
+ * @param   {number} offset=0 The value to measure the distance from, e.g. 128
+ * for unsigned 8 bit values
  * @returns {Number} Largest number found
  * @example console.log(max([-3, 2, 1]), max([-3, 2, 4])); // logs 3 4
  * @since 4.3.0
  */
-export default function absMax(values) {
-    const max = utilMax(values);
-    const min = utilmin(values);
+export default function absMax(values, offset = 0) {
+    const max = utilMax(values) - offset;
+    const min = utilmin(values) - offset;
     return -min > max ? -min : max;
 }
@@ -0,0 +1,84 @@
+/**
+ * Get every `stride`th group of `size` values. Contiguous values of typed
+ * arrays are returned as a `subarray` view without copying them, the others
+ * are copied into an array of the same type, so the drawer reads them
+ * without indirection.
+ *
+ * @private
+ * @param {number[]} values The values
+ * @param {number} start Index of the first value of the channel
+ * @param {number} length Number of values of the channel
+ * @param {number} stride Distance between the groups of values
+ * @param {number} size Number of values in each group
+ * @param {boolean} swap Whether to reverse the order of the values of each
+ * group
+ * @return {number[]} The values of the channel
+ */
+function createView(values, start, length, stride, size, swap) {
+    if (stride == size && !swap) {
+        if (start == 0 && length == values.length) {
+            return values;
+        }
+        return ArrayBuffer.isView(values)
+            ? values.subarray(start, start + length)
+            : values.slice(start, start + length);
+    }
+
+    const channel = ArrayBuffer.isView(values)
+        ? new values.constructor(length)
+        : new Array(length);
+    let i, k;
+    for (i = 0; i < length; i += size) {
+        const first = start + (i / size) * stride;
+        for (k = 0; k < size; k++) {
+            channel[i + k] = values[first + (swap ? size - 1 - k : k)];
+        }
+    }
+    return channel;
+}
+
+/**
+ * Split peaks stored in a single array into one array per channel, in the
+ * layout the drawer expects: max/min pairs (or single peaks) of one channel
+ * after another. Typed arrays with the channels one after another and the
+ * max value first are split with `subarray` without copying them. Interleaved
+ * or `minFirst` peaks are copied into arrays of the same type, so this is
+ * called once when the peaks are loaded and once for each appended chunk.
+ *
+ * @param {number[]} peaks The peaks of all channels
+ * @param {PeakLayout} layout How the peaks are stored
+ * @return {number[]|Number.<Array[]>} The peaks, an array of views if there
+ * is more than one channel
+ * @throws Will throw an error if the peaks don't match the layout
+ * @example
+ * // stereo peaks as [lmin, lmax, rmin, rmax, lmin, lmax, …]
+ * const [left, right] = createChannelViews(int16Peaks, {
+ *     channels: 2,
+ *     minFirst: true
+ * });
+ * @since 4.7.0
+ */
+export default function createChannelViews(peaks, layout) {
+    const channels = layout.channels === undefined ? 1 : layout.channels;
+    if (!(Number.isInteger(channels) && channels > 0)) {
+        throw new Error(
+            `Invalid layout channels value ${channels}, must be a positive integer`
+        );
+    }
+    const size = layout.pairs === false ? 1 : 2;
+    const interleaved = layout.interleaved !== false;
+    const swap = size == 2 && !!layout.minFirst;
+    const length = peaks.length / channels;
+    if (!Number.isInteger(length / size)) {
+        throw new Error(
+            `peaks length ${peaks.length} does not match the layout of ${channels} channel(s)`
+        );
+    }
+
+    const views = Array.from({ length: channels }, (v, c) =>
+        interleaved
+            ? createView(peaks, c * size, length, channels * size, size, swap)
+            : createView(peaks, c * length, length, size, size, swap)
+    );
+    return channels == 1 ? views[0] : views;
+}
@@ -0,0 +1,16 @@
+/**
+ * Format a time as `m:ss`, or `h:mm:ss` from one hour on
+ *
+ * @param {number} seconds The time in seconds, fractions are dropped
+ * @return {string} The formatted time
+ * @example formatTime(65); // '1:05'
+ */
+export default function formatTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds) || 0);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = ('0' + (total % 60)).slice(-2);
+    return hours > 0
+        ? `${hours}:${('0' + minutes).slice(-2)}:${secs}`
+        : `${minutes}:${secs}`;
+}
@@ -0,0 +1,39 @@
+/**
+ * Full scale value and zero offset of the values of each typed array type
+ *
+ * @private
+ */
+const TYPED_ARRAY_SCALES = [
+    [Int8Array, 128, 0],
+    [Uint8Array, 128, 128],
+    [Uint8ClampedArray, 128, 128],
+    [Int16Array, 32768, 0],
+    [Uint16Array, 32768, 32768],
+    [Int32Array, 2147483648, 0],
+    [Uint32Array, 2147483648, 2147483648],
+    [Float32Array, 1, 0],
+    [Float64Array, 1, 0]
+];
+
+/**
+ * Get the full scale value and the zero offset of peaks stored in a typed
+ * array, e.g. `Uint8Array` values are centered at 128
+ *
+ * @param {number[]|Number.<Array[]>} peaks The peaks, can also be an array
+ * of arrays for split channel rendering
+ * @returns {?Object} The `max` value and the value of the zero line `offset`,
+ * or null if the peaks are not stored in a typed array
+ * @example
+ * console.log(getPeakScale(new Uint8Array(10))); // logs { max: 128, offset: 128 }
+ * @since 4.7.0
+ */
+export default function getPeakScale(peaks) {
+    const channelPeaks =
+        peaks && (peaks[0] instanceof Array || ArrayBuffer.isView(peaks[0]))
+            ? peaks[0]
+            : peaks;
+    const scale = TYPED_ARRAY_SCALES.find(
+        ([type]) => channelPeaks instanceof type
+    );
+    return scale ? { max: scale[1], offset: scale[2] } : null;
+}
@@ -10,3 +10,7 @@ export { default as debounce } from 'debounce';
 export { default as preventClick } from './prevent-click';
 export { default as clamp } from './clamp';
 export { default as withOrientation } from './orientation';
+export { default as getPeakScale } from './get-peak-scale';
+export { default as createChannelViews } from './channel-views';
+export { default as now } from './now';
+export { default as formatTime } from './format-time';
@@ -0,0 +1,11 @@
+/**
+ * Returns the current time in milliseconds, from `performance.now()` if the
+ * browser supports it
+ *
+ * @return {number} The time in milliseconds
+ */
+export default function now() {
+    return typeof performance !== 'undefined' && performance.now
+        ? performance.now()
+        : Date.now();
+}
@@ -1,15 +1,20 @@
 /* eslint-disable valid-jsdoc */
+const timeoutFrame = (callback, element) => setTimeout(callback, 1000 / 60);
+
 /**
  * Returns the `requestAnimationFrame` function for the browser, or a shim with
- * `setTimeout` if the function is not found
+ * `setTimeout` if the function is not found, e.g. without a `window` on a
+ * server
  *
  * @return {function} Available `requestAnimationFrame` function for the browser
  */
-export default (
-    window.requestAnimationFrame ||
-    window.webkitRequestAnimationFrame ||
-    window.mozRequestAnimationFrame ||
-    window.oRequestAnimationFrame ||
-    window.msRequestAnimationFrame ||
-    ((callback, element) => setTimeout(callback, 1000 / 60))
-).bind(window);
+export default typeof window === 'undefined'
+    ? timeoutFrame
+    : (
+        window.requestAnimationFrame ||
+        window.webkitRequestAnimationFrame ||
+        window.mozRequestAnimationFrame ||
+        window.oRequestAnimationFrame ||
+        window.msRequestAnimationFrame ||
+        timeoutFrame
+    ).bind(window);
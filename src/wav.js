@@ -0,0 +1,213 @@
+/**
+ * Reader for the PCM samples of WAV (RIFF WAVE) files
+ *
+ * @since 4.7.0
+ */
+
+/**
+ * @typedef {Object} WavData
+ * @desc Samples and format read from a WAV file
+ * @property {Array} channels The samples of each channel. 8 bit samples are
+ * read into `Uint8Array`, 16 bit samples into `Int16Array`, 24 and 32 bit
+ * samples into `Int32Array` (24 bit samples are shifted to use the full range)
+ * and float samples into `Float32Array` or `Float64Array`
+ * @property {number} sampleRate Sample rate in samples per second
+ * @property {number} bitsPerSample Resolution of the samples
+ * @property {boolean} float Whether the samples are floating point values
+ * @property {number} length Number of samples in each channel
+ * @property {number} duration Duration of the audio in seconds
+ */
+
+/**
+ * WAVE format codes
+ *
+ * @private
+ */
+const FORMAT_PCM = 1;
+const FORMAT_FLOAT = 3;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Names of the compressed formats, for the error messages
+ *
+ * @private
+ */
+const FORMAT_NAMES = {
+    2: 'Microsoft ADPCM',
+    6: 'A-law',
+    7: 'mu-law',
+    17: 'IMA ADPCM',
+    49: 'GSM 6.10',
+    80: 'MPEG',
+    85: 'MP3'
+};
+
+/**
+ * Read a four character code
+ *
+ * @private
+ * @param {DataView} view The data
+ * @param {number} offset Position of the code
+ * @return {string} The code
+ */
+function readId(view, offset) {
+    return String.fromCharCode(
+        view.getUint8(offset),
+        view.getUint8(offset + 1),
+        view.getUint8(offset + 2),
+        view.getUint8(offset + 3)
+    );
+}
+
+/**
+ * Create the sample reader and the typed array type for a sample format
+ *
+ * @private
+ * @param {DataView} view The data
+ * @param {number} format The format code
+ * @param {number} bits The resolution of the samples
+ * @return {Object} The `read` function for a byte offset and the `Type` of
+ * the typed arrays
+ */
+function createSampleReader(view, format, bits) {
+    if (format == FORMAT_FLOAT) {
+        if (bits == 32) {
+            return { Type: Float32Array, read: pos => view.getFloat32(pos, true) };
+        }
+        if (bits == 64) {
+            return { Type: Float64Array, read: pos => view.getFloat64(pos, true) };
+        }
+    } else {
+        switch (bits) {
+            case 8:
+                return { Type: Uint8Array, read: pos => view.getUint8(pos) };
+            case 16:
+                return { Type: Int16Array, read: pos => view.getInt16(pos, true) };
+            case 24:
+                return {
+                    Type: Int32Array,
+                    read: pos =>
+                        (view.getUint8(pos) << 8) |
+                        (view.getUint8(pos + 1) << 16) |
+                        (view.getUint8(pos + 2) << 24)
+                };
+            case 32:
+                return { Type: Int32Array, read: pos => view.getInt32(pos, true) };
+        }
+    }
+    throw new Error(
+        `Unsupported WAV sample format: ${bits} bit ${
+            format == FORMAT_FLOAT ? 'float' : 'integer'
+        }`
+    );
+}
+
+/**
+ * Read the format and the samples of a WAV file. The chunks may come in any
+ * order, chunks other than `fmt ` and `data` (e.g. `LIST` metadata) are
+ * skipped.
+ *
+ * @param {ArrayBuffer} buffer The contents of the WAV file
+ * @return {WavData} The samples and format
+ * @throws Will throw an error if the data is not a WAV file or its samples
+ * are compressed
+ * @example
+ * const wav = parseWav(arrayBuffer);
+ * wavesurfer.loadPCM(wav.channels, wav.sampleRate);
+ */
+export function parseWav(buffer) {
+    if (!(buffer instanceof ArrayBuffer)) {
+        throw new Error('WAV data must be an ArrayBuffer');
+    }
+    const view = new DataView(buffer);
+    if (
+        buffer.byteLength < 12 ||
+        readId(view, 0) != 'RIFF' ||
+        readId(view, 8) != 'WAVE'
+    ) {
+        throw new Error('Not a WAV file, the RIFF WAVE header is missing');
+    }
+
+    let fmt = null;
+    let data = null;
+    let pos = 12;
+    while (pos + 8 <= buffer.byteLength) {
+        const id = readId(view, pos);
+        const size = view.getUint32(pos + 4, true);
+        const start = pos + 8;
+        if (id == 'fmt ') {
+            if (size < 16 || start + 16 > buffer.byteLength) {
+                throw new Error('WAV fmt chunk is too short');
+            }
+            fmt = {
+                format: view.getUint16(start, true),
+                channels: view.getUint16(start + 2, true),
+                sampleRate: view.getUint32(start + 4, true),
+                blockAlign: view.getUint16(start + 12, true),
+                bitsPerSample: view.getUint16(start + 14, true)
+            };
+            // the actual format is the start of the sub format GUID
+            if (fmt.format == FORMAT_EXTENSIBLE && size >= 26) {
+                fmt.format = view.getUint16(start + 24, true);
+            }
+        } else if (id == 'data') {
+            // the size of streamed files may not be known when writing the
+            // header
+            data = {
+                start: start,
+                size: Math.min(size, buffer.byteLength - start)
+            };
+        }
+        // chunks are padded to an even size
+        pos = start + size + (size % 2);
+    }
+
+    if (!fmt) {
+        throw new Error('WAV file has no fmt chunk');
+    }
+    if (!data) {
+        throw new Error('WAV file has no data chunk');
+    }
+    if (fmt.format != FORMAT_PCM && fmt.format != FORMAT_FLOAT) {
+        const name = FORMAT_NAMES[fmt.format] || `format ${fmt.format}`;
+        throw new Error(
+            `Unsupported WAV codec ${name}, only PCM and float samples are supported`
+        );
+    }
+    if (fmt.channels < 1 || fmt.sampleRate < 1) {
+        throw new Error('WAV fmt chunk has no channels or sample rate');
+    }
+
+    const { Type, read } = createSampleReader(
+        view,
+        fmt.format,
+        fmt.bitsPerSample
+    );
+    const bytes = fmt.bitsPerSample / 8;
+    const blockAlign = fmt.blockAlign || bytes * fmt.channels;
+    if (blockAlign < bytes * fmt.channels) {
+        throw new Error(`Invalid WAV block align ${blockAlign}`);
+    }
+    const length = Math.floor(data.size / blockAlign);
+
+    const channels = [];
+    let c, i;
+    for (c = 0; c < fmt.channels; c++) {
+        const samples = new Type(length);
+        let offset = data.start + c * bytes;
+        for (i = 0; i < length; i++) {
+            samples[i] = read(offset);
+            offset += blockAlign;
+        }
+        channels.push(samples);
+    }
+
+    return {
+        channels: channels,
+        sampleRate: fmt.sampleRate,
+        bitsPerSample: fmt.bitsPerSample,
+        float: fmt.format == FORMAT_FLOAT,
+        length: length,
+        duration: length / fmt.sampleRate
+    };
+}
@@ -1,6 +1,22 @@
 import * as util from './util';
 import MultiCanvas from './drawer.multicanvas';
+import { drawPeaksToContext, renderToContext } from './drawer.core';
+import {
+    compositeToCanvas,
+    compositeToSVG,
+    createSVGShapes
+} from './compositeimage';
 import PeakCache from './peakcache';
+import PeakPyramid from './peakpyramid';
+import PeakLoader from './peakloader';
+import Clock from './clock';
+import MediaElementClock from './clock.mediaelement';
+import VirtualClock from './clock.virtual';
+import TimeInterpolator from './timeinterpolator';
+import { parseDat, parseJSON } from './audiowaveform';
+import { computePeaksAsync } from './pcmpeaks';
+import { parseWav } from './wav';
+import { getMimeType, resamplePeaks, writePeaks } from './peakexport';
 
 /*
  * This work is licensed under a BSD-3-Clause License.
@@ -16,6 +32,8 @@ import PeakCache from './peakcache';
 
 /**
  * @typedef {Object} WavesurferParams
+ * @property {string} ariaLabel='Playback position' The `aria-label` of the
+ * slider that `keyboard` makes of the waveform
  * @property {AudioContext} audioContext=null Use your own previously
  * initialized AudioContext or leave blank.
  * @property {number} audioRate=1 Speed at which to play audio. Lower number is
@@ -40,15 +58,29 @@ import PeakCache from './peakcache';
  * eliminating waveform gaps
  * @property {!string|HTMLElement} container CSS selector or HTML element where
  * the waveform should be drawn. This is the only required parameter.
+ * @property {boolean} clockInterpolation=false Extrapolate the position of an
+ * attached clock between its time updates and ease out the drift, for sources
+ * that only report their time every few hundred milliseconds
+ * @property {number} clockLatency=0 Seconds subtracted from the time of an
+ * attached clock (see `attachClock()`), e.g. the output latency of the audio
+ * device. Negative values move the cursor ahead.
  * @property {string} cursorColor='#333' The fill color of the cursor indicating
  * the playhead position.
  * @property {number} cursorWidth=1 Measured in pixels.
+ * @property {boolean} dragZoom=false Zoom to the range of a box that is
+ * dragged with the mouse, a click still seeks. You can switch this parameter
+ * at any time later on.
+ * @property {string} dragZoomColor='rgba(0, 0, 0, 0.1)' The fill color of the
+ * box of `dragZoom`
  * @property {object} drawingContextAttributes={desynchronized: false} Drawing context
  * attributes.
  * @property {number} duration audio length in seconds so pre-rendered peaks
  * can be display immediately for example.
  * @property {boolean} fillParent=true Whether to fill the entire container or
  * draw only according to `minPxPerSec`.
+ * @property {boolean} gestureZoom=false Zoom around the time under the
+ * pointer with the wheel while the ctrl key is pressed, the pinch of a
+ * trackpad or the pinch of two fingers, within `minZoom` and `maxZoom`.
  * @property {number} height=128 The height of the waveform. Measured in
  * pixels.
  * @property {boolean} hideScrollbar=false Whether to hide the horizontal
@@ -56,6 +88,9 @@ import PeakCache from './peakcache';
  * @property {boolean} interact=true Whether the mouse interaction will be
  * enabled at initialization. You can switch this parameter at any time later
  * on.
+ * @property {boolean} keyboard=false Make the waveform focusable as an ARIA
+ * slider and seek with the keys of `keyboardKeys` while it has the focus.
+ * @property {KeyboardKeys} keyboardKeys Override the keys used with `keyboard`
  * @property {boolean} loopSelection=true (Use with regions plugin) Enable
  * looping of selected regions
  * @property {number} maxCanvasWidth=4000 Maximum width of a single canvas in
@@ -63,12 +98,19 @@ import PeakCache from './peakcache';
  * even integer). If the waveform is longer than this value, additional canvases
  * will be used to render the waveform, which is useful for very large waveforms
  * that may be too wide for browsers to draw on a single canvas.
+ * @property {number} maxZoom=1000 The maximum number of pixels per second of
+ * the `gestureZoom`, `dragZoom` and `zoomToRange()`
  * @property {number} minPxPerSec=20 Minimum number of pixels per second of
  * audio.
+ * @property {number} minZoom=1 The minimum number of pixels per second of the
+ * `gestureZoom` and `zoomToRange()`
  * @property {boolean} normalize=false If true, normalize by the maximum peak
  * instead of 1.0.
  * @property {boolean} partialRender=false Use the PeakCache to improve
  * rendering speed of large waveforms
+ * @property {boolean} peakPyramid=false Build coarser resolution levels from the
+ * loaded peaks, so zoomed out views don't loop over all of them (see
+ * `loadLevels()`)
  * @property {number} pixelRatio=window.devicePixelRatio The pixel ratio used to
  * calculate display
  * @property {PluginDefinition[]} plugins=[] An array of plugin definitions to
@@ -81,7 +123,8 @@ import PeakCache from './peakcache';
  * media element in the DOM when the player is destroyed. This is useful when
  * reusing an existing media element via the `loadMediaElement` method.
  * @property {Object} renderer=MultiCanvas Can be used to inject a custom
- * renderer.
+ * renderer. The `OffscreenCanvas` renderer draws in a Web Worker, the `SVG`
+ * renderer draws SVG shapes (see `WaveSurfer.renderers`).
  * @property {boolean|number} responsive=false If set to `true` resize the
  * waveform, when the window is resized. This is debounced with a `100ms`
  * timeout by default. If this parameter is a number it represents that timeout.
@@ -96,6 +139,14 @@ import PeakCache from './peakcache';
  * the channels of the audio
  * @property {SplitChannelOptions} splitChannelsOptions={} Options for splitChannel rendering
  * @property {boolean} vertical=false Render the waveform vertically instead of horizontally.
+ * @property {number} viewportDebounce=100 The time in milliseconds the visible
+ * range must stay the same before `viewport-change` is fired
+ * @property {number} virtualCanvasBuffer=1 The number of canvases kept on
+ * each side of the visible area with `virtualCanvases`
+ * @property {boolean} virtualCanvases=false Only create the canvases that
+ * overlap the visible area and recycle them while scrolling, instead of
+ * covering the whole zoomed waveform with canvases. Saves memory when long
+ * recordings are zoomed in.
  * @property {string} waveColor='#999' The fill color of the waveform after the
  * cursor.
  */
@@ -116,6 +167,36 @@ import PeakCache from './peakcache';
  * the dependency specified in extends. Returns the plugin class.
  */
 
+/**
+ * @typedef {Object} TimeRange
+ * @desc A range of the waveform
+ * @property {number} start The start in seconds
+ * @property {number} end The end in seconds
+ */
+
+/**
+ * @typedef {Object} ZoomView
+ * @desc A zoom level and scroll position in the zoom history
+ * @property {?number} pxPerSec The number of pixels per second, null when the
+ * waveform is not zoomed
+ * @property {number} time The time at the start of the view in seconds
+ */
+
+/**
+ * @typedef {Object} KeyboardKeys
+ * @desc The `KeyboardEvent.key` values of each keyboard action
+ * @property {string[]} skipBackward=['ArrowLeft','ArrowDown'] Skip back by
+ * `skipLength`
+ * @property {string[]} skipForward=['ArrowRight','ArrowUp'] Skip forward by
+ * `skipLength`
+ * @property {string[]} pageBackward=['PageDown'] Skip back by ten times
+ * `skipLength`
+ * @property {string[]} pageForward=['PageUp'] Skip forward by ten times
+ * `skipLength`
+ * @property {string[]} start=['Home'] Go to the beginning
+ * @property {string[]} end=['End'] Go to the end
+ */
+
 /**
  * @typedef {Object} SplitChannelOptions
  * @desc parameters applied when splitChannels option is true
@@ -138,6 +219,97 @@ import PeakCache from './peakcache';
  * @since 4.3.0
  */
 
+/**
+ * @typedef {Object} ViewState
+ * @desc A JSON-serializable snapshot of the view returned by `getState()`
+ * @property {number} minPxPerSec The zoom
+ * @property {boolean} scrollParent Whether the waveform is scrolled
+ * @property {number} scrollTime The time at the left edge of the view in
+ * seconds
+ * @property {number} currentTime The cursor position in seconds
+ * @property {number[]} filterChannels The hidden channels
+ * @property {string} waveColor The fill color of the waveform
+ * @property {string} progressColor The fill color behind the cursor
+ * @property {string} cursorColor The color of the cursor
+ * @property {?string} backgroundColor The background color
+ * @property {Object} plugins The states of the initialised plugins that
+ * implement `getState()`, by plugin name
+ * @since 4.7.0
+ */
+
+/**
+ * @typedef {Object} PeakScale
+ * @desc The scale of the peak values passed to `load()`
+ * @property {number} max The full scale value, the largest distance of a peak
+ * from the zero line
+ * @property {number} offset=0 The peak value of the zero line, e.g. 128 for
+ * unsigned 8 bit peaks
+ * @since 4.7.0
+ */
+
+/**
+ * @typedef {Object} PeakLayout
+ * @desc How the peaks passed to `load()` are stored in a single array
+ * @property {number} channels=1 Number of channels
+ * @property {boolean} interleaved=true If true the channels take turns for
+ * each peak (`[left, right, left, right, …]`), otherwise all peaks of a
+ * channel follow the peaks of the channel before
+ * @property {boolean} pairs=true If true each peak is a pair of a max and a
+ * min value, otherwise a single value that is drawn mirrored
+ * @property {boolean} minFirst=false If true the min value of each pair comes
+ * first, like in the files of the BBC `audiowaveform` tool
+ * @since 4.7.0
+ */
+
+/**
+ * @typedef {Object} CompositeImageOptions
+ * @desc The options of `exportCompositeImage()`
+ * @property {string} range='visible' Either `'visible'` for the part of the
+ * waveform in view or `'full'` for the whole track
+ * @property {number} width The width of the image in CSS pixels, by default
+ * the width of the range on screen
+ * @property {number} height The height of the waveform in CSS pixels, by
+ * default the height on screen. Layers like the timeline add their height
+ * below it.
+ * @property {number} pixelRatio The pixels of the image per CSS pixel, by
+ * default the `pixelRatio` param
+ * @property {string[]} layers The layers from the bottom to the top:
+ * `'background'`, `'wave'`, `'progress'`, `'cursor'` and the names of
+ * initialised plugins that implement `getExportLayer()`. By default all of
+ * them.
+ * @property {string} format='image/png' The image format, e.g.
+ * `'image/jpeg'` or `'image/webp'`
+ * @property {number} quality=1 The quality of lossy image formats
+ * @property {string} type='dataURL' Either `'dataURL'` or `'blob'`
+ * @since 4.7.0
+ */
+
+/**
+ * @typedef {Object} PeakExportOptions
+ * @desc The options of `exportPeaks()`
+ * @property {string} format='json' Either `'json'` (an object with the
+ * `peaks`, `duration`, `peakMax`, `peakOffset` and the `layout` of peaks
+ * loaded with one to pass back to `load()`),
+ * `'csv'` (one line per peak with its time), `'dat'` (a binary
+ * `audiowaveform` file) or `'audiowaveform-json'`
+ * @property {number} start=0 Time of the start of the exported part in
+ * seconds
+ * @property {number} end Time of the end of the exported part in seconds, by
+ * default the duration
+ * @property {number} length Number of peaks (or max/min pairs) per channel,
+ * by default the number of loaded peaks in the part
+ * @property {number[]} channels Indexes of the channels to export, by default
+ * all channels
+ * @property {number} bits Resolution of the `audiowaveform` formats, either 8
+ * or 16. By default 8 for peaks with a full scale value of 128, otherwise 16.
+ * @property {number} sampleRate=44100 Sample rate written to the
+ * `audiowaveform` formats, the samples per pixel are worked out from it
+ * @property {string} type='string' Either `'string'` or `'blob'`, the `'dat'`
+ * format is always a `Blob`
+ * @property {boolean} open=false Open the document in a new window
+ * @since 4.7.0
+ */
+
 /**
  * @interface PluginClass
  *
@@ -180,6 +352,30 @@ class PluginClass {
      * `wavesurfer.destroyPlugin(pluginName)`
      */
     destroy() {}
+    /**
+     * Optional: get the contents of the plugin for `wavesurfer.getState()`
+     *
+     * @return {Object} JSON-serializable data
+     * @since 4.7.0
+     */
+    getState() {}
+    /**
+     * Optional: restore the contents returned by `getState()`, this is called
+     * by `wavesurfer.setState()`
+     *
+     * @param {Object} state The data
+     * @since 4.7.0
+     */
+    setState(state) {}
+    /**
+     * Optional: get what the plugin adds to the image of
+     * `wavesurfer.exportCompositeImage()`
+     *
+     * @param {ExportView} view The exported view
+     * @return {ExportLayer} The shapes of the layer
+     * @since 4.7.0
+     */
+    getExportLayer(view) {}
 }
 
 /**
@@ -206,6 +402,7 @@ class PluginClass {
 export default class WaveSurfer extends util.Observer {
     /** @private */
     defaultParams = {
+        ariaLabel: 'Playback position',
         audioRate: 1,
         autoCenter: true,
         autoCenterRate: 5,
@@ -215,10 +412,14 @@ export default class WaveSurfer extends util.Observer {
         barRadius: 0,
         barGap: null,
         barMinHeight: null,
+        clockInterpolation: false,
+        clockLatency: 0,
         container: null,
         cursorColor: '#333',
         cursorWidth: 1,
         dragSelection: true,
+        dragZoom: false,
+        dragZoomColor: 'rgba(0, 0, 0, 0.1)',
         drawingContextAttributes: {
             // Boolean that hints the user agent to reduce the latency
             // by desynchronizing the canvas paint cycle from the event
@@ -228,15 +429,30 @@ export default class WaveSurfer extends util.Observer {
         duration: 0,
         curPosition: 0,
         fillParent: true,
+        gestureZoom: false,
         height: 128,
         hideScrollbar: false,
         interact: true,
+        keyboard: false,
+        keyboardKeys: {
+            skipBackward: ['ArrowLeft', 'ArrowDown'],
+            skipForward: ['ArrowRight', 'ArrowUp'],
+            pageBackward: ['PageDown'],
+            pageForward: ['PageUp'],
+            start: ['Home'],
+            end: ['End']
+        },
         loopSelection: true,
         maxCanvasWidth: 4000,
+        maxZoom: 1000,
         minPxPerSec: 20,
+        minZoom: 1,
         normalize: false,
         peakMax: 0,
+        peakOffset: 0,
+        peakPairs: null,
         partialRender: false,
+        peakPyramid: false,
         peaks: null,
         pixelRatio:
             window.devicePixelRatio || screen.deviceXDPI / screen.logicalXDPI,
@@ -255,6 +471,9 @@ export default class WaveSurfer extends util.Observer {
             relativeNormalization: false
         },
         vertical: false,
+        viewportDebounce: 100,
+        virtualCanvasBuffer: 1,
+        virtualCanvases: false,
         waveColor: '#999'
     };
 
@@ -301,6 +520,54 @@ export default class WaveSurfer extends util.Observer {
      */
     static util = util;
 
+    /**
+     * The renderers that can be passed as the `renderer` param. Like plugins
+     * the `OffscreenCanvas` and `SVG` renderers are separate builds, they add
+     * themselves here when their script is loaded after wavesurfer. As modules
+     * they are imported from `src/drawer.offscreencanvas.js` and
+     * `src/drawer.svg.js`.
+     *
+     * @type {Object}
+     * @since 4.7.0
+     * @example
+     * // <script src="dist/renderer/wavesurfer.OffscreenCanvas.js"></script>
+     * WaveSurfer.create({
+     *     container: '#waveform',
+     *     renderer: WaveSurfer.renderers.OffscreenCanvas
+     * });
+     *
+     * // or as a module
+     * import SVGRenderer from 'miniwavesurfer.js/src/drawer.svg';
+     * WaveSurfer.create({ container: '#waveform', renderer: SVGRenderer });
+     */
+    static renderers = {
+        MultiCanvas: MultiCanvas
+    };
+
+    /**
+     * Render a waveform on any object with a `CanvasRenderingContext2D`
+     * interface without a wavesurfer instance or a DOM, e.g. to create
+     * waveform images with `node-canvas` on a server. Wavesurfer can be
+     * imported without a `window`, the function is also exported by the DOM
+     * free `src/drawer.core.js` module.
+     *
+     * @param {CanvasRenderingContext2D} ctx The context to draw on
+     * @param {number[]|Number.<Array[]>} peaks The peaks, can also be an
+     * array of arrays for split channel rendering
+     * @param {RenderOptions} options The size, colors and drawing options
+     * @since 4.7.0
+     * @example
+     * // or: import { renderToContext } from 'miniwavesurfer.js/src/drawer.core';
+     * const canvas = createCanvas(600, 120);
+     * WaveSurfer.renderToContext(canvas.getContext('2d'), peaks, {
+     *     barWidth: 2,
+     *     waveColor: 'violet'
+     * });
+     */
+    static renderToContext(ctx, peaks, options) {
+        return renderToContext(ctx, peaks, options);
+    }
+
     /**
      * Initialise wavesurfer instance
      *
@@ -321,6 +588,11 @@ export default class WaveSurfer extends util.Observer {
             this.defaultParams.splitChannelsOptions,
             params.splitChannelsOptions
         );
+        this.params.keyboardKeys = Object.assign(
+            {},
+            this.defaultParams.keyboardKeys,
+            params.keyboardKeys
+        );
         /** @private */
         this.container =
             'string' == typeof params.container
@@ -357,6 +629,78 @@ export default class WaveSurfer extends util.Observer {
         this.drawer = null;
         /** @private */
         this.peakCache = null;
+        /** @private */
+        this.peakPyramid = null;
+        /** @private */
+        this.peakLoader = null;
+        /**
+         * How the loaded peaks were stored, null if they were passed in the
+         * layout of the drawer
+         *
+         * @private
+         * @type {?PeakLayout}
+         */
+        this.peakLayout = null;
+        /**
+         * The root mean square of each loaded peak if `loadPCM()` computed it
+         *
+         * @private
+         * @type {?Float32Array|Float32Array[]}
+         */
+        this.peakRms = null;
+        /**
+         * Incremented by `empty()` and every load, so that a slower
+         * `loadPCM()` doesn't replace the peaks of a later one
+         *
+         * @private
+         */
+        this.loadId = 0;
+        /**
+         * Drives the cursor when no clock is attached
+         *
+         * @private
+         */
+        this.virtualClock = new VirtualClock(
+            () => this.getDuration(),
+            this.params.audioRate
+        );
+        /** @private */
+        this.clock = this.virtualClock;
+        /**
+         * Whether an animation frame reads the clock
+         *
+         * @private
+         */
+        this.clockTicking = false;
+        // reads a clock that doesn't need polling when its state changed
+        this.onClockChange = () => this.startClock();
+        /**
+         * The time of the clock at the last frame, the position is only
+         * updated when it changes
+         *
+         * @private
+         */
+        this.clockTime = null;
+        /**
+         * Smooths the time of the clock if `clockInterpolation` is set
+         *
+         * @private
+         */
+        this.timeInterpolator = new TimeInterpolator();
+        /** @private */
+        this.clockPlaying = false;
+        /** @private */
+        this.playEnd = null;
+        /**
+         * The views to return to with `zoomBack()` and `zoomForward()`, the
+         * latest last
+         *
+         * @private
+         * @type {ZoomView[]}
+         */
+        this.zoomBackStack = [];
+        /** @private */
+        this.zoomForwardStack = [];
 
         // cache constructor objects
         if (typeof this.params.renderer !== 'function') {
@@ -395,12 +739,44 @@ export default class WaveSurfer extends util.Observer {
                     prevWidth = this.drawer.wrapper.clientWidth;
                     this.drawer.fireEvent('redraw');
                 }
+                // a scrolling waveform keeps its width but shows more or less
+                // of it
+                this._onViewportChange();
             },
             typeof this.params.responsive === 'number'
                 ? this.params.responsive
                 : 100
         );
 
+        /**
+         * The range of the last `viewport-change` event
+         *
+         * @private
+         * @type {?TimeRange}
+         */
+        this.viewportRange = null;
+        // called whenever the view may have changed, the event is fired once
+        // the view stays the same
+        this._onViewportChange = util.debounce(() => {
+            if (this.isDestroyed || !this.isReady) {
+                return;
+            }
+            const range = this.getVisibleRange();
+            const last = this.viewportRange;
+            if (!last || last.start !== range.start || last.end !== range.end) {
+                this.viewportRange = range;
+                /**
+                 * Fired when the visible range changed by scrolling, zooming
+                 * or resizing with `responsive`, debounced by
+                 * `viewportDebounce`
+                 *
+                 * @event WaveSurfer#viewport-change
+                 * @param {TimeRange} range The visible range
+                 */
+                this.fireEvent('viewport-change', range);
+            }
+        }, this.params.viewportDebounce);
+
         return this;
     }
 
@@ -583,7 +959,7 @@ export default class WaveSurfer extends util.Observer {
 
         this.drawer.on('redraw', () => {
             this.drawBuffer();
-            this.drawer.progress(this.backend.getPlayedPercents());
+            this.drawer.progress(this.getPlayedPercents());
         });
 
         // Click-to-seek
@@ -591,15 +967,99 @@ export default class WaveSurfer extends util.Observer {
             setTimeout(() => this.seekTo(progress), 0);
         });
 
+        this.drawer.on('keydown', e => this.handleKeyDown(e));
+
+        this.drawer.on('dragzoom', (start, end) => {
+            if (this.isReady) {
+                const duration = this.getDuration();
+                this.zoomToRange(start * duration, end * duration);
+            }
+        });
+
+        this.drawer.on('zoomgesture', (factor, progress, offset) => {
+            if (!this.isReady || !this.getDuration()) {
+                return;
+            }
+            // a waveform that fills the container is zoomed from the size
+            // it is drawn with
+            const pxPerSec = this.drawer.getCssWidth() / this.getDuration();
+            const newPxPerSec = util.clamp(
+                pxPerSec * factor,
+                this.params.minZoom,
+                this.params.maxZoom
+            );
+            if (newPxPerSec !== pxPerSec) {
+                this.zoomAround(
+                    newPxPerSec,
+                    progress * this.getDuration(),
+                    offset
+                );
+            }
+        });
+
         // Relay the scroll event from the drawer
         this.drawer.on('scroll', e => {
             if (this.params.partialRender) {
                 this.drawBuffer();
             }
+            if (this.params.virtualCanvases && this.isReady) {
+                this.drawVirtualCanvases();
+            }
+            if (this.peakLoader) {
+                this.loadVisiblePeaks();
+            }
+            this._onViewportChange();
             this.fireEvent('scroll', e);
         });
     }
 
+    /**
+     * Seek with the keys of `keyboardKeys`
+     *
+     * @private
+     * @param {KeyboardEvent} e The keydown event of the wrapper
+     */
+    handleKeyDown(e) {
+        const keys = this.params.keyboardKeys;
+        const action = Object.keys(keys).find(
+            name => keys[name] && keys[name].indexOf(e.key) >= 0
+        );
+        if (!action || !this.isReady || e.altKey || e.ctrlKey || e.metaKey) {
+            return;
+        }
+        e.preventDefault();
+        const pageLength = this.params.skipLength * 10;
+        switch (action) {
+            case 'skipBackward':
+                this.skipBackward();
+                break;
+            case 'skipForward':
+                this.skipForward();
+                break;
+            case 'pageBackward':
+                this.skipBackward(pageLength);
+                break;
+            case 'pageForward':
+                this.skipForward(pageLength);
+                break;
+            case 'start':
+                this.seekAndCenter(0);
+                break;
+            case 'end':
+                this.seekAndCenter(1);
+                break;
+        }
+    }
+
+    /**
+     * Update the slider value of the wrapper with `keyboard`
+     *
+     * @private
+     */
+    updateAria() {
+        this.drawer.updateAria(this.getCurrentTime(), this.getDuration() || 0);
+    }
+
     /**
      * Create the peak cache
      *
@@ -653,19 +1113,25 @@ export default class WaveSurfer extends util.Observer {
     /**
      * Starts playback from the current position. Optional start and end
      * measured in seconds can be used to set the range of audio to play.
+     * Without an attached clock (see `attachClock()`) a silent virtual
+     * transport moves the cursor in real time.
      *
      * @param {?number} start Position to start at
      * @param {?number} end Position to end at
      * @emits WaveSurfer#interaction
-     * @return {Promise} Result of the backend play method
+     * @return {Promise} Result of the play method of the clock
      * @example
      * // play from second 1 to 5
      * wavesurfer.play(1, 5);
      */
     play(start, end) {
         this.fireEvent('interaction', () => this.play(start, end));
-        console.log('play() called' + start + ' ' + end);
-        //return this.backend.play(start, end);
+        this.setPlayEnd(end);
+        const result = this.clock.play(
+            start == null ? start : start + this.getClockLatency()
+        );
+        this.startClock();
+        return result;
     }
 
     /**
@@ -675,32 +1141,29 @@ export default class WaveSurfer extends util.Observer {
      * @version 3.3.0
      */
     setPlayEnd(position) {
-	console.log('setPlayEnd() called ' + position);
-        //this.backend.setPlayEnd(position);
+        this.playEnd = position == null ? null : position;
     }
 
     /**
      * Stops and pauses playback
      *
      * @example wavesurfer.pause();
-     * @return {Promise} Result of the backend pause method
+     * @return {Promise} Result of the pause method of the clock
      */
     pause() {
-	console.log('pause() called');
-        //if (!this.backend.isPaused()) {
-        //    return this.backend.pause();
-        //}
+        if (this.isPlaying()) {
+            return this.clock.pause();
+        }
     }
 
     /**
      * Toggle playback
      *
      * @example wavesurfer.playPause();
-     * @return {Promise} Result of the backend play or pause method
+     * @return {Promise} Result of the play or pause method of the clock
      */
     playPause() {
-	console.log('playPause called');
-        //return this.backend.isPaused() ? this.play() : this.pause();
+        return this.isPlaying() ? this.pause() : this.play();
     }
 
     /**
@@ -710,8 +1173,7 @@ export default class WaveSurfer extends util.Observer {
      * @return {boolean} False if paused, true if playing
      */
     isPlaying() {
-	console.log('isPlaying called');
-        //return !this.backend.isPaused();
+        return !!this.clock && !this.clock.isPaused();
     }
 
     /**
@@ -793,7 +1255,17 @@ export default class WaveSurfer extends util.Observer {
         const oldScrollParent = this.params.scrollParent;
         this.params.scrollParent = false;
         this.curPosition = progress * this.getDuration();
+        if (this.clock) {
+            this.clock.seek(this.curPosition + this.getClockLatency());
+            this.timeInterpolator.seek(
+                this.curPosition,
+                this.getClockTime(),
+                util.now()
+            );
+            this.clockTime = this.curPosition;
+        }
         this.drawer.progress(progress);
+        this.updateAria();
 
         this.params.scrollParent = oldScrollParent;
         this.fireEvent('seek', progress);
@@ -817,7 +1289,10 @@ export default class WaveSurfer extends util.Observer {
      * @example wavesurfer.setPlaybackRate(2);
      */
     setPlaybackRate(rate) {
-        //this.backend.setPlaybackRate(rate);
+        this.params.audioRate = rate;
+        if (this.clock) {
+            this.clock.setPlaybackRate(rate);
+        }
     }
 
     /**
@@ -826,7 +1301,208 @@ export default class WaveSurfer extends util.Observer {
      * @return {number} The current playback rate.
      */
     getPlaybackRate() {
-        //return this.backend.getPlaybackRate();
+        return this.clock
+            ? this.clock.getPlaybackRate()
+            : this.params.audioRate;
+    }
+
+    /**
+     * Drive the cursor from an external clock instead of the built-in virtual
+     * transport. The transport methods (`play()`, `pause()`, `seekTo()`,
+     * `setPlaybackRate()` …) control the clock source and the position is
+     * read from it at every animation frame. A clock that was attached before
+     * is detached.
+     *
+     * @param {HTMLMediaElement|ClockSource|Clock} source An `<audio>` or
+     * `<video>` element, an object with `getTime()` and `isPaused()` methods or
+     * a `Clock`
+     * @return {Clock} The attached clock
+     * @throws Will throw an error if the source can't tell the time
+     * @emits WaveSurfer#play
+     * @emits WaveSurfer#pause
+     * @emits WaveSurfer#finish
+     * @emits WaveSurfer#audioprocess
+     * @since 4.7.0
+     * @example
+     * wavesurfer.load(peaks, duration);
+     * wavesurfer.attachClock(document.querySelector('audio'));
+     * wavesurfer.on('finish', () => console.log('done'));
+     */
+    attachClock(source) {
+        let clock;
+        if (source instanceof Clock) {
+            clock = source;
+        } else if (
+            typeof HTMLMediaElement !== 'undefined' &&
+            source instanceof HTMLMediaElement
+        ) {
+            clock = new MediaElementClock(source);
+        } else {
+            clock = new Clock(source);
+        }
+
+        this.virtualClock.pause();
+        this.setClock(clock);
+        return clock;
+    }
+
+    /**
+     * Stop reading the position from the attached clock, the virtual transport
+     * continues from the current position. The clock source is not paused.
+     *
+     * @since 4.7.0
+     */
+    detachClock() {
+        if (this.clock !== this.virtualClock) {
+            this.virtualClock.seek(this.getCurrentTime() || 0);
+            this.setClock(this.virtualClock);
+        }
+    }
+
+    /**
+     * Replace the clock, an attached clock is destroyed
+     *
+     * @private
+     * @param {?Clock} clock The new clock
+     */
+    setClock(clock) {
+        if (this.clock) {
+            this.clock.un('change', this.onClockChange);
+            if (this.clock !== this.virtualClock) {
+                this.clock.destroy();
+            }
+        }
+        this.clock = clock;
+        this.clockTime = null;
+        this.timeInterpolator.reset();
+        this.clockPlaying = false;
+        this.playEnd = null;
+        if (clock) {
+            clock.on('change', this.onClockChange);
+            this.startClock();
+        }
+    }
+
+    /**
+     * The latency of the clock in seconds, the virtual transport has none
+     *
+     * @private
+     * @return {number} The latency
+     */
+    getClockLatency() {
+        return this.clock === this.virtualClock ? 0 : this.params.clockLatency;
+    }
+
+    /**
+     * The time of the clock minus the latency, in seconds
+     *
+     * @private
+     * @return {number} The time
+     */
+    getClockTime() {
+        return Math.max(0, this.clock.getTime() - this.getClockLatency());
+    }
+
+    /**
+     * Start reading the clock at every animation frame, unless it is read
+     * already
+     *
+     * @private
+     */
+    startClock() {
+        if (!this.clockTicking) {
+            this.clockTicking = true;
+            this.tickClock();
+        }
+    }
+
+    /**
+     * Read the clock, update the position and fire the transport events when
+     * the state of the clock changes. Repeats at every animation frame while
+     * the clock plays or needs polling, other clocks start it again with a
+     * `change` event.
+     *
+     * @private
+     */
+    tickClock() {
+        const clock = this.clock;
+        if (!clock || this.isDestroyed) {
+            this.clockTicking = false;
+            return;
+        }
+        const playing = !clock.isPaused();
+        let time = this.getClockTime();
+        if (this.params.clockInterpolation && clock !== this.virtualClock) {
+            time = this.timeInterpolator.update(
+                time,
+                playing,
+                clock.getPlaybackRate(),
+                util.now()
+            );
+        }
+        const duration = this.getDuration();
+
+        if (playing && !this.clockPlaying) {
+            this.clockPlaying = true;
+            /**
+             * Fired when the clock starts playing
+             *
+             * @event WaveSurfer#play
+             */
+            this.fireEvent('play');
+        }
+        if (time !== this.clockTime) {
+            this.clockTime = time;
+            this.curPosition = duration ? Math.min(time, duration) : time;
+            if (duration) {
+                this.drawer.progress(this.curPosition / duration);
+            }
+            this.updateAria();
+            if (playing) {
+                /**
+                 * Fired while the clock is playing
+                 *
+                 * @event WaveSurfer#audioprocess
+                 * @param {number} time The position in seconds
+                 */
+                this.fireEvent('audioprocess', this.curPosition);
+            }
+        }
+        if (playing && this.playEnd != null && time >= this.playEnd) {
+            this.playEnd = null;
+            clock.pause();
+        }
+        if (!playing && this.clockPlaying) {
+            this.clockPlaying = false;
+            const ended =
+                clock.isEnded() || (duration && clock.getTime() >= duration);
+            /**
+             * Fired when the clock is paused
+             *
+             * @event WaveSurfer#pause
+             */
+            this.fireEvent('pause');
+            if (ended) {
+                /**
+                 * Fired when the clock stopped at the end
+                 *
+                 * @event WaveSurfer#finish
+                 */
+                this.fireEvent('finish');
+            }
+        }
+
+        // the event handlers may have replaced or restarted the clock
+        if (
+            this.clock &&
+            (this.clock.needsPolling ||
+                this.clockPlaying ||
+                !this.clock.isPaused())
+        ) {
+            util.requestAnimationFrame(() => this.tickClock());
+        } else {
+            this.clockTicking = false;
+        }
     }
 
     /**
@@ -970,12 +1646,13 @@ export default class WaveSurfer extends util.Observer {
     }
 
     /**
-     * Get the correct peaks for current wave view-port and render wave
+     * Work out the width of the waveform and the area of it to render
      *
      * @private
-     * @emits WaveSurfer#redraw
+     * @return {Object} The `width`, `start` and `end` in pixels, `fitted` is
+     * true if the waveform is stretched or shrunk to fill the container
      */
-    drawBuffer() {
+    getDrawRange() {
         const nominalWidth = Math.round(
             this.duration *
                 this.params.minPxPerSec *
@@ -987,16 +1664,32 @@ export default class WaveSurfer extends util.Observer {
         let start = 0;
         let end = Math.max(start + parentWidth, width);
         // Fill container
-        if (
+        const fitted =
             this.params.fillParent &&
-            (!this.params.scrollParent || nominalWidth < parentWidth)
-        ) {
+            (!this.params.scrollParent || nominalWidth < parentWidth);
+        if (fitted) {
             width = parentWidth;
             start = 0;
             end = width;
         }
+        return { width, start, end, fitted };
+    }
+
+    /**
+     * Get the correct peaks for current wave view-port and render wave
+     *
+     * @private
+     * @emits WaveSurfer#redraw
+     */
+    drawBuffer() {
+        const { width, start, end } = this.getDrawRange();
+        if (this.peakLoader) {
+            // ranges that are still loading are drawn as a flat line
+            this.peaks = this.peakLoader.getPeaks(width);
+        }
+        // the drawer picks the level of the pyramid that matches the width
+        const peaks = this.peakPyramid || this.peaks;
 
-        //let peaks;
         if (this.params.partialRender) {
             const newRanges = this.peakCache.addRangeToPeakCache(
                 width,
@@ -1006,13 +1699,51 @@ export default class WaveSurfer extends util.Observer {
             let i;
             for (i = 0; i < newRanges.length; i++) {
                 //peaks = this.backend.getPeaks(width, newRanges[i][0], newRanges[i][1]);
-                this.drawer.drawPeaks(this.peaks, width, newRanges[i][0], newRanges[i][1]);
+                this.drawer.drawPeaks(peaks, width, newRanges[i][0], newRanges[i][1]);
             }
         } else {
             //peaks = this.backend.getPeaks(width, start, end);
-            this.drawer.drawPeaks(this.peaks, width, start, end);
+            this.drawer.drawPeaks(peaks, width, start, end);
         }
         this.fireEvent('redraw', this.peaks, width);
+        this._onViewportChange();
+
+        if (this.peakLoader) {
+            this.loadVisiblePeaks();
+        }
+    }
+
+    /**
+     * Request the peaks of the visible part of the waveform from the peak
+     * provider, requests for parts that are not visible anymore are cancelled
+     *
+     * @private
+     */
+    loadVisiblePeaks() {
+        const { width, fitted } = this.getDrawRange();
+        const start = fitted ? 0 : Math.min(width, this.drawer.getScrollX());
+        const end = fitted
+            ? width
+            : Math.min(width, start + this.drawer.getWidth());
+        this.peakLoader.load(width, start, end);
+    }
+
+    /**
+     * Draw the canvases that `virtualCanvases` moved to the visible part of
+     * the waveform
+     *
+     * @private
+     */
+    drawVirtualCanvases() {
+        const width = this.drawer.width;
+        this.drawer.updateVirtualCanvases().forEach(range =>
+            this.drawer.drawPeakRange(
+                this.peakPyramid || this.peaks,
+                width,
+                range[0],
+                range[1]
+            )
+        );
     }
 
     /**
@@ -1040,15 +1771,332 @@ export default class WaveSurfer extends util.Observer {
         this.fireEvent('zoom', pxPerSec);
     }
 
+    /**
+     * Zoom in or out and keep a time at the same place of the view, e.g. the
+     * time under the mouse pointer
+     *
+     * @param {number} pxPerSec Number of horizontal pixels per second of
+     * audio
+     * @param {number} time The time in seconds that stays in place
+     * @param {number} offset The distance of the time from the start of the
+     * visible area in CSS pixels
+     * @emits WaveSurfer#zoom
+     * @since 4.7.0
+     * @example
+     * // zoom in around the middle of the view
+     * const { start, end } = wavesurfer.getVisibleRange();
+     * wavesurfer.zoomAround(
+     *     wavesurfer.params.minPxPerSec * 2,
+     *     (start + end) / 2,
+     *     wavesurfer.drawer.wrapper.clientWidth / 2
+     * );
+     */
+    zoomAround(pxPerSec, time, offset) {
+        this.params.minPxPerSec = pxPerSec;
+        this.params.scrollParent = true;
+        this.drawBuffer();
+
+        // keep the view where it is instead of following the cursor
+        this.params.scrollParent = false;
+        this.drawer.progress(this.getPlayedPercents());
+        this.params.scrollParent = true;
+
+        this.drawer.wrapper.scrollLeft = Math.max(
+            0,
+            this.drawer.timeToPx(time) - offset
+        );
+        this.fireEvent('zoom', pxPerSec);
+    }
+
+    /**
+     * Zoom and scroll to show a time range across the view. The zoom is limited
+     * to `minZoom` and `maxZoom`, ranges that don't fit are centered. The
+     * previous view is added to the zoom history.
+     *
+     * @param {number} start The start of the range in seconds
+     * @param {number} end The end of the range in seconds
+     * @param {Object} options={} Options
+     * @param {number} options.padding=0 The space to leave on both sides of the
+     * range in CSS pixels
+     * @emits WaveSurfer#zoom
+     * @throws Will throw an error if it is called before `load()` or the range
+     * is empty
+     * @since 4.7.0
+     * @example
+     * // show a search result with some context
+     * wavesurfer.zoomToRange(12.4, 18.9, { padding: 20 });
+     */
+    zoomToRange(start, end, { padding = 0 } = {}) {
+        if (!this.isReady) {
+            throw new Error('zoomToRange() must be called after load()');
+        }
+        if (!(end > start)) {
+            throw new Error('zoomToRange() needs a start before the end');
+        }
+        const viewWidth = this.drawer.wrapper.clientWidth;
+        const pxPerSec = util.clamp(
+            Math.max(1, viewWidth - 2 * padding) / (end - start),
+            this.params.minZoom,
+            this.params.maxZoom
+        );
+        this.pushZoomView();
+        this.zoomAround(
+            pxPerSec,
+            start,
+            (viewWidth - (end - start) * pxPerSec) / 2
+        );
+    }
+
+    /**
+     * Zoom out to show the whole waveform, the previous view is added to the
+     * zoom history
+     *
+     * @emits WaveSurfer#zoom
+     * @throws Will throw an error if it is called before `load()`
+     * @since 4.7.0
+     */
+    zoomToFit() {
+        if (!this.isReady) {
+            throw new Error('zoomToFit() must be called after load()');
+        }
+        this.pushZoomView();
+        // a waveform that fills the container fits without zooming
+        this.zoom(
+            this.params.fillParent
+                ? null
+                : this.drawer.wrapper.clientWidth / this.getDuration()
+        );
+    }
+
+    /**
+     * Return to the view before the last `zoomToRange()` or `zoomToFit()`,
+     * including the zoom dragged with `dragZoom`
+     *
+     * @return {boolean} False if there is no view to return to
+     * @emits WaveSurfer#zoom
+     * @since 4.7.0
+     */
+    zoomBack() {
+        return this.moveInZoomHistory(this.zoomBackStack, this.zoomForwardStack);
+    }
+
+    /**
+     * Return to the view that was left with `zoomBack()`
+     *
+     * @return {boolean} False if there is no view to return to
+     * @emits WaveSurfer#zoom
+     * @since 4.7.0
+     */
+    zoomForward() {
+        return this.moveInZoomHistory(this.zoomForwardStack, this.zoomBackStack);
+    }
+
+    /**
+     * Get the time range that is visible in the container
+     *
+     * @return {TimeRange} The visible range in seconds
+     * @since 4.7.0
+     * @example
+     * const { start, end } = wavesurfer.getVisibleRange();
+     */
+    getVisibleRange() {
+        const wrapper = this.drawer.wrapper;
+        if (!this.drawer.getCssWidth()) {
+            return { start: 0, end: this.getDuration() || 0 };
+        }
+        return {
+            start: this.drawer.pxToTime(wrapper.scrollLeft),
+            end: this.drawer.pxToTime(wrapper.scrollLeft + wrapper.clientWidth)
+        };
+    }
+
+    /**
+     * Scroll to show a time
+     *
+     * @param {number} time The time in seconds
+     * @param {Object} options={} Options
+     * @param {string} options.align='center' Where the time is placed in the
+     * view, `start`, `center` or `end`
+     * @throws Will throw an error for an unknown `align`
+     * @since 4.7.0
+     * @example wavesurfer.scrollToTime(30, { align: 'start' });
+     */
+    scrollToTime(time, { align = 'center' } = {}) {
+        const alignments = { start: 0, center: 0.5, end: 1 };
+        if (!(align in alignments)) {
+            throw new Error(`Unknown align: ${align}`);
+        }
+        if (!this.getDuration()) {
+            return;
+        }
+        const wrapper = this.drawer.wrapper;
+        wrapper.scrollLeft = util.clamp(
+            this.drawer.timeToPx(time) - wrapper.clientWidth * alignments[align],
+            0,
+            Math.max(0, wrapper.scrollWidth - wrapper.clientWidth)
+        );
+    }
+
+    /**
+     * @private
+     * @return {ZoomView} The current view
+     */
+    getZoomView() {
+        return {
+            pxPerSec: this.params.scrollParent ? this.params.minPxPerSec : null,
+            time: this.getVisibleRange().start
+        };
+    }
+
+    /**
+     * Add the current view to the zoom history before navigating away from it
+     *
+     * @private
+     */
+    pushZoomView() {
+        this.zoomBackStack.push(this.getZoomView());
+        this.zoomForwardStack = [];
+    }
+
+    /**
+     * Restore the latest view of one stack and put the current view on the
+     * other
+     *
+     * @private
+     * @param {ZoomView[]} from The stack to take the view from
+     * @param {ZoomView[]} to The stack to put the current view on
+     * @return {boolean} False if the stack was empty
+     */
+    moveInZoomHistory(from, to) {
+        if (!from.length || !this.isReady) {
+            return false;
+        }
+        const view = from.pop();
+        to.push(this.getZoomView());
+        if (view.pxPerSec === null) {
+            this.zoom(null);
+            this.scrollToTime(view.time, { align: 'start' });
+        } else {
+            this.zoomAround(view.pxPerSec, view.time, 0);
+        }
+        return true;
+    }
+
+    /**
+     * Get a snapshot of the view, to restore it with `setState()` later.
+     * Initialised plugins add their contents by implementing `getState()`.
+     * Colors are only serializable if they are strings.
+     *
+     * @return {ViewState} The snapshot
+     * @since 4.7.0
+     * @example
+     * localStorage.setItem('view', JSON.stringify(wavesurfer.getState()));
+     */
+    getState() {
+        const plugins = {};
+        Object.keys(this.initialisedPluginList).forEach(name => {
+            if (typeof this[name].getState === 'function') {
+                plugins[name] = this[name].getState();
+            }
+        });
+        return {
+            minPxPerSec: this.params.minPxPerSec,
+            scrollParent: this.params.scrollParent,
+            scrollTime: this.getVisibleRange().start,
+            currentTime: this.getCurrentTime() || 0,
+            filterChannels: this.params.splitChannelsOptions.filterChannels.slice(),
+            waveColor: this.params.waveColor,
+            progressColor: this.params.progressColor,
+            cursorColor: this.params.cursorColor,
+            backgroundColor: this.params.backgroundColor,
+            plugins: plugins
+        };
+    }
+
+    /**
+     * Restore a snapshot returned by `getState()` after `load()`. The
+     * waveform is redrawn once, then the view is scrolled, the cursor is moved
+     * and the states of the initialised plugins are restored. Missing
+     * properties are left unchanged.
+     *
+     * @param {ViewState} state The snapshot
+     * @throws Will throw an error if no peaks are loaded
+     * @emits WaveSurfer#zoom
+     * @since 4.7.0
+     * @example
+     * wavesurfer.load(peaks, duration);
+     * wavesurfer.setState(JSON.parse(localStorage.getItem('view')));
+     */
+    setState(state) {
+        if (!this.isReady) {
+            throw new Error('setState() must be called after load()');
+        }
+        const params = this.params;
+        const zoomed =
+            state.minPxPerSec !== undefined &&
+            state.minPxPerSec !== params.minPxPerSec;
+        [
+            'minPxPerSec',
+            'scrollParent',
+            'waveColor',
+            'progressColor',
+            'cursorColor'
+        ].forEach(key => {
+            if (state[key] !== undefined) {
+                params[key] = state[key];
+            }
+        });
+        if (state.filterChannels) {
+            params.splitChannelsOptions.filterChannels =
+                state.filterChannels.slice();
+        }
+        if (state.backgroundColor !== undefined) {
+            this.setBackgroundColor(state.backgroundColor);
+        }
+
+        this.drawBuffer();
+        this.drawer.updateCursor();
+        const duration = this.getDuration();
+        if (state.scrollTime !== undefined) {
+            this.scrollToTime(state.scrollTime, { align: 'start' });
+        }
+        if (state.currentTime !== undefined) {
+            this.seekTo(util.clamp(state.currentTime / duration, 0, 1));
+        }
+        if (zoomed) {
+            this.fireEvent('zoom', params.minPxPerSec);
+        }
+
+        const plugins = state.plugins || {};
+        Object.keys(plugins).forEach(name => {
+            if (
+                this.initialisedPluginList[name] &&
+                typeof this[name].setState === 'function'
+            ) {
+                this[name].setState(plugins[name]);
+            }
+        });
+    }
+
     /**
      * Loads audio and re-renders the waveform.
      *
-     * @param {number[]|Number.<Array[]>} peaks Wavesurfer does not have to decode
-     * the audio to render the waveform if this is specified
+     * @param {number[]|Number.<Array[]>|PeakPyramid} peaks Wavesurfer does not
+     * have to decode the audio to render the waveform if this is specified
      * @param {?number} duration The duration of the audio. This is used to
      * render the peaks data in the correct size for the audio duration (as
      * befits the current `minPxPerSec` and zoom value) without having to decode
      * the audio.
+     * @param {?number|PeakScale} pmax The full scale value of the peaks. For
+     * typed arrays it is inferred from the type if not set, e.g. `Uint8Array`
+     * peaks have a full scale value of 128 and are centered at 128. If a
+     * number is passed the peaks are centered at 0, pass a `PeakScale` to
+     * set both.
+     * @param {?PeakLayout} layout How the channels and max/min pairs are
+     * stored if all peaks are passed in a single array. Interleaved or
+     * `minFirst` peaks are copied once into one array per channel, the
+     * channels of typed arrays that follow each other are used as they are.
+     * Chunks passed to `appendPeaks()` are split the same way.
      * @returns {void}
      * @throws Will throw an error if the `peaks` argument is empty.
      *
@@ -1059,8 +2107,19 @@ export default class WaveSurfer extends util.Observer {
      *   [0.0218, 0.0183, 0.0165, 0.0198, 0.2137, 0.2888],
      *   true
      * );
+     *
+     * // stereo min/max pairs as [lmin, lmax, rmin, rmax, lmin, …]
+     * wavesurfer.load(int16Peaks, duration, null, {
+     *     channels: 2,
+     *     minFirst: true
+     * });
      */
-    load(peaks, duration, pmax) {
+    load(peaks, duration, pmax, layout) {
+        let pyramid = null;
+        if (peaks instanceof PeakPyramid) {
+            pyramid = peaks;
+            peaks = pyramid.finest;
+        }
         if (!peaks || peaks.length == 0) {
             throw new Error('peaks cannot be empty');
         }
@@ -1069,47 +2128,451 @@ export default class WaveSurfer extends util.Observer {
     	    throw new Error('duration parameter cannot be empty');
         }
         
+        const channelPeaks = layout
+            ? util.createChannelViews(peaks, layout)
+            : peaks;
+
         this.empty();
 
-        this.peaks = peaks
+        this.peaks = channelPeaks;
+        // the scale is inferred from the type of the whole array
+        this.setPeakScale(peaks, pmax);
+        // without a layout max/min pairs are told apart from single peaks by
+        // values below the zero line
+        this.peakPairs = layout ? layout.pairs !== false : null;
+        this.params.peakPairs = this.peakPairs;
+        this.peakLayout = layout || null;
+        this.peakPyramid =
+            pyramid ||
+            (this.params.peakPyramid
+                ? PeakPyramid.fromPeaks(this.peaks, undefined, this.getPeakFormat())
+                : null);
         this.duration = duration;
-        this.peakMax = pmax || 0;
+        this.drawer.duration = duration;
         this.drawBuffer();
         this.isReady = true;
+        this.updateAria();
         this.fireEvent('ready');
     }
 
     /**
-     * Exports PCM data into a JSON array and opens in a new window.
+     * Set the full scale value and the zero line of the peaks, the drawer
+     * reads them from the shared params
      *
-     * @param {number} length=1024 The scale in which to export the peaks
-     * @param {number} accuracy=10000
-     * @param {?boolean} noWindow Set to true to disable opening a new
-     * window with the JSON
-     * @param {number} start Start index
-     * @param {number} end End index
-     * @return {Promise} Promise that resolves with array of peaks
+     * @private
+     * @param {?number[]|Number.<Array[]>} peaks The loaded peaks
+     * @param {?number|PeakScale} pmax The full scale value or the scale of the
+     * peaks, inferred from typed arrays if not set. A full scale value keeps
+     * the zero line at 0 like before scales were inferred.
      */
-    exportPCM(length, accuracy, noWindow, start, end) {
-        length = length || 1024;
-        start = start || 0;
-        accuracy = accuracy || 10000;
-        noWindow = noWindow || false;
-        //const peaks = this.backend.getPeaks(length, start, end);
-        const arr = [].map.call(
-            peaks,
-            val => Math.round(val * accuracy) / accuracy
-        );
-        return new Promise((resolve, reject) => {
-            const json = JSON.stringify(arr);
+    setPeakScale(peaks, pmax) {
+        const scale =
+            typeof pmax === 'number' && pmax
+                ? { max: pmax, offset: 0 }
+                : Object.assign(
+                    { max: 0, offset: 0 },
+                    util.getPeakScale(peaks),
+                    pmax !== null && typeof pmax === 'object' ? pmax : {}
+                );
+        this.peakMax = scale.max || 0;
+        this.peakOffset = scale.offset || 0;
+        this.params.peakMax = this.peakMax;
+        this.params.peakOffset = this.peakOffset;
+    }
 
-            if (!noWindow) {
-                window.open(
-                    'data:application/json;charset=utf-8,' +
-                        encodeURIComponent(json)
+    /**
+     * Get the root mean square of each loaded peak, e.g. to draw the loudness
+     * on top of the waveform
+     *
+     * @return {?Float32Array|Float32Array[]} The values in the shape of the
+     * peaks, null unless the peaks were loaded by `loadPCM()` with the `rms`
+     * option
+     * @since 4.7.0
+     * @example
+     * wavesurfer
+     *     .loadPCM(samples, 44100, { rms: true })
+     *     .then(() => drawLoudness(wavesurfer.getPeakRms()));
+     */
+    getPeakRms() {
+        return this.peakRms;
+    }
+
+    /**
+     * How to read the values of the loaded peaks
+     *
+     * @private
+     * @return {PeakFormat} The zero line `offset` and whether the peaks are
+     * max/min `pairs`
+     */
+    getPeakFormat() {
+        return {
+            offset: this.peakOffset,
+            pairs: this.peakPairs
+        };
+    }
+
+    /**
+     * Appends peaks to the end of the loaded waveform, e.g. while a recording
+     * is still being captured.
+     *
+     * Unless the waveform is stretched to fill the container only the new
+     * part of it is rendered. If a peak pyramid is used the appended peaks
+     * are merged into the end of its coarser levels. The cursor, scroll
+     * position, zoom, regions and markers stay as they are. If nothing is loaded yet this is the same as
+     * calling `load()`.
+     *
+     * @param {number[]|Number.<Array[]>} chunk The peaks to append, in the
+     * same shape as the loaded peaks (an array of arrays for split channels,
+     * or a single array in the layout passed to `load()`)
+     * @param {number} addedDuration The duration of the audio the appended
+     * peaks cover in seconds
+     * @emits WaveSurfer#redraw
+     * @throws Will throw an error if the chunk does not match the loaded peaks
+     * @since 4.7.0
+     * @example
+     * recorder.on('peaks', (chunk, seconds) => {
+     *     wavesurfer.appendPeaks(chunk, seconds);
+     * });
+     */
+    appendPeaks(chunk, addedDuration) {
+        if (!this.isReady) {
+            return this.load(chunk, addedDuration, this.peakMax);
+        }
+        if (this.peakLoader) {
+            throw new Error('Peaks cannot be appended to a peak provider');
+        }
+        if (!chunk || chunk.length == 0) {
+            throw new Error('peaks cannot be empty');
+        }
+        if (!(addedDuration > 0)) {
+            throw new Error('addedDuration must be a positive number');
+        }
+        if (this.peakLayout) {
+            chunk = util.createChannelViews(chunk, this.peakLayout);
+        }
+
+        const appendTo = (peaks, added) => {
+            if (Array.isArray(peaks)) {
+                return peaks.concat(Array.from(added));
+            }
+            // typed arrays have a fixed length
+            const grown = new peaks.constructor(peaks.length + added.length);
+            grown.set(peaks);
+            grown.set(added, peaks.length);
+            return grown;
+        };
+
+        const isChannels = peaks =>
+            peaks[0] instanceof Array || ArrayBuffer.isView(peaks[0]);
+        if (isChannels(this.peaks)) {
+            if (!isChannels(chunk) || chunk.length != this.peaks.length) {
+                throw new Error(
+                    `chunk must contain peaks for each of the ${this.peaks.length} loaded channels`
                 );
             }
-            resolve(json);
+            this.peaks = this.peaks.map((channelPeaks, i) =>
+                appendTo(channelPeaks, chunk[i])
+            );
+        } else {
+            this.peaks = appendTo(this.peaks, chunk);
+        }
+        if (this.peakPyramid) {
+            this.peakPyramid.extend(this.peaks);
+        }
+        const wasFitted = this.getDrawRange().fitted;
+        this.duration += addedDuration;
+
+        const { width, end, fitted } = this.getDrawRange();
+        if (fitted || wasFitted) {
+            // the whole waveform is scaled to the container
+            this.drawBuffer();
+        } else {
+            // the column at the old end changes as well
+            let from = Math.max(0, this.drawer.width - 1);
+            if (this.drawer.setWidth(width, true)) {
+                from = Math.min(from, this.drawer.keptWidth);
+            }
+
+            let ranges = [[from, end]];
+            if (this.params.partialRender) {
+                this.peakCache.resizePeakCache(width, from);
+                ranges = this.peakCache.addRangeToPeakCache(width, 0, end);
+            }
+            ranges.forEach(range =>
+                this.drawer.drawPeakRange(
+                    this.peakPyramid || this.peaks,
+                    width,
+                    range[0],
+                    range[1]
+                )
+            );
+            this.fireEvent('redraw', this.peaks, width);
+            this._onViewportChange();
+        }
+
+        // the cursor stays at the same time, avoid scrolling to it
+        const oldScrollParent = this.params.scrollParent;
+        this.params.scrollParent = false;
+        this.drawer.progress(this.getPlayedPercents());
+        this.params.scrollParent = oldScrollParent;
+        this.updateAria();
+    }
+
+    /**
+     * Loads peaks in several resolutions. Each level covers the whole
+     * duration and the drawer renders the coarsest level that still has one
+     * peak per pixel at the current zoom, so deep zoom shows the details of
+     * the most detailed level.
+     *
+     * @param {Array} levels The peaks of each level (arrays of arrays for
+     * split channels), in any order
+     * @param {number} duration The duration of the audio in seconds
+     * @param {?number|PeakScale} pmax The full scale value of the peaks
+     * @returns {void}
+     * @throws Will throw an error if no levels are passed
+     * @since 4.7.0
+     * @example
+     * wavesurfer.loadLevels(
+     *     [peaksAt10PxPerSec, peaksAt100PxPerSec, peaksAt1000PxPerSec],
+     *     duration
+     * );
+     */
+    loadLevels(levels, duration, pmax) {
+        const offset = pmax && typeof pmax === 'object' ? pmax.offset : undefined;
+        this.load(new PeakPyramid(levels, { offset: offset }), duration, pmax);
+    }
+
+    /**
+     * Loads the peaks from a provider while they are needed, for recordings
+     * that are too long to load all peaks up front. The peaks of the visible
+     * part of the waveform are requested whenever it is drawn or scrolled,
+     * ranges that are still loading are drawn as a flat line. Requests are
+     * cancelled when their range scrolls out of view or the zoom changes.
+     *
+     * @param {PeakProvider} provider The source of the peaks
+     * @param {number} duration The duration of the audio in seconds
+     * @param {?number|PeakScale} pmax The full scale value of the peaks
+     * @returns {void}
+     * @throws Will throw an error if the provider has no `getPeaks` method
+     * @emits WaveSurfer#error
+     * @since 4.7.0
+     * @example
+     * wavesurfer.loadProvider(
+     *     {
+     *         getPeaks(startTime, endTime, resolution, signal) {
+     *             return fetch(
+     *                 `/peaks?start=${startTime}&end=${endTime}&rate=${resolution}`,
+     *                 { signal: signal }
+     *             ).then(response => response.json());
+     *         }
+     *     },
+     *     24 * 60 * 60
+     * );
+     */
+    loadProvider(provider, duration, pmax) {
+        if (!provider || typeof provider.getPeaks !== 'function') {
+            throw new Error('provider must have a getPeaks method');
+        }
+        if (!duration) {
+            throw new Error('duration parameter cannot be empty');
+        }
+
+        this.empty();
+
+        this.peakLoader = new PeakLoader(provider, duration);
+        this.peakLoader.on('load', (start, end) => {
+            this.drawer.drawPeakRange(this.peaks, this.peakLoader.width, start, end);
+            this.fireEvent('redraw', this.peaks, this.peakLoader.width);
+        });
+        this.peakLoader.on('error', err => this.fireEvent('error', err));
+        this.peakPyramid = null;
+        this.duration = duration;
+        this.drawer.duration = duration;
+        this.setPeakScale(null, pmax);
+        // providers return max/min pairs
+        this.peakPairs = true;
+        this.params.peakPairs = this.peakPairs;
+        this.peakLayout = null;
+        this.drawBuffer();
+        this.isReady = true;
+        this.updateAria();
+        this.fireEvent('ready');
+    }
+
+    /**
+     * Computes the peaks of decoded PCM samples and loads them. The samples
+     * are reduced to max/min pairs in a Web Worker, or on the main thread if
+     * workers are not available. The peaks have the type of the samples, so
+     * their full scale value is inferred from it.
+     *
+     * @param {Array|Float32Array|Int16Array} channels The samples of each
+     * channel, or the samples of a single channel
+     * @param {number} sampleRate The sample rate of the samples
+     * @param {Object} options The number of `samplesPerPeak` (256 by default),
+     * whether to compute the `rms` of each peak (see `getPeakRms()`) and
+     * whether to use a `worker`
+     * @return {Promise} Resolves with the `PCMPeaks` once they are loaded. If
+     * another load was started in the meantime the peaks are not loaded.
+     * @throws Will throw an error if the samples are invalid
+     * @emits WaveSurfer#loading
+     * @since 4.7.0
+     * @example
+     * wavesurfer.on('loading', percent => console.log(percent + '%'));
+     * wavesurfer.loadPCM([left, right], 44100, { samplesPerPeak: 512 });
+     */
+    loadPCM(channels, sampleRate, options = {}) {
+        if (!(sampleRate > 0)) {
+            throw new Error('sampleRate must be a positive number');
+        }
+        if (ArrayBuffer.isView(channels)) {
+            channels = [channels];
+        }
+        const loadId = ++this.loadId;
+        return computePeaksAsync(channels, options, progress => {
+            if (loadId == this.loadId) {
+                this.fireEvent('loading', Math.round(progress * 100));
+            }
+        }).then(data => {
+            if (!this.isDestroyed && loadId == this.loadId) {
+                this.load(data.peaks, channels[0].length / sampleRate);
+                this.peakRms = data.rms;
+            }
+            return data;
+        });
+    }
+
+    /**
+     * Reads the samples of a WAV file, computes their peaks and loads them,
+     * without the decoding APIs of the browser. PCM files with 8, 16, 24 or
+     * 32 bit samples and float files are supported, channels are rendered
+     * separately when `splitChannels` is enabled.
+     *
+     * @param {ArrayBuffer} buffer The contents of the WAV file
+     * @param {Object} options The options of `loadPCM()`, e.g. the number of
+     * `samplesPerPeak`
+     * @return {Promise} Resolves with the `PCMPeaks` once they are loaded
+     * @throws Will throw an error if the data is not a WAV file or its samples
+     * are compressed
+     * @emits WaveSurfer#loading
+     * @since 4.7.0
+     * @example
+     * fetch('recording.wav')
+     *     .then(response => response.arrayBuffer())
+     *     .then(buffer => wavesurfer.loadWav(buffer, { samplesPerPeak: 512 }));
+     */
+    loadWav(buffer, options) {
+        const wav = parseWav(buffer);
+        return this.loadPCM(wav.channels, wav.sampleRate, options);
+    }
+
+    /**
+     * Loads the peaks of a binary `.dat` file written by the BBC
+     * `audiowaveform` tool and re-renders the waveform.
+     *
+     * The duration, number of channels and full scale value are read from the
+     * file header. Files with more than one channel are rendered as split
+     * channels when `splitChannels` is enabled.
+     *
+     * @param {ArrayBuffer} buffer The contents of the `.dat` file
+     * @return {WaveformData} The peaks and metadata read from the file
+     * @throws Will throw an error if the data is not a valid `.dat` file
+     * @since 4.7.0
+     * @example
+     * fetch('waveform.dat')
+     *     .then(response => response.arrayBuffer())
+     *     .then(buffer => wavesurfer.loadDat(buffer));
+     */
+    loadDat(buffer) {
+        const data = parseDat(buffer);
+        this.load(data.peaks, data.duration, data.peakMax);
+        return data;
+    }
+
+    /**
+     * Loads the peaks of a JSON document written by the BBC `audiowaveform`
+     * tool and re-renders the waveform.
+     *
+     * The duration and full scale value are worked out from the
+     * `sample_rate`, `samples_per_pixel`, `bits` and `length` fields. The
+     * interleaved channels in `data` are split into one array per channel.
+     *
+     * @param {string|Object} json The JSON document or the object it was
+     * parsed into
+     * @return {WaveformData} The peaks and metadata read from the document
+     * @throws Will throw an error if the document is malformed
+     * @since 4.7.0
+     * @example
+     * fetch('waveform.json')
+     *     .then(response => response.json())
+     *     .then(json => wavesurfer.loadJSON(json));
+     */
+    loadJSON(json) {
+        const data = parseJSON(json);
+        this.load(data.peaks, data.duration, data.peakMax);
+        return data;
+    }
+
+    /**
+     * Export the loaded peaks, e.g. to save what is shown after peaks were
+     * appended or to convert them to another format. The peaks are resampled
+     * by keeping the largest max and the smallest min value of the peaks that
+     * are merged. The text formats keep the full scale value and the channel
+     * layout of the loaded peaks, the `audiowaveform` formats are scaled to
+     * their 8 or 16 bit values.
+     *
+     * @param {PeakExportOptions} options The format, the part and the
+     * channels to export
+     * @return {Promise} Promise that resolves with the document as a string,
+     * or a `Blob` for the `'dat'` format and the `'blob'` type
+     * @since 4.7.0
+     * @example
+     * wavesurfer
+     *     .exportPeaks({ format: 'dat', length: 4096 })
+     *     .then(blob => upload(blob));
+     */
+    exportPeaks(options = {}) {
+        return new Promise(resolve => {
+            if (!this.isReady) {
+                throw new Error('exportPeaks() must be called after load()');
+            }
+            const { format = 'json', type = 'string' } = options;
+            const data = resamplePeaks(
+                this.peakPyramid ? this.peakPyramid.finest : this.peaks,
+                {
+                    duration: this.getDuration(),
+                    start: options.start,
+                    end: options.end,
+                    length: options.length,
+                    channels: options.channels,
+                    peakMax: this.peakMax,
+                    peakOffset: this.peakOffset,
+                    pairs: this.peakPairs,
+                    layout: this.peakLayout
+                }
+            );
+            const contents = writePeaks(data, {
+                format: format,
+                bits: options.bits,
+                sampleRate: options.sampleRate
+            });
+            const blob =
+                type === 'blob' || options.open || format === 'dat'
+                    ? new Blob([contents], { type: getMimeType(format) })
+                    : null;
+
+            if (options.open) {
+                const url = URL.createObjectURL(blob);
+                const win = window.open(url);
+                // the window keeps the document once it is loaded
+                if (win) {
+                    win.addEventListener('load', () =>
+                        URL.revokeObjectURL(url)
+                    );
+                } else {
+                    URL.revokeObjectURL(url);
+                }
+            }
+            resolve(type === 'blob' || format === 'dat' ? blob : contents);
         });
     }
 
@@ -1129,7 +2592,9 @@ export default class WaveSurfer extends util.Observer {
      * @return {string|string[]|Promise} When using `'dataURL'` type this returns
      * a single data URL or an array of data URLs, one for each canvas. When using
      * `'blob'` type this returns a `Promise` resolving with an array of `Blob`
-     * instances, one for each canvas.
+     * instances, one for each canvas. The `SVG` renderer returns the SVG markup
+     * instead of a data URL. `exportCompositeImage()` exports a single image
+     * with the progress, the cursor and the plugin layers.
      */
     exportImage(format, quality, type) {
         if (!format) {
@@ -1145,20 +2610,244 @@ export default class WaveSurfer extends util.Observer {
         return this.drawer.getImage(format, quality, type);
     }
 
+    /**
+     * Export one image of the waveform with the progress, the cursor and the
+     * layers of plugins like regions, markers and the timeline. The waveform
+     * is drawn again at the size of the image. With the `SVG` renderer the
+     * image is an SVG document.
+     *
+     * @param {CompositeImageOptions} options The range, size, layers and
+     * format of the image
+     * @return {string|Promise} When using the `'dataURL'` type this returns
+     * a data URL, or the SVG markup with the `SVG` renderer. When using the
+     * `'blob'` type this returns a `Promise` resolving with a `Blob`.
+     * @throws Will throw an error if no peaks are loaded or a layer is unknown
+     * @since 4.7.0
+     * @example
+     * wavesurfer
+     *     .exportCompositeImage({ range: 'full', width: 1200, type: 'blob' })
+     *     .then(blob => upload(blob));
+     */
+    exportCompositeImage(options = {}) {
+        if (!this.isReady) {
+            throw new Error('exportCompositeImage() must be called after load()');
+        }
+        const { format = 'image/png', quality = 1, type = 'dataURL' } = options;
+        const view = this.getExportView(options);
+        const layers = this.getExportLayers(view, options.layers);
+
+        // renderers that draw SVG shapes export SVG layers
+        if (typeof this.drawer.createExportElement === 'function') {
+            const markup = compositeToSVG(view, layers);
+            return type === 'blob'
+                ? Promise.resolve(new Blob([markup], { type: 'image/svg+xml' }))
+                : markup;
+        }
+        const canvas = compositeToCanvas(view, layers);
+        if (type === 'blob') {
+            return new Promise(resolve =>
+                canvas.toBlob(resolve, format, quality)
+            );
+        }
+        return canvas.toDataURL(format, quality);
+    }
+
+    /**
+     * Get the part of the waveform and the size of the exported image
+     *
+     * @private
+     * @param {CompositeImageOptions} options The options of the export
+     * @return {ExportView} The view
+     */
+    getExportView(options) {
+        const { range = 'visible' } = options;
+        const duration = this.getDuration();
+        let start = 0;
+        let end = duration;
+        let cssWidth = this.drawer.getCssWidth();
+        if (range === 'visible') {
+            ({ start, end } = this.getVisibleRange());
+            cssWidth = this.drawer.getWidth() / this.params.pixelRatio;
+        } else if (range !== 'full') {
+            throw new Error(`Unknown range ${range}`);
+        }
+        const pixelRatio = options.pixelRatio || this.params.pixelRatio;
+        const width = Math.round((options.width || cssWidth) * pixelRatio);
+        const height = Math.round(
+            (options.height || this.drawer.height / this.params.pixelRatio) *
+                pixelRatio
+        );
+        return {
+            start: start,
+            end: end,
+            duration: duration,
+            width: width,
+            height: height,
+            pixelRatio: pixelRatio,
+            timeToX: time => ((time - start) / (end - start)) * width
+        };
+    }
+
+    /**
+     * Get the layers of the exported image
+     *
+     * @private
+     * @param {ExportView} view The exported view
+     * @param {?string[]} names The names of the layers, all by default
+     * @return {ExportLayer[]} The layers
+     * @throws Will throw an error if a layer is unknown
+     */
+    getExportLayers(view, names) {
+        const builtin = ['background', 'wave', 'progress', 'cursor'];
+        const plugins = Object.keys(this.initialisedPluginList).filter(
+            name => typeof this[name].getExportLayer === 'function'
+        );
+        return (names || builtin.concat(plugins)).map(name => {
+            if (plugins.includes(name)) {
+                return this[name].getExportLayer(view);
+            }
+            if (!builtin.includes(name)) {
+                throw new Error(`Unknown layer ${name}`);
+            }
+            return this.getBuiltinExportLayer(name, view);
+        });
+    }
+
+    /**
+     * Get a layer of the exported image that wavesurfer draws itself
+     *
+     * @private
+     * @param {string} name `'background'`, `'wave'`, `'progress'` or
+     * `'cursor'`
+     * @param {ExportView} view The exported view
+     * @return {ExportLayer} The layer
+     */
+    getBuiltinExportLayer(name, view) {
+        const params = this.params;
+        const progressX = util.clamp(
+            view.timeToX(this.getCurrentTime() || 0),
+            0,
+            view.width
+        );
+        if (name === 'background') {
+            const color = params.backgroundColor;
+            return {
+                drawToContext: (ctx, height) => {
+                    if (color) {
+                        ctx.fillStyle = color;
+                        ctx.fillRect(0, 0, view.width, height);
+                    }
+                },
+                createSVGElement: height =>
+                    createSVGShapes(
+                        color
+                            ? [
+                                {
+                                    type: 'rect',
+                                    x: 0,
+                                    y: 0,
+                                    width: view.width,
+                                    height: height,
+                                    color: color
+                                }
+                            ]
+                            : []
+                    )
+            };
+        }
+        if (name === 'cursor') {
+            const width = params.cursorWidth * view.pixelRatio;
+            const x = Math.max(0, progressX - width);
+            return {
+                shapes: width
+                    ? [
+                        {
+                            type: 'rect',
+                            x: x,
+                            y: 0,
+                            width: width,
+                            height: view.height,
+                            color: params.cursorColor
+                        }
+                    ]
+                    : []
+            };
+        }
+
+        // the waveform is drawn again from the peaks at the size of the image
+        const colorName = name === 'wave' ? 'waveColor' : 'progressColor';
+        const totalWidth = (view.width * view.duration) / (view.end - view.start);
+        const peaks = this.peakPyramid
+            ? this.peakPyramid.getLevel(totalWidth)
+            : this.peaks;
+        const options = {
+            width: view.width,
+            height: view.height,
+            pixelRatio: view.pixelRatio,
+            start: view.start / view.duration,
+            end: view.end / view.duration
+        };
+        [
+            'waveColor',
+            'progressColor',
+            'barWidth',
+            'barGap',
+            'barHeight',
+            'barMinHeight',
+            'barRadius',
+            'normalize',
+            'peakMax',
+            'peakOffset',
+            'peakPairs',
+            'splitChannels',
+            'splitChannelsOptions'
+        ].forEach(key => {
+            options[key] = params[key];
+        });
+        return {
+            drawToContext: ctx => {
+                ctx.save();
+                if (name === 'progress') {
+                    ctx.beginPath();
+                    ctx.rect(0, 0, progressX, view.height);
+                    ctx.clip();
+                }
+                drawPeaksToContext(ctx, peaks, options, colorName);
+                ctx.restore();
+            },
+            createSVGElement: () => this.drawer.createExportElement(name, view)
+        };
+    }
+
     /**
      * Display empty waveform.
      */
     empty() {
-        //if (!this.backend.isPaused()) {
+        // an attached clock keeps its position, it is drawn with the next
+        // frame
+        if (this.clock === this.virtualClock) {
             this.stop();
-            //this.backend.disconnectSource();
-        //}
+        }
+        this.clockTime = null;
+        this.timeInterpolator.reset();
+        this.zoomBackStack = [];
+        this.zoomForwardStack = [];
+        this.viewportRange = null;
         this.curPosition = 0;
         this.duration = 0;
+        this.drawer.duration = 0;
         this.isReady = false;
+        if (this.peakLoader) {
+            this.peakLoader.destroy();
+            this.peakLoader = null;
+        }
+        // drop the result of a running loadPCM()
+        this.loadId++;
+        this.peakRms = null;
 
         // empty drawer
         this.drawer.progress(0);
+        this.updateAria();
         this.drawer.setWidth(0);
         this.drawer.drawPeaks({ length: this.drawer.getWidth() }, 0);
     }
@@ -1180,6 +2869,11 @@ export default class WaveSurfer extends util.Observer {
                 true
             );
         }
+        this._onViewportChange.clear();
+        if (this.peakLoader) {
+            this.peakLoader.destroy();
+        }
+        this.setClock(null);
         if (this.drawer) {
             this.drawer.destroy();
         }